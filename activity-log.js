@@ -0,0 +1,101 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * activity-log.js
+ * Structured activity log kept in chrome.storage.local, so support has something to look at after
+ * the service worker restarts. Shown on the diagnostics page.
+ * Loaded by background.js (importScripts), which owns the stored log, and by offscreen.html, which
+ * forwards its entries to the background ('logActivity'; requires message-bus.js).
+ *
+ * Entry: { timestamp: ISO string, level: 'debug'|'info'|'warn'|'error', source: string, message: string, details?: Array }
+ */
+
+const ACTIVITY_LOG_KEY = 'activityLog';
+const ACTIVITY_LOG_MAX_ENTRIES = 300; // Oldest entries are dropped beyond this
+const ACTIVITY_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const ACTIVITY_LOG_FLUSH_DELAY_MS = 1000;
+const ACTIVITY_LOG_MAX_DETAIL_LENGTH = 2000;
+
+/**
+ * Makes console-style arguments safe to store: Errors keep name, message and stack, and long values are truncated.
+ * @param {*} value
+ * @returns {*} A JSON-compatible value.
+ */
+function serializeLogDetail(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack?.slice(0, ACTIVITY_LOG_MAX_DETAIL_LENGTH) };
+    }
+    if (value === undefined || typeof value === 'function') return String(value);
+    try {
+        const json = JSON.stringify(value);
+        return json.length > ACTIVITY_LOG_MAX_DETAIL_LENGTH ? `${json.slice(0, ACTIVITY_LOG_MAX_DETAIL_LENGTH)}…` : JSON.parse(json);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+/**
+ * Creates a logger that writes to the console as before and also records a structured entry.
+ * @param {string} source - Context name stored with each entry, e.g. 'background'.
+ * @param {function(object): void} sink - Receives each entry (see createStorageLogSink / createMessageLogSink).
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} Console-style methods.
+ */
+function createActivityLogger(source, sink) {
+    const logger = {};
+    for (const level of ACTIVITY_LOG_LEVELS) {
+        const consoleMethod = level === 'info' ? 'log' : level;
+        logger[level] = (message, ...details) => {
+            console[consoleMethod](message, ...details);
+            const entry = { timestamp: new Date().toISOString(), level, source, message: String(message) };
+            if (details.length > 0) entry.details = details.map(serializeLogDetail);
+            try {
+                sink(entry);
+            } catch (error) {
+                // Logging must never break the caller.
+            }
+        };
+    }
+    return logger;
+}
+
+/**
+ * Creates a sink that appends entries to the stored ring buffer. Writes are batched and serialized;
+ * errors are written straight away in case the service worker stops soon after.
+ * @returns {function(object): void}
+ */
+function createStorageLogSink() {
+    let buffered = [];
+    let flushTimeoutId = null;
+    let writeLock = Promise.resolve();
+
+    const flush = () => {
+        clearTimeout(flushTimeoutId);
+        flushTimeoutId = null;
+        const entries = buffered;
+        buffered = [];
+        writeLock = writeLock.then(async () => {
+            const { [ACTIVITY_LOG_KEY]: stored = [] } = await chrome.storage.local.get(ACTIVITY_LOG_KEY);
+            await chrome.storage.local.set({ [ACTIVITY_LOG_KEY]: [...stored, ...entries].slice(-ACTIVITY_LOG_MAX_ENTRIES) });
+        }).catch(error => console.error("ActivityLog: Failed to write log entries:", error));
+    };
+
+    return (entry) => {
+        buffered.push(entry);
+        if (entry.level === 'error') {
+            flush();
+        } else if (flushTimeoutId === null) {
+            flushTimeoutId = setTimeout(flush, ACTIVITY_LOG_FLUSH_DELAY_MS);
+        }
+    };
+}
+
+/**
+ * Creates a sink that forwards entries to the background, for contexts without storage access.
+ * @returns {function(object): void}
+ */
+function createMessageLogSink() {
+    return (entry) => {
+        sendRuntimeMessage('logActivity', entry).catch(() => {}); // Nowhere else to report a logging failure
+    };
+}
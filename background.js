@@ -5,23 +5,71 @@
  * background.js (Offscreen Document Sentry & GA4 Handler)
  * Manages GA4 client/session IDs using chrome.storage.local.
  * Handles GA4 page view and event tracking requests from UI scripts.
- * Includes periodic alarm for sending rule/usage statistics.
- * Uses chrome.storage.sync ONLY for isLicensed, others use chrome.storage.local.
+ * Includes a daily alarm sending aggregate rule/usage statistics (counts only), including replacement counts reported by content scripts.
+ * Uses chrome.storage.sync ONLY for the license, telemetry consent and the rule sync choice, others use chrome.storage.local.
+ * If the user turns on rule sync, copies ruleBundles to chrome.storage.sync in chunks and merges edits
+ * made on other devices (rule-sync.js).
+ * Keeps a snapshot of the local settings before each save, for undo, redo and restore (settings-history.js).
+ * Verifies signed license keys offline (license.js) and re-validates the stored license daily.
+ * Resolves free/premium entitlements (entitlements.js) and enforces their limits on settings saves.
+ * Honors the user's analytics and crash-report consent before sending anything.
+ * Migrates stored settings to the current schema version on install, update and startup (storage-migrations.js).
  * Loads pre-loaded bundles from /bundles/ directory on install/update.
+ * Validates domainList patterns and activeBundleIds on save and answers per-URL domain checks (domain-matcher.js).
+ * Opens the offscreen document only while it is needed (offscreen-manager.js).
+ * Traces install handling, preloaded bundles and settings saves (with the content script fan-out)
+ * as Sentry transactions (performance-tracing.js), and forwards those timed by content scripts.
+ * Reads trace sampling from config.json (config.js) and hands its non-secret part to content scripts.
+ * Handles the keyboard shortcuts (turn on/off, turn the current site on/off, next bundle) through the
+ * settings save path, and the "Create a rule" context menu entry, which prefills the options page.
  */
 
+// Shared modules (classic service worker, so loaded with importScripts).
+importScripts('message-bus.js', 'config.js', 'error-reporting.js', 'performance-tracing.js', 'activity-log.js', 'offscreen-manager.js', 'domain-matcher.js', 'rule-engine.js', 'bundle-schema.js', 'license.js', 'entitlements.js', 'storage-migrations.js', 'rule-sync.js', 'settings-history.js');
+
+// Warnings, errors and notable events are also kept in the stored activity log (activity-log.js),
+// and become Sentry breadcrumbs for the next error report (error-reporting.js).
+initErrorReporting('background');
+const activityLogSink = createStorageLogSink();
+const log = createActivityLogger('background', (entry) => {
+    activityLogSink(entry);
+    if (entry.level !== 'debug') addBreadcrumb('log', entry.message, undefined, entry.level === 'warn' ? 'warning' : entry.level);
+});
+const reportBackgroundTransaction = (transaction) => reportTransactionToSentry(transaction);
+initTracing('background', reportBackgroundTransaction);
+loadConfig()
+    .then(config => initTracing('background', reportBackgroundTransaction, { sampleRates: config.tracing.sampleRates }))
+    .catch(error => log.error("Background: Sentry and GA4 are disabled:", error.message));
+
 // --- Offscreen Document & Configuration ---
 const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
-const PING_INTERVAL_MS = 20 * 1000;
 const SESSION_EXPIRATION_MINUTES = 30; // GA4 session timeout
-let creatingOffscreenPromise = null;
-let keepAliveIntervalId = null;
 
 // --- Periodic Alarm Configuration ---
 const GENERIC_ALARM_NAME = 'genericAlarm'; // Renamed from RULE_STATS_ALARM_NAME
+const LICENSE_ALARM_NAME = 'licenseRevalidation';
+
+// --- Preloaded Bundle Configuration ---
+const PRELOADED_BUNDLES_DIR = 'bundles';
+const PRELOADED_FINGERPRINTS_KEY = 'preloadedBundleFingerprints'; // bundle id -> fingerprint at install time
+
+// --- GA4 Event Queue Configuration ---
+const GA_QUEUE_STORAGE_KEY = 'gaEventQueue';
+const GA_QUEUE_RETRY_KEY = 'gaQueueRetryCount';
+const GA_QUEUE_ALARM_NAME = 'gaQueueRetry';
+const GA_MAX_EVENTS_PER_REQUEST = 25; // Measurement Protocol limit per request
+const GA_QUEUE_MAX_SIZE = 500; // Oldest events are dropped beyond this
+const GA_EVENT_MAX_AGE_MS = 72 * 60 * 60 * 1000; // Stale events are expired after 72 hours
+const GA_RETRY_BASE_DELAY_MINUTES = 1;
+const GA_RETRY_MAX_DELAY_MINUTES = 60;
+let gaQueueLock = Promise.resolve();
+let gaFlushPromise = null;
+
+// --- Usage Statistics Configuration ---
+const USAGE_COUNTERS_KEY = 'usageCountersSinceReport'; // Counters reported by content scripts, reset by each rule_bundle_stats event
+let usageCountersLock = Promise.resolve();
 
 // --- Utility Functions ---
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /** Generates a simple v4-like UUID. */
 function generateUuid() {
@@ -52,7 +100,7 @@ async function getGaClientId() {
         }
         return clientId;
     } catch (error) {
-        console.error("Background: Error getting/setting GA4 client ID:", error);
+        log.error("Background: Error getting/setting GA4 client ID:", error);
         reportErrorToSentry(error, { context: 'getGaClientId' }); // Report storage errors
         // Provide a fallback, though it won't be persistent if storage fails.
         return generateUuid();
@@ -82,7 +130,7 @@ async function getGaSessionId() {
         }
         return sessionData.sessionId;
     } catch (error) {
-        console.error("Background: Error getting/setting GA4 session ID:", error);
+        log.error("Background: Error getting/setting GA4 session ID:", error);
         reportErrorToSentry(error, { context: 'getGaSessionId' }); // Report storage errors
         // Fallback session ID if storage fails.
         return Date.now().toString();
@@ -90,119 +138,81 @@ async function getGaSessionId() {
 }
 
 
-// --- Offscreen Document Management ---
+// --- Telemetry Consent (Using chrome.storage.sync) ---
 
-/** Checks if the offscreen document currently exists. */
-async function hasOffscreenDocument() {
-  try {
-    // Use chrome.runtime.getContexts if available (more reliable).
-    if (chrome.runtime.getContexts) {
-        const contexts = await chrome.runtime.getContexts({
-            contextTypes: ['OFFSCREEN_DOCUMENT'],
-            documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
-        });
-        return contexts.length > 0;
-    } else {
-        // Fallback for older environments (less common now).
-        console.warn("Background: chrome.runtime.getContexts not available. Using clients.matchAll fallback.");
-        const matchedClients = await clients.matchAll();
-        return matchedClients.some(client => client.url.endsWith(OFFSCREEN_DOCUMENT_PATH));
+/**
+ * Reads the user's analytics and crash-report choices from sync storage.
+ * Falls back to the defaults when unset, and to "no consent" if storage cannot be read.
+ * @returns {Promise<{analytics: boolean, crashReports: boolean}>} The current consent state.
+ */
+async function getTelemetryConsent() {
+    try {
+        const { analyticsEnabled, crashReportsEnabled } = await chrome.storage.sync.get(['analyticsEnabled', 'crashReportsEnabled']);
+        return {
+            analytics: analyticsEnabled ?? defaultSyncSettings.analyticsEnabled,
+            crashReports: crashReportsEnabled ?? defaultSyncSettings.crashReportsEnabled
+        };
+    } catch (error) {
+        // Don't report this to Sentry: without a readable consent state we must not send anything.
+        log.error("Background: Error reading telemetry consent. Treating as opted out:", error);
+        return { analytics: false, crashReports: false };
     }
-  } catch (error) {
-    // Log errors but assume document doesn't exist if check fails.
-    console.warn("Background: Error checking for offscreen document:", error?.message);
-    return false;
-  }
 }
 
-/** Creates the offscreen document if it doesn't already exist. */
-async function setupOffscreenDocument() {
-  let docExists = false;
-  try { docExists = await hasOffscreenDocument(); } catch(e) { /* Ignore error during check */ }
-
-  // If document exists, ensure keep-alive is running and exit.
-  if (docExists) {
-    startKeepAlivePing(); // Ensure ping is running if doc exists
-    return;
-  }
-
-  // Avoid multiple creation attempts simultaneously.
-  if (creatingOffscreenPromise) {
-    await creatingOffscreenPromise;
-    // Re-check and start ping if creation succeeded during wait.
-    if (await hasOffscreenDocument()) { startKeepAlivePing(); }
-    return;
-  }
-
-  console.log("Background: Attempting to create offscreen document...");
-  // Start the creation process.
-  creatingOffscreenPromise = chrome.offscreen.createDocument({
-    url: OFFSCREEN_DOCUMENT_PATH,
-    reasons: [chrome.offscreen.Reason.BLOBS], // Reason required by Chrome API.
-    justification: 'Delegate Sentry error reporting and GA4 event sending from the service worker to avoid its limitations.' // Justification required.
-  });
-
-  try {
-    await creatingOffscreenPromise;
-    console.log("Background: Offscreen document created successfully.");
-    startKeepAlivePing(); // Start keep-alive after successful creation.
-  } catch (error) {
-    console.error(`Background: Failed to create offscreen document: ${error?.message || error}`);
-    reportErrorToSentry(error, { context: 'setupOffscreenDocument' }); // Report creation errors
-    stopKeepAlivePing(); // Stop ping if creation fails.
-  } finally {
-    // Reset promise regardless of outcome.
-    creatingOffscreenPromise = null;
-  }
-}
-
-/** Starts a periodic ping to keep the offscreen document alive. */
-function startKeepAlivePing() {
-    // Prevent multiple intervals.
-    if (keepAliveIntervalId !== null) return;
-
-    console.log("Background: Starting keep-alive ping interval.");
-    keepAliveIntervalId = setInterval(async () => {
-        let docStillExists = false;
-        try { docStillExists = await hasOffscreenDocument(); } catch(e) { /* Ignore check error */ }
-
-        // If document disappears, stop the ping.
-        if (!docStillExists) {
-            console.warn("Background: Keep-alive stopping, offscreen document is missing.");
-            stopKeepAlivePing();
-            // Optionally, try to recreate it immediately or on next event
-            // setupOffscreenDocument();
-            return;
+/**
+ * Applies a consent change: deletes analytics identifiers and queued events on opt-out,
+ * and forwards the new state to the offscreen document if it is running.
+ * @param {{analytics: boolean, crashReports: boolean}} consent - The new consent state.
+ */
+async function applyTelemetryConsent(consent) {
+    log.info("Background: Applying telemetry consent:", consent);
+    try {
+        if (!consent.analytics) {
+            await chrome.storage.local.remove(['clientId', 'sessionData', GA_QUEUE_RETRY_KEY, USAGE_COUNTERS_KEY]);
+            await updateGaEventQueue(async () => []);
+            await chrome.alarms.clear(GA_QUEUE_ALARM_NAME);
+            console.log("Background: Analytics opt-out. Deleted client ID, session data, usage counters and queued GA4 events.");
         }
-
-        // Send a simple message to the offscreen document.
-        try {
-            await chrome.runtime.sendMessage({ target: 'offscreen', type: 'ping' });
-            // console.log("Background: Keep-alive ping sent successfully."); // Optional: Verbose logging
-        } catch (error) {
-            // If ping fails (e.g., document closed unexpectedly), stop the interval.
-            console.warn(`Background: Keep-alive ping failed: ${error?.message}. Stopping ping interval.`);
-            stopKeepAlivePing();
+        // A closed document receives the current consent in its handshake instead.
+        if ((await offscreenManager.getStats()).state === OFFSCREEN_STATES.ready) {
+            await offscreenManager.send('consentUpdated', consent);
         }
-    }, PING_INTERVAL_MS);
+    } catch (error) {
+        log.error("Background: Error applying telemetry consent:", error);
+        reportErrorToSentry(error, { context: 'applyTelemetryConsent' });
+    }
 }
 
-/** Stops the keep-alive ping interval. */
-function stopKeepAlivePing() {
-    if (keepAliveIntervalId !== null) {
-        clearInterval(keepAliveIntervalId);
-        keepAliveIntervalId = null;
-        console.log("Background: Keep-alive ping interval stopped.");
+// Re-apply consent whenever it changes, whether from the options page or another synced device.
+// License changes alter entitlements (e.g. regex rules), so content scripts re-run their rules.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.analyticsEnabled || changes.crashReportsEnabled)) {
+        getTelemetryConsent().then(applyTelemetryConsent);
     }
-}
+    if (areaName === 'sync' && changes.license) {
+        notifyContentScriptSettingsChanged();
+    }
+});
+
+
+// --- Offscreen Document Management ---
+// Created on demand, buffered until its readiness handshake, health-checked and closed when idle
+// (offscreen-manager.js). The handshake pushes consent before anything else is delivered.
+const offscreenManager = createOffscreenManager({
+    path: OFFSCREEN_DOCUMENT_PATH,
+    reasons: [chrome.offscreen.Reason.BLOBS], // Reason required by Chrome API.
+    justification: 'Delegate Sentry error reporting and GA4 event sending from the service worker to avoid its limitations.',
+    onReady: async (send) => {
+        await send('consentUpdated', await getTelemetryConsent());
+    },
+    onRecreated: ({ reason, recreateCount, uptimeMs }) => {
+        reportMessageToSentry('Offscreen document recreated', { reason, recreateCount, uptimeMs });
+    },
+    logger: log
+});
 
-// Attempt initial setup shortly after the background script loads.
-// It's good practice to ensure the offscreen document is ready
-// soon after the service worker starts, especially if it's needed
-// for early events like 'extension_installed' or error handling
-// during initialization.
-// Use a small delay to allow other initialization tasks to potentially complete.
-setTimeout(setupOffscreenDocument, 1500);
+// Pick up a document left open by a previous service worker instance.
+offscreenManager.resume();
 
 // --- Analytics & Error Reporting via Offscreen Document ---
 
@@ -211,43 +221,58 @@ let manifestVersion = 'unknown';
 try {
     manifestVersion = chrome.runtime.getManifest()?.version || 'unknown';
 } catch (e) {
-    console.warn("Background: Could not retrieve manifest version.", e);
+    log.warn("Background: Could not retrieve manifest version.", e);
+}
+
+/**
+ * Collects what every Sentry event from this extension carries: the anonymous client id as the user
+ * (only if analytics already created one; never generated just for Sentry) and the breadcrumbs,
+ * merged with any sent by the originating page or content script.
+ * @param {Array<object>} [originBreadcrumbs=[]] - Breadcrumbs from the context where the error happened.
+ * @returns {Promise<{clientId?: string, breadcrumbs: Array<object>}>}
+ */
+async function getSentryScopeData(originBreadcrumbs = []) {
+    const { clientId } = await chrome.storage.local.get('clientId');
+    const breadcrumbs = [...getBreadcrumbs(), ...originBreadcrumbs]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-MAX_BREADCRUMBS);
+    return { ...(clientId && { clientId }), breadcrumbs };
 }
 
 /**
  * Packages error details and sends them to the offscreen document for Sentry reporting.
- * Ensures the offscreen document is ready before sending.
+ * The offscreen manager buffers the report until the document is ready.
  * @param {Error|string} error - The error object or error message string.
  * @param {object} [context={}] - Additional context to send with the error.
+ * @param {{origin?: string, breadcrumbs?: Array<object>}} [reportedFrom] - The context the error came from
+ *   (defaults to 'background') and that context's breadcrumbs.
  */
-async function reportErrorToSentry(error, context = {}) {
+async function reportErrorToSentry(error, context = {}, { origin = 'background', breadcrumbs = [] } = {}) {
   console.log("Background: reportErrorToSentry invoked for error:", error?.message);
   let errorData;
   try {
-    // Ensure the offscreen document is ready before attempting to message it.
-    await setupOffscreenDocument();
-    await delay(200); // Small delay to allow document setup/messaging channel to stabilize.
-
+    if (!(await getTelemetryConsent()).crashReports) {
+      console.log("Background: Crash reporting disabled by user. Not reporting error.");
+      return;
+    }
     // Prepare error data payload for Sentry.
     errorData = {
       message: error instanceof Error ? error.message : String(error),
       name: error instanceof Error ? error.name : 'Error',
       stack: error instanceof Error ? error.stack : undefined,
-      context: context, // Include any additional context provided.
-      appVersion: manifestVersion // Include extension version.
+      context: { ...context, offscreen: await offscreenManager.getStats() }, // Include any additional context provided.
+      appVersion: manifestVersion, // Include extension version.
+      origin,
+      ...(await getSentryScopeData(breadcrumbs))
     };
     // Note: console.log messages here might not appear reliably if service worker is shutting down.
     console.log("Background: Attempting to send error message to offscreen:", errorData.message);
     // Send the error payload to the offscreen document.
-    await chrome.runtime.sendMessage({
-        target: 'offscreen',
-        type: 'captureError',
-        payload: errorData
-    });
+    await offscreenManager.send('captureError', errorData);
     console.log("Background: sendMessage for captureError completed.");
   } catch (messagingError) {
     // Log failure to send the message, including the original error.
-    console.error("Background: Failed to send error message to offscreen:", messagingError, "Original error:", errorData?.message || error);
+    log.error("Background: Failed to send error message to offscreen:", messagingError, "Original error:", errorData?.message || error);
     // Avoid recursive error reporting loop if messaging itself fails.
   }
 }
@@ -255,72 +280,209 @@ async function reportErrorToSentry(error, context = {}) {
 /**
  * Packages a simple message string and sends it to the offscreen document for Sentry reporting.
  * @param {string} messageText - The message to report.
+ * @param {object} [context={}] - Additional context to send with the message.
  */
-async function reportMessageToSentry(messageText) {
+async function reportMessageToSentry(messageText, context = {}) {
    try {
-     // Ensure the offscreen document is ready.
-     await setupOffscreenDocument();
-     await delay(200); // Small delay to allow document setup.
-
+     if (!(await getTelemetryConsent()).crashReports) {
+       console.log("Background: Crash reporting disabled by user. Not reporting message.");
+       return;
+     }
      console.log("Background: Attempting to send simple message to offscreen:", messageText);
      // Send the message payload.
-     await chrome.runtime.sendMessage({
-        target: 'offscreen',
-        type: 'captureMessage',
-        payload: { message: messageText, appVersion: manifestVersion }
+     await offscreenManager.send('captureMessage', {
+        message: messageText, context, appVersion: manifestVersion, origin: 'background', ...(await getSentryScopeData())
      });
    } catch (messagingError) {
-     console.error("Background: Failed to send message to offscreen:", messagingError);
+     log.error("Background: Failed to send message to offscreen:", messagingError);
    }
 }
 
 /**
- * Packages a GA4 event, retrieves necessary IDs, and sends it to the offscreen document.
- * This function centralizes the process of getting IDs and messaging the offscreen doc.
+ * Sends a finished transaction to the offscreen document for Sentry performance monitoring.
+ * @param {object} transaction - See performance-tracing.js.
+ * @param {string} [origin='background'] - Context that timed it.
+ */
+async function reportTransactionToSentry(transaction, origin = 'background') {
+    try {
+        if (!(await getTelemetryConsent()).crashReports) return;
+        const { clientId } = await getSentryScopeData();
+        await offscreenManager.send('captureTransaction', {
+            ...transaction, appVersion: manifestVersion, origin, ...(clientId && { clientId })
+        });
+    } catch (messagingError) {
+        log.warn("Background: Failed to send transaction to offscreen:", messagingError?.message);
+    }
+}
+
+/**
+ * Packages a GA4 event, retrieves necessary IDs, and adds it to the persistent event queue.
+ * The queue is flushed to the offscreen document in batches (see flushGaEventQueue).
  * @param {string} eventName - The name of the GA4 event (e.g., 'extension_installed').
  * @param {object} [eventParams={}] - Optional parameters specific to the event.
  */
 async function reportGaEvent(eventName, eventParams = {}) {
     // Basic validation for event name
     if (!eventName || typeof eventName !== 'string') {
-        console.error("Background: reportGaEvent called with invalid eventName:", eventName);
+        log.error("Background: reportGaEvent called with invalid eventName:", eventName);
         reportErrorToSentry(new Error("Invalid GA event name"), { eventName: String(eventName) });
         return;
     }
 
+    // Check consent before touching the client ID so an opted-out user never gets a new one.
+    if (!(await getTelemetryConsent()).analytics) {
+        console.log(`Background: Analytics disabled by user. Not reporting GA4 event '${eventName}'.`);
+        return;
+    }
+
     console.log(`Background: reportGaEvent invoked for event: ${eventName}`, eventParams);
     try {
         // Retrieve the persistent client ID and current/new session ID.
         const clientId = await getGaClientId();
         const sessionId = await getGaSessionId();
 
-        // Ensure the offscreen document is ready.
-        await setupOffscreenDocument();
-        await delay(200); // Small delay to allow document setup.
-
-        console.log(`Background: Attempting to send GA4 event '${eventName}' to offscreen.`);
-        // Send the event data, including IDs, to the offscreen document.
-        await chrome.runtime.sendMessage({
-            target: 'offscreen',
-            type: 'sendGaEvent', // Message type handled by offscreen.js
-            payload: {
-                name: eventName, // The GA4 event name
-                params: {
-                    // Pass the required IDs to the offscreen script.
-                    client_id: clientId,
-                    session_id: sessionId,
-                    // Include standard GA4 parameters if available.
-                    language: self.navigator?.language || 'unknown',
-                    // Include any custom parameters passed into this function.
-                    ...eventParams
-                }
+        // Store the event first so it survives offscreen failures, network loss and service worker restarts.
+        await enqueueGaEvent({
+            name: eventName, // The GA4 event name
+            params: {
+                // Pass the required IDs to the offscreen script.
+                client_id: clientId,
+                session_id: sessionId,
+                // Include standard GA4 parameters if available.
+                language: self.navigator?.language || 'unknown',
+                // Include any custom parameters passed into this function.
+                ...eventParams
             }
         });
-        console.log(`Background: sendMessage for GA4 event '${eventName}' completed.`);
-    } catch (messagingError) {
-        // Log messaging errors and report them to Sentry for debugging.
-        console.error(`Background: Failed to send GA4 event '${eventName}' to offscreen:`, messagingError);
-        reportErrorToSentry(messagingError, { context: `GA4 Messaging Failure for ${eventName}`, eventName: eventName });
+    } catch (storageError) {
+        // Log queueing errors and report them to Sentry for debugging.
+        log.error(`Background: Failed to queue GA4 event '${eventName}':`, storageError);
+        reportErrorToSentry(storageError, { context: `GA4 Queue Failure for ${eventName}`, eventName: eventName });
+        return;
+    }
+
+    await flushGaEventQueue();
+}
+
+// --- GA4 Event Queue (Using chrome.storage.local) ---
+
+/**
+ * Serializes read-modify-write operations on the stored queue.
+ * @param {Function} operation - Async function receiving the current queue and returning the new queue.
+ * @returns {Promise<Array<object>>} The queue as written back to storage.
+ */
+function updateGaEventQueue(operation) {
+    const run = gaQueueLock.then(async () => {
+        const { [GA_QUEUE_STORAGE_KEY]: storedQueue = [] } = await chrome.storage.local.get(GA_QUEUE_STORAGE_KEY);
+        const now = Date.now();
+        // Expire stale events on every pass so the queue cannot grow unbounded while offline.
+        const freshQueue = storedQueue.filter(event => now - event.queuedAt <= GA_EVENT_MAX_AGE_MS);
+        if (freshQueue.length < storedQueue.length) {
+            log.warn(`Background: Dropped ${storedQueue.length - freshQueue.length} expired GA4 event(s) from queue.`);
+        }
+        const updatedQueue = await operation(freshQueue);
+        await chrome.storage.local.set({ [GA_QUEUE_STORAGE_KEY]: updatedQueue });
+        return updatedQueue;
+    });
+    // Keep the chain alive even if this operation fails.
+    gaQueueLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Appends an event to the persistent queue, dropping the oldest events if the queue is full.
+ * @param {{name: string, params: object}} event - The event to queue.
+ * @returns {Promise<void>}
+ */
+async function enqueueGaEvent(event) {
+    await updateGaEventQueue(async (queue) => {
+        queue.push({ id: generateUuid(), queuedAt: Date.now(), ...event });
+        if (queue.length > GA_QUEUE_MAX_SIZE) {
+            log.warn(`Background: GA4 queue full, dropping ${queue.length - GA_QUEUE_MAX_SIZE} oldest event(s).`);
+            return queue.slice(queue.length - GA_QUEUE_MAX_SIZE);
+        }
+        return queue;
+    });
+}
+
+/**
+ * Sends queued events to the offscreen document in batches of up to GA_MAX_EVENTS_PER_REQUEST.
+ * Events are only removed from the queue once the offscreen document reports a result that
+ * should not be retried. Retryable failures schedule a backoff alarm instead.
+ * Concurrent calls share the same in-flight flush.
+ * @returns {Promise<void>}
+ */
+function flushGaEventQueue() {
+    if (!gaFlushPromise) {
+        gaFlushPromise = runGaQueueFlush().finally(() => { gaFlushPromise = null; });
+    }
+    return gaFlushPromise;
+}
+
+/** Drains the queue batch by batch until it is empty or a retryable failure occurs. */
+async function runGaQueueFlush() {
+    try {
+        if (!(await getTelemetryConsent()).analytics) {
+            return;
+        }
+        while (true) {
+            const queue = await updateGaEventQueue(async (current) => current);
+            if (queue.length === 0) {
+                await resetGaQueueRetry();
+                return;
+            }
+
+            // The Measurement Protocol takes one client_id per request, so batch events sharing the first event's ID.
+            const clientId = queue[0].params.client_id;
+            const batch = queue.filter(event => event.params.client_id === clientId).slice(0, GA_MAX_EVENTS_PER_REQUEST);
+
+            console.log(`Background: Sending batch of ${batch.length} GA4 event(s) to offscreen.`);
+            let response;
+            try {
+                response = await offscreenManager.send('sendGaBatch', {
+                    clientId,
+                    events: batch.map(({ name, params }) => ({ name, params }))
+                });
+            } catch (messagingError) {
+                log.warn(`Background: Failed to deliver GA4 batch to offscreen: ${messagingError?.message}`);
+                response = { sent: false, retryable: true };
+            }
+
+            if (!response.sent && response.retryable !== false) {
+                await scheduleGaQueueRetry();
+                return;
+            }
+            if (!response.sent) {
+                // Non-retryable (e.g. 4xx) responses are dropped; offscreen already reported them to Sentry.
+                log.warn("Background: Dropping GA4 batch rejected by the Measurement Protocol.", response);
+            }
+
+            const sentIds = new Set(batch.map(event => event.id));
+            await updateGaEventQueue(async (current) => current.filter(event => !sentIds.has(event.id)));
+            await resetGaQueueRetry();
+        }
+    } catch (error) {
+        log.error("Background: Error flushing GA4 event queue:", error);
+        reportErrorToSentry(error, { context: 'flushGaEventQueue' });
+        await scheduleGaQueueRetry().catch(() => {});
+    }
+}
+
+/** Schedules the next flush attempt using exponential backoff. */
+async function scheduleGaQueueRetry() {
+    const { [GA_QUEUE_RETRY_KEY]: retryCount = 0 } = await chrome.storage.local.get(GA_QUEUE_RETRY_KEY);
+    const delayInMinutes = Math.min(GA_RETRY_BASE_DELAY_MINUTES * 2 ** retryCount, GA_RETRY_MAX_DELAY_MINUTES);
+    await chrome.storage.local.set({ [GA_QUEUE_RETRY_KEY]: retryCount + 1 });
+    await chrome.alarms.create(GA_QUEUE_ALARM_NAME, { delayInMinutes });
+    console.log(`Background: GA4 queue flush failed (attempt ${retryCount + 1}). Retrying in ${delayInMinutes} minute(s).`);
+}
+
+/** Clears the backoff state after a successful flush. */
+async function resetGaQueueRetry() {
+    const { [GA_QUEUE_RETRY_KEY]: retryCount } = await chrome.storage.local.get(GA_QUEUE_RETRY_KEY);
+    if (retryCount) {
+        await chrome.storage.local.remove(GA_QUEUE_RETRY_KEY);
+        await chrome.alarms.clear(GA_QUEUE_ALARM_NAME);
     }
 }
 
@@ -329,7 +491,7 @@ async function reportGaEvent(eventName, eventParams = {}) {
 // Catch unhandled errors within the service worker context.
 self.onerror = (message, source, lineno, colno, error) => {
   console.log("Background: Global self.onerror triggered.");
-  console.error("Background: onerror details:", message, error);
+  log.error("Background: onerror details:", message, error);
   // Avoid reporting known test errors if necessary.
   if (!error?.message?.includes("Sentry Offscreen Test Error")) {
       reportErrorToSentry(error || new Error(message), { source, lineno, colno, handler: 'onerror' });
@@ -342,7 +504,7 @@ self.onerror = (message, source, lineno, colno, error) => {
 // Catch unhandled promise rejections.
 self.onunhandledrejection = (event) => {
   console.log("Background: Global self.onunhandledrejection triggered.");
-  console.error("Background: onunhandledrejection reason:", event.reason);
+  log.error("Background: onunhandledrejection reason:", event.reason);
   reportErrorToSentry(event.reason || new Error('Unhandled promise rejection'), { handler: 'onunhandledrejection' });
   event.preventDefault(); // Prevent default handling.
 };
@@ -352,7 +514,10 @@ self.onunhandledrejection = (event) => {
 
 // Default settings definitions, separated by storage area
 const defaultSyncSettings = {
-    isLicensed: false
+    license: null, // Decoded license: { key, licensee, issuedAt, expiresAt, entitlements, verifiedAt }
+    analyticsEnabled: true, // User consent for GA4 usage analytics
+    crashReportsEnabled: true, // User consent for Sentry error reporting
+    ruleSyncEnabled: false // Opt-in: copy ruleBundles to sync storage (rule-sync.js)
 }; // Added closing brace for defaultSyncSettings
 
 const defaultLocalSettings = { // Corrected placement
@@ -366,37 +531,82 @@ const defaultLocalSettings = { // Corrected placement
     },
     ruleBundles: [
     ], // Empty array for template
-    activeBundleId: null, // No default active bundle in template
+    activeBundleIds: [], // Active bundles, highest priority first. None by default in template
     disabledRuleIds: [] // Store as array for JSON compatibility
 };
 
-// Basic placeholder license validation logic.
+// --- Licensing (Using chrome.storage.sync) ---
+
+/**
+ * Verifies a license key offline against the bundled public key.
+ * @param {string} key - The license key entered by the user.
+ * @returns {Promise<{isValid: boolean, license?: object, error?: string}>} The license to store, or why it was rejected.
+ */
 async function validateLicenseKey(key) {
-  console.log(`Simulating validation for key: ${key}`);
-    // Simulate network delay.
-    await new Promise(resolve => setTimeout(resolve, 500));
-    // Placeholder: Replace with actual license validation logic
-    // For template, just simulate a valid key
-    return key === 'TEST_LICENSE_KEY_VALID';
-  } catch (error) {
-    // Report simulation errors to Sentry if they occur.
-    reportErrorToSentry(error, { function: 'validateLicenseKey', licenseKeyAttempt: key });
-    return false; // Indicate failure
-  }
+    try {
+        const license = await verifyLicenseKey(key);
+        return { isValid: true, license: { ...license, key: key.trim(), verifiedAt: new Date().toISOString() } };
+    } catch (error) {
+        log.warn("Background: License key rejected:", error.message);
+        return { isValid: false, error: error.message };
+    }
+}
+
+/**
+ * Returns the stored license if there is one and it hasn't expired.
+ * @returns {Promise<object|null>}
+ */
+async function getActiveLicense() {
+    const { license } = await chrome.storage.sync.get('license');
+    if (!license) return null;
+    if (license.expiresAt && Date.parse(license.expiresAt) <= Date.now()) return null;
+    return license;
+}
+
+/**
+ * Resolves the user's current entitlements from the active license.
+ * @returns {Promise<object>} See resolveEntitlements() in entitlements.js.
+ */
+async function getEntitlements() {
+    return resolveEntitlements(await getActiveLicense());
+}
+
+/**
+ * Re-verifies the stored license key (signature and expiry). Removes it if it no longer verifies,
+ * e.g. because it expired or the bundled public key was rotated.
+ */
+async function revalidateStoredLicense() {
+    const { license } = await chrome.storage.sync.get('license');
+    if (!license?.key) return;
+
+    const result = await validateLicenseKey(license.key);
+    if (result.isValid) {
+        await saveSyncSettings({ license: result.license });
+        log.info("Background: Stored license re-validated.");
+        return;
+    }
+    await saveSyncSettings({ license: null });
+    const isExpired = Boolean(license.expiresAt) && Date.parse(license.expiresAt) <= Date.now();
+    log.warn("Background: Stored license is no longer valid and was removed:", result.error);
+    reportGaEvent('license_invalidated', { reason: isExpired ? 'expired' : 'invalid' });
+}
+
 // --- Saving Functions (Directly call storage APIs) ---
 // Note: Debouncing is removed here as saving is less frequent and handled by UI scripts now.
-// Background only saves on install/update and license validation.
+// Background only saves on install/update, license validation and settings messages from UI pages.
 
 /**
- * Saves settings to chrome.storage.sync (currently only isLicensed).
+ * Saves settings to chrome.storage.sync (license, telemetry consent and the rule sync choice).
  * @param {object} settingsToSave - An object containing keys/values to save to sync storage.
  * @returns {Promise<void>}
  */
 async function saveSyncSettings(settingsToSave) {
     // Filter to only save keys defined in defaultSyncSettings to prevent unexpected writes
     const filteredSettings = {};
-    if (settingsToSave.hasOwnProperty('isLicensed')) {
-        filteredSettings.isLicensed = settingsToSave.isLicensed;
+    for (const key of Object.keys(defaultSyncSettings)) {
+        if (settingsToSave.hasOwnProperty(key)) {
+            filteredSettings[key] = settingsToSave[key];
+        }
     }
 
     if (Object.keys(filteredSettings).length === 0) {
@@ -408,92 +618,575 @@ async function saveSyncSettings(settingsToSave) {
         await chrome.storage.sync.set(filteredSettings);
         console.log("Sync settings saved.", filteredSettings);
     } catch (error) {
-        console.error("Error saving sync settings:", error);
+        log.error("Error saving sync settings:", error);
         reportErrorToSentry(new Error(`Sync storage error: ${error.message}`), { context: 'saveSyncSettings', keys: Object.keys(filteredSettings) });
         throw error;
     }
 }
 
+let localSettingsLock = Promise.resolve();
+
 /**
- * Saves settings to chrome.storage.local (most settings).
- * @param {object} settingsToSave - An object containing keys/values to save to local storage.
- * @returns {Promise<void>}
+ * Serializes saves of the local settings. Each save reads the stored settings it is based on (for bundle
+ * timestamps and the undo history), so overlapping saves from the options page, popup, shortcuts,
+ * rule sync and preloaded bundles must not interleave.
+ * @param {function(): Promise<*>} operation - Reads and writes the settings.
+ * @returns {Promise<*>} What operation returns.
  */
-async function saveLocalSettings(settingsToSave) {
-    // Filter to only save keys defined in defaultLocalSettings
-    const localKeys = ['isEnabled', 'domainList', 'ruleBundles', 'activeBundleId', 'disabledRuleIds'];
-    const filteredSettings = {};
-    let settingsChanged = false;
-
-    for (const key of localKeys) {
-        if (settingsToSave.hasOwnProperty(key)) {
-            filteredSettings[key] = settingsToSave[key];
-            settingsChanged = true;
-        }
-    }
+function updateLocalSettings(operation) {
+    const run = localSettingsLock.then(operation);
+    // Keep the chain alive even if this operation fails.
+    localSettingsLock = run.catch(() => {});
+    return run;
+}
 
-    if (!settingsChanged) {
+/**
+ * Saves settings to chrome.storage.local (most settings).
+ * Saving ruleBundles also records which bundles changed, for rule sync (updateBundleTimestamps() in rule-sync.js).
+ * The settings from before the save go into the undo history (settings-history.js).
+ * Saves run one at a time (updateLocalSettings). Changes that depend on the stored settings, like toggles
+ * and bundles merged from another device, pass an updater so they are worked out from the latest save.
+ * @param {object|function(object, object): (object|null|Promise<object|null>)} settingsToSave - The keys/values
+ *   to save, or an updater called inside the save with the stored settings (defaults filled in) and bundle
+ *   modification times, returning the keys/values to save or null for nothing. An updater's result may
+ *   include bundleTimestamps to store instead of working them out (bundles received from another device).
+ * @param {object|null} [parentSpan=null] - Span of the flow this save is part of; otherwise it is its own transaction.
+ * @param {object} [options]
+ * @param {string} [options.source=SETTINGS_CHANGE_SOURCES.extension] - Where the change came from, shown in the history.
+ * @param {function(object, object): Promise<void>} [options.record] - Called inside the save, right after the write,
+ *   with the settings before and after it; awaited once the save is done. Records the save in the history by
+ *   default; undo, redo and restores pass their own, which moves the history entries instead.
+ * @returns {Promise<object|null>} The settings saved, or null if there was nothing to save.
+ * @throws {Error} If the settings are invalid or the updater throws (nothing is saved), or the write fails.
+ */
+async function saveLocalSettings(settingsToSave, parentSpan = null,
+    { source = SETTINGS_CHANGE_SOURCES.extension, record = (before, after) => settingsHistory.record(before, after, source) } = {}) {
+    const localKeys = Object.keys(defaultLocalSettings);
+    const getChanges = typeof settingsToSave === 'function' ? settingsToSave : () => settingsToSave;
+    if (typeof settingsToSave !== 'function' && !localKeys.some(key => settingsToSave.hasOwnProperty(key))) {
         console.log("Background: No local settings provided to saveLocalSettings.");
-        return; // Nothing to save
+        return null; // Nothing to save
     }
+    const span = startSpan(parentSpan, 'saveLocalSettings', 'settings.save');
+    let rejected = false; // The changes were invalid, as opposed to the write failing
+    let savedKeys = [];
 
     try {
-        await chrome.storage.local.set(filteredSettings);
-        console.log("Local settings saved.", filteredSettings);
-        // Notify content scripts about the changes
-        notifyContentScriptSettingsChanged();
+        const { saved, historyRecorded } = await span.trace('chrome.storage.local.set', 'storage.write', () => updateLocalSettings(async () => {
+            const { [BUNDLE_TIMESTAMPS_KEY]: timestamps = {}, ...stored } = await chrome.storage.local.get([...localKeys, BUNDLE_TIMESTAMPS_KEY]);
+            const previous = { ...defaultLocalSettings, ...stored };
+            let changes;
+            const filteredSettings = {};
+            try {
+                changes = await getChanges(previous, timestamps) ?? {};
+                // Filter to only save keys defined in defaultLocalSettings
+                for (const key of localKeys) {
+                    if (changes.hasOwnProperty(key)) filteredSettings[key] = changes[key];
+                }
+                // Reject invalid domain patterns and bundles here so they never reach the content scripts.
+                if (filteredSettings.hasOwnProperty('domainList')) {
+                    validateDomainList(filteredSettings.domainList);
+                }
+                if (filteredSettings.hasOwnProperty('ruleBundles')) {
+                    validateRuleBundles(filteredSettings.ruleBundles);
+                }
+                if (filteredSettings.hasOwnProperty('activeBundleIds')) {
+                    validateActiveBundleIds(filteredSettings.activeBundleIds);
+                }
+            } catch (error) {
+                rejected = true;
+                throw error;
+            }
+            savedKeys = Object.keys(filteredSettings);
+            if (savedKeys.length === 0) return { saved: null, historyRecorded: null };
+
+            const writes = { ...filteredSettings };
+            if (filteredSettings.hasOwnProperty('ruleBundles')) {
+                writes[BUNDLE_TIMESTAMPS_KEY] = changes[BUNDLE_TIMESTAMPS_KEY]
+                    ?? updateBundleTimestamps(previous.ruleBundles, filteredSettings.ruleBundles, timestamps, Date.now());
+            }
+            await chrome.storage.local.set(writes);
+            // Queued before the next save can start, so the history follows save order. Not awaited here:
+            // undo and redo wait for the history's queue from inside their save, which would deadlock.
+            return { saved: filteredSettings, historyRecorded: record(previous, { ...previous, ...filteredSettings }) };
+        }));
+        span.setData('keys', savedKeys);
+        if (!saved) return null; // The updater found nothing to change
+        log.info("Local settings saved:", savedKeys); // Keys only: values hold rule contents
+        await span.trace('settingsHistory.record', 'storage.write', () => historyRecorded);
+        // Notify content scripts about the changes. Not awaited: the transaction is sent once the fan-out finishes.
+        notifyContentScriptSettingsChanged(span);
+        return saved;
     } catch (error) {
-        console.error("Error saving local settings:", error);
-        reportErrorToSentry(new Error(`Local storage error: ${error.message}`), { context: 'saveLocalSettings', keys: Object.keys(filteredSettings) });
+        if (rejected) {
+            span.end('invalid_argument');
+            throw error;
+        }
+        span.end('internal_error');
+        log.error("Error saving local settings:", error);
+        reportErrorToSentry(new Error(`Local storage error: ${error.message}`), { context: 'saveLocalSettings', keys: savedKeys });
         throw error;
+    } finally {
+        span.end();
     }
 }
 
-/** Notifies content scripts that settings have changed */
-function notifyContentScriptSettingsChanged() {
-    // Query all tabs - necessary because we don't know which tab the user might switch to
-    chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-            // Ensure the tab has an ID before trying to send a message
-            if (tab.id) {
-                chrome.tabs.sendMessage(tab.id, { type: "settingsUpdated" }, response => { // Changed action to type for consistency
-                    // Check for lastError to avoid console spam if content script isn't injected/listening
-                    if (chrome.runtime.lastError) {
-                        // Common error: "Receiving end does not exist" - safe to ignore.
-                    }
-                });
+/**
+ * Turns the extension on or off for a URL's host by editing domainList.
+ * Adds the host to the list, or removes plain host entries for it, depending on the list type.
+ * The list is read inside the save, so quick successive changes each build on the previous one.
+ * @param {string} url - The page URL (http or https).
+ * @param {boolean|null} allowed - Whether the extension should run on this host; null switches it.
+ * @param {string} [source=SETTINGS_CHANGE_SOURCES.extension] - Where the change came from, shown in the history.
+ * @returns {Promise<boolean>} Whether the extension runs on this host now.
+ * @throws {Error} If the URL isn't a web page, or another pattern (wildcard, path or regex) still decides the result.
+ */
+async function setSiteAllowed(url, allowed, source = SETTINGS_CHANGE_SOURCES.extension) {
+    const parsedUrl = new URL(url);
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        throw new Error("The extension can only be turned on or off for web pages.");
+    }
+    let result;
+    await saveLocalSettings(({ domainList }) => {
+        result = allowed ?? !isUrlAllowed(url, domainList);
+        const updatedDomainList = getDomainListForSite(url, domainList, result);
+        return updatedDomainList && { domainList: updatedDomainList };
+    }, null, { source });
+    return result;
+}
+
+/**
+ * Works out the domainList that turns the extension on or off for a URL's host.
+ * @param {string} url - The page URL (http or https).
+ * @param {object} domainList - The stored domainList.
+ * @param {boolean} allowed - Whether the extension should run on this host.
+ * @returns {object|null} The new domainList, or null if it already gives that result.
+ * @throws {Error} If another pattern (wildcard, path or regex) still decides the result.
+ */
+function getDomainListForSite(url, domainList, allowed) {
+    const hostname = new URL(url).hostname;
+    if (isUrlAllowed(url, domainList) === allowed) return null;
+
+    // Blacklist: blocking adds the host. Whitelist: allowing adds the host. Otherwise remove it.
+    const shouldAddHost = (domainList.type === 'whitelist') === allowed;
+    const domains = shouldAddHost
+        ? [...domainList.domains, hostname]
+        : domainList.domains.filter(entry => {
+            try {
+                const pattern = parseDomainPattern(entry);
+                return !(pattern.kind === 'host' && !pattern.path && pattern.host === hostname);
+            } catch (error) {
+                return true; // Leave invalid entries for the user to fix
             }
         });
-    });
+    const updatedDomainList = { ...domainList, domains };
+
+    if (isUrlAllowed(url, updatedDomainList) !== allowed) {
+        const entry = findMatchingDomainEntry(url, updatedDomainList);
+        throw new Error(`This site is matched by "${entry}" in your site list, which can't be changed from here.`);
+    }
+    return updatedDomainList;
 }
 
-// --- Installation / Update / Startup Handler ---
+/**
+ * Validates the full ruleBundles array: every bundle must match the schema and ids must be unique.
+ * @param {Array<object>} ruleBundles - The bundles about to be saved.
+ * @throws {Error} Describing the first invalid bundle.
+ */
+function validateRuleBundles(ruleBundles) {
+    if (!Array.isArray(ruleBundles)) {
+        throw new Error("ruleBundles must be an array.");
+    }
+    const seenIds = new Set();
+    for (const bundle of ruleBundles) {
+        assertValidBundle(bundle);
+        if (seenIds.has(bundle.id)) {
+            throw new Error(`Duplicate bundle id '${bundle.id}'.`);
+        }
+        seenIds.add(bundle.id);
+    }
+}
 
-/** Creates the periodic alarm for sending stats if it doesn't exist */
-async function ensurePeriodicAlarm() { // Renamed for clarity - ensures it exists or creates
+/**
+ * Validates activeBundleIds: unique bundle ids in priority order.
+ * Ids of bundles that don't exist (any more) are allowed; content scripts skip them.
+ * @param {Array<string>} activeBundleIds - The list about to be saved.
+ * @throws {Error} If it isn't an array of unique strings.
+ */
+function validateActiveBundleIds(activeBundleIds) {
+    if (!Array.isArray(activeBundleIds) || activeBundleIds.some(id => typeof id !== 'string' || !id)) {
+        throw new Error("activeBundleIds must be an array of bundle ids.");
+    }
+    if (new Set(activeBundleIds).size !== activeBundleIds.length) {
+        throw new Error("activeBundleIds lists a bundle more than once.");
+    }
+}
+
+/**
+ * Notifies content scripts (and open extension pages, like the popup) that settings have changed.
+ * @param {object|null} [parentSpan=null] - Span of the save that triggered it; otherwise it is its own transaction.
+ * @returns {Promise<void>} Resolves once every tab has answered or failed.
+ */
+async function notifyContentScriptSettingsChanged(parentSpan = null) {
+    const span = startSpan(parentSpan, 'notifyContentScriptSettingsChanged', 'settings.notify');
+    // Extension pages don't receive tabs.sendMessage; no receiver is fine.
+    chrome.runtime.sendMessage({ type: "settingsUpdated", target: MESSAGE_TARGETS.extensionPages }).catch(() => {});
+    try {
+        // Query all tabs - necessary because we don't know which tab the user might switch to
+        const tabs = (await chrome.tabs.query({})).filter(tab => tab.id);
+        const results = await Promise.allSettled(tabs.map(tab =>
+            chrome.tabs.sendMessage(tab.id, { type: "settingsUpdated", target: MESSAGE_TARGETS.content })));
+        // Rejections are tabs without our content script ("Receiving end does not exist") - safe to ignore.
+        span.setData('tab_count', tabs.length);
+        span.setData('notified_tab_count', results.filter(result => result.status === 'fulfilled').length);
+    } catch (error) {
+        span.end('internal_error');
+        log.warn("Background: Failed to notify tabs of settings change:", error?.message);
+    } finally {
+        span.end();
+    }
+}
+
+// --- Rule Sync (Opt-in, chrome.storage.sync) ---
+// Bundles from other devices are merged into the stored settings inside saveLocalSettings (mergeRemoteBundles()),
+// with their own modification times: local edits saved since the sync run read the settings are kept,
+// content scripts update, and the save isn't mistaken for a local edit.
+const ruleSync = createRuleSync({
+    saveBundles: (remoteChanges) => saveLocalSettings(
+        (stored, timestamps) => mergeRemoteBundles(stored, timestamps, remoteChanges), null, { source: SETTINGS_CHANGE_SOURCES.sync }),
+    // Open options pages re-read the status (e.g. to show or clear the degraded notice).
+    onStatusChange: () => {
+        chrome.runtime.sendMessage({ type: "settingsUpdated", target: MESSAGE_TARGETS.extensionPages }).catch(() => {});
+    },
+    onError: (error) => reportErrorToSentry(error, { context: 'ruleSync' }),
+    logger: log
+});
+
+// Local bundle edits, changes synced from other devices, and the user's choice on any device.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[BUNDLE_TIMESTAMPS_KEY]) {
+        ruleSync.schedule();
+    }
+    if (areaName === 'sync' && (changes[RULE_SYNC_INDEX_KEY] || changes[RULE_SYNC_ENABLED_KEY])) {
+        ruleSync.schedule();
+    }
+});
+
+// --- Settings History (Undo / Redo) ---
+// Restores go through saveLocalSettings, so they are validated, synced and broadcast as 'settingsUpdated'.
+// The snapshot is picked and the history updated inside the save, so no other save can slip in between.
+const settingsHistory = createSettingsHistory({
+    applySettings: (getSettings, onApplied) => saveLocalSettings(getSettings, null, { record: onApplied }),
+    logger: log
+});
+
+// --- Keyboard Shortcuts & Context Menu ---
+// Shortcuts (manifest "commands", rebindable at chrome://extensions/shortcuts) change settings through
+// saveLocalSettings like the popup does, so they are validated, recorded for undo and broadcast.
+// The context menu entry doesn't save anything: it hands the selected text to the options page, where
+// the user finishes the rule and adds it as usual.
+const SHORTCUT_COMMANDS = {
+    toggleEnabled: 'toggle-enabled',
+    toggleSite: 'toggle-site',
+    cycleBundle: 'cycle-bundle'
+};
+const SHORTCUT_BADGE_MS = 1500; // How long the toolbar badge shows a shortcut's result
+const CREATE_RULE_MENU_ID = 'createRuleFromSelection';
+const RULE_DRAFT_KEY = 'ruleDraft'; // chrome.storage.session: cleared when the browser closes
+const RULE_DRAFT_MAX_LENGTH = 500;
+
+/**
+ * Shows a short text on the toolbar icon, then clears it.
+ * @param {string} text - At most about four characters fit.
+ * @param {number} [tabId] - Only on this tab; otherwise on every tab.
+ */
+function flashBadge(text, tabId) {
+    const target = tabId ? { tabId } : {};
+    chrome.action.setBadgeText({ ...target, text }).catch(() => {});
+    setTimeout(() => chrome.action.setBadgeText({ ...target, text: '' }).catch(() => {}), SHORTCUT_BADGE_MS);
+}
+
+/**
+ * Turns the extension on or off everywhere. Reads the current state inside the save, so a quick second
+ * press switches it back.
+ * @param {string} source - Where the change came from, shown in the history.
+ * @returns {Promise<boolean>} Whether it is on now.
+ */
+async function toggleExtensionEnabled(source) {
+    const { isEnabled } = await saveLocalSettings(stored => ({ isEnabled: !stored.isEnabled }), null, { source });
+    return isEnabled;
+}
+
+/**
+ * Moves the top active bundle to the bottom of the priority list, so the next one takes over and every
+ * active bundle stays on. With one bundle active (nothing to rotate), switches to the next bundle in the
+ * list instead; with none, turns on the first. Works from the settings read inside the save, so each press
+ * moves on from the previous one.
+ * @param {string} source - Where the change came from, shown in the history.
+ * @returns {Promise<{bundle: object, position: number, count: number}|null>} The bundle now on top and its
+ *   1-based position in the bundle list, or null if there are no bundles.
+ */
+async function cycleActiveBundle(source) {
+    let result = null;
+    await saveLocalSettings(({ ruleBundles, activeBundleIds }) => {
+        if (ruleBundles.length === 0) return null;
+        const findBundle = id => ruleBundles.find(bundle => bundle.id === id);
+        // Ids of bundles that don't exist (yet) are kept, after the others, but never become the top.
+        const active = activeBundleIds.filter(findBundle);
+        const missing = activeBundleIds.filter(id => !findBundle(id));
+
+        const updatedIds = active.length > 1
+            ? [...active.slice(1), active[0]]
+            : [ruleBundles[(ruleBundles.findIndex(bundle => bundle.id === active[0]) + 1) % ruleBundles.length].id];
+        const position = ruleBundles.findIndex(bundle => bundle.id === updatedIds[0]);
+        result = { bundle: ruleBundles[position], position: position + 1, count: ruleBundles.length };
+        return { activeBundleIds: [...updatedIds, ...missing] };
+    }, null, { source });
+    return result;
+}
+
+// The tab is passed for shortcuts pressed in a page; otherwise the active tab is used.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    const source = SETTINGS_CHANGE_SOURCES.shortcut;
     try {
-        const alarm = await chrome.alarms.get(GENERIC_ALARM_NAME);
-        if (!alarm) {
-            chrome.alarms.create(GENERIC_ALARM_NAME, {
-                periodInMinutes: 1440, // Daily - example period
-                delayInMinutes: 5 // Optional: Delay first run slightly after install/startup
-            });
-            console.log(`Background: Created daily alarm '${GENERIC_ALARM_NAME}'.`);
+        if (command === SHORTCUT_COMMANDS.toggleEnabled) {
+            const enabled = await toggleExtensionEnabled(source);
+            log.info(`Background: Turned the extension ${enabled ? 'on' : 'off'} from a keyboard shortcut.`);
+            flashBadge(enabled ? 'ON' : 'OFF');
+        } else if (command === SHORTCUT_COMMANDS.toggleSite) {
+            const [activeTab] = tab?.url ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!activeTab?.url) throw new Error("There is no page to turn the extension on or off for.");
+            let allowed;
+            try {
+                allowed = await setSiteAllowed(activeTab.url, null, source);
+            } catch (error) {
+                // Not a web page, or a pattern the shortcut can't change: nothing to report.
+                log.warn("Background: Could not toggle the site from a keyboard shortcut:", error.message);
+                flashBadge('!', activeTab.id);
+                return;
+            }
+            flashBadge(allowed ? 'ON' : 'OFF', activeTab.id);
+        } else if (command === SHORTCUT_COMMANDS.cycleBundle) {
+            const result = await cycleActiveBundle(source);
+            if (!result) {
+                flashBadge('!');
+                return;
+            }
+            log.info(`Background: Made bundle "${result.bundle.name}" the top bundle from a keyboard shortcut.`);
+            flashBadge(`${result.position}/${result.count}`);
         } else {
-            console.log(`Background: Alarm '${GENERIC_ALARM_NAME}' already exists.`);
+            log.warn("Background: Unknown command:", command);
+            return;
         }
+        reportGaEvent('shortcut_used', { command });
+    } catch (error) {
+        log.error(`Background: Keyboard shortcut '${command}' failed:`, error.message);
+        flashBadge('!', tab?.id);
+        reportErrorToSentry(error, { context: 'onCommand', command });
+    }
+});
+
+// Menu items persist across browser restarts but not across updates, so they are (re)created on every install event.
+chrome.runtime.onInstalled.addListener(async () => {
+    try {
+        await chrome.contextMenus.removeAll();
+        chrome.contextMenus.create({ id: CREATE_RULE_MENU_ID, title: 'Create a rule from "%s"', contexts: ['selection'] });
+    } catch (error) {
+        reportErrorToSentry(error, { context: 'createContextMenus' });
+    }
+});
+
+// Keeps the selection as a rule draft and opens the options page, which takes it (see 'takeRuleDraft').
+// An options page that is already open is told to take it, since openOptionsPage() only focuses it.
+chrome.contextMenus.onClicked.addListener(async (info) => {
+    if (info.menuItemId !== CREATE_RULE_MENU_ID) return;
+    // Verbatim apart from the ends, so a plain-text rule matches the page it came from.
+    const find = (info.selectionText || '').trim().slice(0, RULE_DRAFT_MAX_LENGTH);
+    if (!find) return;
+    try {
+        await chrome.storage.session.set({ [RULE_DRAFT_KEY]: { find, createdAt: Date.now() } });
+        await chrome.runtime.openOptionsPage();
+        chrome.runtime.sendMessage({ type: "ruleDraftAvailable", target: MESSAGE_TARGETS.extensionPages }).catch(() => {});
+        reportGaEvent('context_menu_used', { action: 'create_rule' });
     } catch (error) {
-        console.error(`Background: Error creating alarm '${GENERIC_ALARM_NAME}':`, error);
-        reportErrorToSentry(error, { context: 'createStatsAlarm' });
+        log.error("Background: Could not start a rule from the selection:", error.message);
+        reportErrorToSentry(error, { context: 'contextMenus.onClicked' });
+    }
+});
+
+// --- Preloaded Bundles ---
+
+/**
+ * Computes a SHA-256 fingerprint of a bundle, used to detect local edits to preloaded bundles.
+ * @param {object} bundle - The bundle as stored in ruleBundles.
+ * @returns {Promise<string>} Hex digest.
+ */
+async function fingerprintBundle(bundle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableStringify(bundle)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads and validates the bundles listed in /bundles/manifest.json.
+ * Invalid or unreadable files are reported and returned as skipped instead of aborting the load.
+ * @returns {Promise<{bundles: Array<object>, skipped: Array<{id: string, reason: string}>}>}
+ */
+async function loadPackagedBundles() {
+    const manifestResponse = await fetch(chrome.runtime.getURL(`${PRELOADED_BUNDLES_DIR}/manifest.json`));
+    if (!manifestResponse.ok) {
+        throw new Error(`Could not read ${PRELOADED_BUNDLES_DIR}/manifest.json (${manifestResponse.status}).`);
+    }
+    const { bundles: fileNames = [] } = await manifestResponse.json();
+
+    const bundles = [];
+    const skipped = [];
+    for (const fileName of fileNames) {
+        try {
+            const response = await fetch(chrome.runtime.getURL(`${PRELOADED_BUNDLES_DIR}/${fileName}`));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const bundle = await response.json();
+            assertValidBundle(bundle);
+            bundles.push(bundle);
+        } catch (error) {
+            log.error(`Background: Skipping preloaded bundle file '${fileName}':`, error);
+            reportErrorToSentry(error, { context: 'loadPackagedBundles', fileName });
+            skipped.push({ id: fileName, reason: `invalid: ${error.message}` });
+        }
+    }
+    return { bundles, skipped };
+}
+
+/**
+ * Merges the packaged bundles into ruleBundles by id and version.
+ * - New ids are added.
+ * - Bundles we installed earlier are replaced when the packaged version is newer, unless the user
+ *   has edited them since (detected by fingerprint).
+ * - User-created bundles that happen to share an id are never touched.
+ * @param {object|null} [parentSpan=null] - Span of the install or update being handled.
+ * @returns {Promise<{added: Array<string>, updated: Array<string>, skipped: Array<{id: string, reason: string}>}>}
+ */
+async function processPreloadedBundles(parentSpan = null) {
+    const report = { added: [], updated: [], skipped: [] };
+    const span = startSpan(parentSpan, 'processPreloadedBundles', 'bundles.preload');
+    try {
+        const { bundles: packagedBundles, skipped: invalidFiles } = await span.trace('loadPackagedBundles', 'bundles.load', () => loadPackagedBundles());
+        report.skipped.push(...invalidFiles);
+
+        const {
+            ruleBundles = [],
+            [PRELOADED_FINGERPRINTS_KEY]: fingerprints = {}
+        } = await chrome.storage.local.get(['ruleBundles', PRELOADED_FINGERPRINTS_KEY]);
+        const mergedBundles = [...ruleBundles];
+
+        for (const packaged of packagedBundles) {
+            const bundle = { ...packaged, source: 'preloaded' };
+            const existingIndex = mergedBundles.findIndex(existing => existing.id === bundle.id);
+
+            if (existingIndex === -1) {
+                mergedBundles.push(bundle);
+                fingerprints[bundle.id] = await fingerprintBundle(bundle);
+                report.added.push(bundle.id);
+                continue;
+            }
+
+            const existing = mergedBundles[existingIndex];
+            if (!fingerprints[bundle.id]) {
+                report.skipped.push({ id: bundle.id, reason: 'id used by a local bundle' });
+            } else if (fingerprints[bundle.id] !== await fingerprintBundle(existing)) {
+                report.skipped.push({ id: bundle.id, reason: 'modified locally' });
+            } else if (bundle.version <= (existing.version || 0)) {
+                report.skipped.push({ id: bundle.id, reason: 'up to date' });
+            } else {
+                mergedBundles[existingIndex] = bundle;
+                fingerprints[bundle.id] = await fingerprintBundle(bundle);
+                report.updated.push(bundle.id);
+            }
+        }
+
+        if (report.added.length > 0 || report.updated.length > 0) {
+            await saveLocalSettings({ ruleBundles: mergedBundles }, span, { source: SETTINGS_CHANGE_SOURCES.preloaded });
+            await chrome.storage.local.set({ [PRELOADED_FINGERPRINTS_KEY]: fingerprints });
+        }
+        log.info("Background: Preloaded bundles processed:", report);
+    } catch (error) {
+        span.end('internal_error');
+        log.error("Background: Error processing preloaded bundles:", error);
+        reportErrorToSentry(error, { context: 'processPreloadedBundles' });
+    }
+    span.setData('added_count', report.added.length);
+    span.setData('updated_count', report.updated.length);
+    span.setData('skipped_count', report.skipped.length);
+    span.end();
+    return report;
+}
+
+// --- Storage Migrations ---
+
+/**
+ * Brings stored settings up to the current schema version (storage-migrations.js).
+ * A failed migration leaves storage as it was and is reported to Sentry.
+ * @param {object|null} [parentSpan=null] - Span of the install or update being handled.
+ * @returns {Promise<boolean>} True if storage is at the current schema version.
+ */
+async function migrateStoredSettings(parentSpan = null) {
+    const span = startSpan(parentSpan, 'runStorageMigrations', 'storage.migrate');
+    try {
+        const { fromVersion, toVersion, applied, restoredBackup } = await runStorageMigrations(
+            { local: defaultLocalSettings, sync: defaultSyncSettings }, { logger: log });
+        span.setData('from_version', fromVersion);
+        span.setData('to_version', toVersion);
+        span.setData('applied_count', applied.length);
+        if (restoredBackup) {
+            reportMessageToSentry('Restored backup from an interrupted storage migration', { fromVersion, toVersion });
+        }
+        return true;
+    } catch (error) {
+        span.end('internal_error');
+        log.error("Background: Storage migration failed:", error);
+        reportErrorToSentry(error, { context: 'runStorageMigrations', ...error.details });
+        return false;
+    } finally {
+        span.end();
+    }
+}
+
+// --- Installation / Update / Startup Handler ---
+
+/** Creates the daily periodic alarms (stats, license re-validation) if they don't exist */
+async function ensurePeriodicAlarm() { // Renamed for clarity - ensures it exists or creates
+    for (const alarmName of [GENERIC_ALARM_NAME, LICENSE_ALARM_NAME]) {
+        try {
+            const alarm = await chrome.alarms.get(alarmName);
+            if (!alarm) {
+                chrome.alarms.create(alarmName, {
+                    periodInMinutes: 1440, // Daily - example period
+                    delayInMinutes: 5 // Optional: Delay first run slightly after install/startup
+                });
+                console.log(`Background: Created daily alarm '${alarmName}'.`);
+            } else {
+                console.log(`Background: Alarm '${alarmName}' already exists.`);
+            }
+        } catch (error) {
+            log.error(`Background: Error creating alarm '${alarmName}':`, error);
+            reportErrorToSentry(error, { context: 'ensurePeriodicAlarm', alarmName });
+        }
+    }
 }
-} // Corrected function closing brace
 
 // Run alarm creation on startup
-createStatsAlarm();
+ensurePeriodicAlarm();
+
+// Retry any GA4 events left over from a previous service worker lifetime, finish (or roll back)
+// a storage migration the browser interrupted, and pick up rules synced while the browser was closed.
+chrome.runtime.onStartup.addListener(async () => {
+    flushGaEventQueue();
+    if (await migrateStoredSettings()) ruleSync.schedule();
+});
 
 // Make the listener async to allow awaiting operations
 chrome.runtime.onInstalled.addListener(async (details) => {
-  console.log("Background: onInstalled listener started. Reason:", details.reason);
+  log.info("Background: onInstalled listener started. Reason:", details.reason);
+  const span = startSpan(null, 'onInstalled', 'extension.install', { reason: details.reason });
 
   try {
     // Handle first installation.
@@ -502,18 +1195,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         // Send GA4 install event BEFORE applying settings to potentially capture early errors
         reportGaEvent('extension_installed', { install_reason: details.reason });
 
-        // Set sync defaults
-        await chrome.storage.sync.set(defaultSyncSettings);
-        console.log("Default sync settings applied.");
-
-        // Set local defaults. Handle potential errors during storage ops.
-        await chrome.storage.local.set(defaultLocalSettings);
-        console.log("Default local settings applied.");
+        // Apply defaults and record the schema version. Only missing keys are set, so a license or
+        // consent synced from another device is kept.
+        const migrated = await migrateStoredSettings(span);
 
         // Ensure the alarm is created on install.
         await ensurePeriodicAlarm();
 
-        // Process preloaded bundles on first install
+        // Process preloaded bundles on first install, then fetch rules synced from other devices.
+        if (migrated) {
+            await processPreloadedBundles(span);
+            ruleSync.schedule();
+        }
     }
     // Handle extension updates.
     else if (details.reason === 'update') {
@@ -527,51 +1220,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         // Ensure alarm exists after update.
         await ensurePeriodicAlarm();
 
-        // Check and apply defaults if missing (handles migration to split storage)
-        const syncKeysToCheck = Object.keys(defaultSyncSettings);
-        const localKeysToCheck = Object.keys(defaultLocalSettings);
-
-        const currentSync = await chrome.storage.sync.get(syncKeysToCheck);
-        const syncToSet = {};
-        for (const key of syncKeysToCheck) {
-            if (currentSync[key] === undefined) {
-                syncToSet[key] = defaultSyncSettings[key];
-            }
-        }
-        if (Object.keys(syncToSet).length > 0) {
-            await chrome.storage.sync.set(syncToSet);
-            console.log("Applied missing sync defaults on update:", syncToSet);
-        }
-
-        const currentLocal = await chrome.storage.local.get(localKeysToCheck);
-        const localToSet = {};
-        for (const key of localKeysToCheck) {
-            // Check if the key is missing in local storage.
-            if (currentLocal[key] === undefined) {
-                 // Special handling: If ruleBundles exists in sync but not local (migration case)
-                 if (key === 'ruleBundles') {
-                     // Check if ruleBundles exists in sync storage
-                     const syncResult = await chrome.storage.sync.get('ruleBundles');
-                     if (syncResult && syncResult.ruleBundles) {
-                         localToSet.ruleBundles = syncResult.ruleBundles;
-                         // Remove from sync after successful migration to local
-                         await chrome.storage.sync.remove('ruleBundles');
-                         console.log("Migrated ruleBundles from sync to local on update.");
-                         continue; // Skip applying default if migrated
-                     }
-                 }
-                 // Apply default if not found in local and not migrated
-                 localToSet[key] = defaultLocalSettings[key];
-            }
-        }
-         if (Object.keys(localToSet).length > 0) {
-            await chrome.storage.local.set(localToSet);
-            console.log("Applied missing local defaults on update:", localToSet);
+        // Bring stored settings up to the current schema. If that failed (and was rolled back),
+        // leave the bundles alone too.
+        if (await migrateStoredSettings(span)) {
+            // Load/update preloaded bundles on update as well
+            await processPreloadedBundles(span);
+            ruleSync.schedule();
         }
 
-        // Load/update preloaded bundles on update as well
-        await processPreloadedBundles();
-
     } // Corrected else if block closing brace
     // Handle browser updates or Chrome updates (usually less critical for tracking).
     else if (details.reason === 'chrome_update' || details.reason === 'shared_module_update') {
@@ -580,148 +1236,450 @@ chrome.runtime.onInstalled.addListener(async (details) => {
          // reportGaEvent('browser_updated', { update_reason: details.reason });
          // Ensure alarm exists after these updates too
          await ensurePeriodicAlarm();
+    }
     // Log any other unexpected reasons.
     else {
          console.log("Background: onInstalled - Unhandled reason:", details.reason);
          // Process preloads here too as a fallback
          await ensurePeriodicAlarm(); // Ensure alarm is set for any unhandled reason
-         await processPreloadedBundles();
+         await processPreloadedBundles(span);
     }
 
   } catch (error) {
       // Catch errors from the try block (e.g., storage error during install).
-      console.error("Background: Caught error inside onInstalled listener:", error);
+      span.end('internal_error');
+      log.error("Background: Caught error inside onInstalled listener:", error);
       reportErrorToSentry(error, { event: 'onInstalled', reason: details.reason });
       // Optionally attempt to send a GA event indicating failure, though it might also fail.
       // reportGaEvent('install_update_error', { reason: details.reason, error_message: error.message });
-  } finally {
-      // Ensure the offscreen document exists or is created after handling install/update.
-      console.log("Background: Calling setupOffscreenDocument from onInstalled finally block.");
-      setupOffscreenDocument();
   }
+  span.end();
 });
 
 
-// --- Alarm Listener for Periodic Stats ---
+// --- Usage Statistics ---
+
+/**
+ * Serializes read-modify-write access to the usage counters, since content scripts in many tabs report at once.
+ * @param {function(object): object} operation - Receives the current counters and returns the new ones.
+ * @returns {Promise<object>} The counters before the operation.
+ */
+function updateUsageCounters(operation) {
+    const run = usageCountersLock.then(async () => {
+        const { [USAGE_COUNTERS_KEY]: counters = { replacements: 0 } } = await chrome.storage.local.get(USAGE_COUNTERS_KEY);
+        await chrome.storage.local.set({ [USAGE_COUNTERS_KEY]: operation(counters) });
+        return counters;
+    });
+    usageCountersLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Builds the aggregate parameters of the daily rule_bundle_stats event.
+ * Only counts are reported, never rule text, bundle names or domains.
+ * @param {object} settings - Local settings merged over defaults.
+ * @param {number} replacements - Replacements applied since the last report.
+ * @returns {object} GA4 event parameters.
+ */
+function buildUsageStats(settings, replacements) {
+    const rules = settings.ruleBundles.flatMap(bundle => bundle.rules);
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    const bundleIds = new Set(settings.ruleBundles.map(bundle => bundle.id));
+    const countRules = (matchType) => rules.filter(rule => rule.matchType === matchType).length;
+    return {
+        is_enabled: settings.isEnabled,
+        global_domain_filter_type: settings.domainList?.type || 'disabled',
+        domain_list_size: settings.domainList?.domains?.length ?? 0,
+        bundle_count: settings.ruleBundles.length,
+        active_bundle_count: settings.activeBundleIds.filter(id => bundleIds.has(id)).length,
+        site_scoped_bundle_count: settings.ruleBundles.filter(bundle => bundle.domains?.include?.length || bundle.domains?.exclude?.length).length,
+        rule_count: rules.length,
+        disabled_rule_count: settings.disabledRuleIds.filter(id => ruleIds.has(id)).length,
+        plain_rule_count: countRules('plain'),
+        whole_word_rule_count: countRules('wholeWord'),
+        regex_rule_count: countRules('regex'),
+        replacements_since_last_report: replacements
+    };
+}
+
+// --- Alarm Listener for Periodic Stats & GA4 Queue Retries ---
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === GA_QUEUE_ALARM_NAME) {
+        console.log(`Background: Alarm '${GA_QUEUE_ALARM_NAME}' triggered. Flushing GA4 event queue...`);
+        await flushGaEventQueue();
+        return;
+    }
+    if (alarm.name === RULE_SYNC_ALARM_NAME) {
+        console.log(`Background: Alarm '${RULE_SYNC_ALARM_NAME}' triggered. Retrying rule sync...`);
+        await ruleSync.syncNow();
+        return;
+    }
+    if (alarm.name === LICENSE_ALARM_NAME) {
+        console.log(`Background: Alarm '${LICENSE_ALARM_NAME}' triggered. Re-validating license...`);
+        try {
+            await revalidateStoredLicense();
+        } catch (error) {
+            log.error(`Background: Error during alarm '${LICENSE_ALARM_NAME}':`, error);
+            reportErrorToSentry(error, { context: 'onAlarmHandler', alarmName: LICENSE_ALARM_NAME });
+        }
+        return;
+    }
     if (alarm.name === GENERIC_ALARM_NAME) {
-        console.log(`Background: Alarm '${GENERIC_ALARM_NAME}' triggered. Example periodic task...`);
+        console.log(`Background: Alarm '${GENERIC_ALARM_NAME}' triggered. Sending usage statistics...`);
         try {
-            // Fetch necessary settings for the stats event.
-            const syncSettings = await chrome.storage.sync.get(['isLicensed']);
-            const localSettings = await chrome.storage.local.get(['isEnabled', 'domainList', 'ruleBundles']);
-
-            // Check for errors after *both* fetches
-            if (chrome.runtime.lastError) {
-                // Note: lastError is often overwritten quickly. This might not catch all errors.
-                // Consider wrapping each .get() in its own try/catch if more granular error handling is needed.
-                throw new Error(`Storage read error: ${chrome.runtime.lastError.message}`);
-            }
+            const activeLicense = await getActiveLicense();
+            const storedSettings = await chrome.storage.local.get(['isEnabled', 'domainList', 'ruleBundles', 'activeBundleIds', 'disabledRuleIds']);
+            const { replacements } = await updateUsageCounters(counters => counters);
 
-            // Combine loaded settings with defaults for reporting.
-            const currentIsLicensed = syncSettings?.isLicensed ?? defaultSyncSettings.isLicensed;
-            const currentIsEnabled = localSettings?.isEnabled ?? defaultLocalSettings.isEnabled;
-            const currentDomainList = localSettings?.domainList ?? defaultLocalSettings.domainList;
-            const currentBundles = localSettings?.ruleBundles ?? defaultLocalSettings.ruleBundles;
-
-            // --- Prepare GA4 Event Parameters ---
-            const statsParams = { // Renamed variable for clarity
-                is_enabled: currentIsEnabled,
-                is_licensed: currentIsLicensed,
-                global_domain_filter_type: currentDomainList?.type || 'disabled',
+            const statsParams = {
+                ...buildUsageStats({ ...defaultLocalSettings, ...storedSettings }, replacements),
+                is_licensed: Boolean(activeLicense)
             };
-
             console.log("Background: Calculated stats:", statsParams);
 
-            // --- Send GA4 Event ---
             await reportGaEvent('rule_bundle_stats', statsParams);
+            // Subtract what was reported rather than zeroing, so replacements recorded meanwhile carry over.
+            await updateUsageCounters(counters => ({ ...counters, replacements: Math.max(0, counters.replacements - replacements) }));
             console.log("Background: Sent rule_bundle_stats event.");
 
          } catch (error) {
-            console.error(`Background: Error during alarm '${GENERIC_ALARM_NAME}':`, error); // Use GENERIC_ALARM_NAME
-            reportErrorToSentry(error, { context: 'onAlarmHandler', alarmName: RULE_STATS_ALARM_NAME });
+            log.error(`Background: Error during alarm '${GENERIC_ALARM_NAME}':`, error); // Use GENERIC_ALARM_NAME
+            reportErrorToSentry(error, { context: 'onAlarmHandler', alarmName: GENERIC_ALARM_NAME });
         }
     }
 });
 
 
-// --- Message Listener for Inter-component Communication ---
-// Handles messages from popup.js, options.js, or content scripts.
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Handle license validation requests (typically from options.js).
-  if (request.action === "validateLicense") {
-    validateLicenseKey(request.key)
-      .then(isValid => {
-          if (isValid) {
-              // If valid, save the updated license status to sync storage
-              // No need to await here, let it save in the background
-              saveSyncSettings({ isLicensed: true });
-          }
-          // Send successful response back to options.js.
-          sendResponse({ success: true, isValid: isValid });
-      })
-      .catch(error => {
-          // Log the error and send failure response back.
-          console.error("License validation failed:", error);
-          reportErrorToSentry(error, { context: 'validateLicense message handler' }); // Report validation errors
-          sendResponse({ success: false, error: error?.message || 'Validation failed' });
-      });
-    // Return true to indicate asynchronous response.
-    return true; // Indicate async response for validateLicense
-} // Corrected closing brace for validateLicense handler
-
-  // Handle Generic GA4 Event tracking requests
-  if (request.action === "trackGaEvent" && request.payload?.eventName) {
-      const eventName = request.payload.eventName;
-      // Extract optional parameters, defaulting to an empty object if none provided
-      const eventParams = request.payload.params || {};
-      console.log(`Background: Received trackGaEvent request for: ${eventName}`, eventParams);
-
-      // Call the existing reportGaEvent function with name and params.
-      // No need to await here, let it run in the background.
-      reportGaEvent(eventName, eventParams);
-
-      // Send a simple acknowledgement response (optional).
-      sendResponse({ success: true, message: `GA event ${eventName} queued.` });
-      // Return false as the response is synchronous or fire-and-forget.
-      return false;
-  }
+// --- Message Router for Inter-component Communication ---
+// Handles typed messages (message-bus.js) from popup.js, options.js, content scripts and the offscreen document.
+const backgroundRouter = createMessageRouter(MESSAGE_TARGETS.background);
+const EXTENSION_PAGES_ONLY = [SENDER_CONTEXTS.extensionPage];
+const PAGES_AND_CONTENT = [SENDER_CONTEXTS.extensionPage, SENDER_CONTEXTS.contentScript];
 
-  // Handle generic error reporting requests (if options/popup want to report)
-  if (request.action === "reportError" && request.payload) {
-       console.log("Background: Received reportError request.");
-       const { source, message, error: errorDetails, context } = request.payload;
-       const errorToReport = new Error(errorDetails?.message || message || 'Unknown error from UI');
-       if (errorDetails?.name) errorToReport.name = errorDetails.name; // Corrected conditional assignment
-       // No need to await here
-       reportErrorToSentry(errorToReport, { source, ...context });
-       sendResponse({ success: true });
-       return false; // Synchronous response
-   }
+/** Names the extension page a settings change came from, for the settings history. */
+function getSettingsChangeSource(sender) {
+    const path = sender.url ? new URL(sender.url).pathname : '';
+    if (path === '/popup.html') return SETTINGS_CHANGE_SOURCES.popup;
+    if (path === '/options.html') return SETTINGS_CHANGE_SOURCES.options;
+    return SETTINGS_CHANGE_SOURCES.extension;
+}
+
+// License validation from the options page. Content scripts run inside web pages, so they must never
+// be able to activate a license.
+backgroundRouter.register('validateLicense', {
+    schema: { key: 'string' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async ({ key }) => {
+        const result = await validateLicenseKey(key);
+        if (result.isValid) {
+            // If valid, store the decoded license in sync storage
+            await saveSyncSettings({ license: result.license });
+            log.info("Background: License activated.");
+            reportGaEvent('license_activated', { entitlement_count: result.license.entitlements.length });
+        }
+        return { isValid: result.isValid, license: result.license, reason: result.error };
+    }
+});
+
+// License reads (stored license, even if expired, so the UI can say so).
+backgroundRouter.register('getLicense', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        const { license = null } = await chrome.storage.sync.get('license');
+        return { license };
+    }
+});
 
+backgroundRouter.register('removeLicense', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        await saveSyncSettings({ license: null });
+        log.info("Background: License removed by user.");
+    }
+});
+
+// Readiness handshake from a newly loaded offscreen document. Flushes any GA4 events queued
+// while it was closed; the flush itself waits for the handshake to finish.
+backgroundRouter.register('offscreenReady', {
+    senders: [SENDER_CONTEXTS.offscreen],
+    handler: () => {
+        console.log("Background: Offscreen document ready.");
+        offscreenManager.handleReady();
+        flushGaEventQueue();
+    }
+});
 
-    // Handle GA4 Page View tracking requests (typically from popup.js or options.js)
-    if (request.action === "trackPageView" && request.payload?.pagePath) {
-        const pagePath = request.payload.pagePath;
-        const pageTitle = request.payload.pageTitle || pagePath; // Use path as title if none provided
+backgroundRouter.register('getTelemetryConsent', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => ({ consent: await getTelemetryConsent() })
+});
+
+// storage.onChanged applies the consequences (ID deletion, offscreen update).
+backgroundRouter.register('updateTelemetryConsent', {
+    schema: { analytics: 'boolean?', crashReports: 'boolean?' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async ({ analytics, crashReports }) => {
+        const consentToSave = {};
+        if (analytics !== undefined) consentToSave.analyticsEnabled = analytics;
+        if (crashReports !== undefined) consentToSave.crashReportsEnabled = crashReports;
+        await saveSyncSettings(consentToSave);
+        return { consent: await getTelemetryConsent() };
+    }
+});
+
+// Report whether the extension runs on a URL (defaults to the sender tab's URL).
+backgroundRouter.register('getDomainStatus', {
+    schema: { url: 'string?' },
+    senders: PAGES_AND_CONTENT,
+    handler: async (payload, sender) => {
+        const url = payload.url || sender.tab?.url;
+        const { domainList = defaultLocalSettings.domainList } = await chrome.storage.local.get('domainList');
+        return {
+            allowed: url ? isUrlAllowed(url, domainList) : false,
+            matchedEntry: url ? findMatchingDomainEntry(url, domainList) : null,
+            listType: domainList.type
+        };
+    }
+});
+
+// Settings reads from the options page and popup (stored values merged over defaults).
+backgroundRouter.register('getLocalSettings', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        const stored = await chrome.storage.local.get(Object.keys(defaultLocalSettings));
+        return { settings: { ...defaultLocalSettings, ...stored } };
+    }
+});
+
+// Settings writes from the options page and popup. Goes through saveLocalSettings so
+// settings are validated and content scripts receive 'settingsUpdated'.
+// UI saves are checked against entitlement limits; internal saves (e.g. preloaded bundles) are not.
+backgroundRouter.register('saveLocalSettings', {
+    schema: {
+        isEnabled: 'boolean?',
+        domainList: 'object?',
+        ruleBundles: 'array?',
+        activeBundleIds: 'array?',
+        disabledRuleIds: 'array?'
+    },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async (changes, sender) => {
+        if (changes.ruleBundles) {
+            const { ruleBundles: currentBundles = [] } = await chrome.storage.local.get('ruleBundles');
+            const violation = findEntitlementViolation(currentBundles, changes.ruleBundles, await getEntitlements());
+            if (violation) {
+                reportGaEvent('entitlement_limit_reached', { limit: violation.limit, source: 'save' });
+                throw createMessageError('limit_reached', violation.message, { limit: violation.limit });
+            }
+        }
+        await saveLocalSettings(changes, null, { source: getSettingsChangeSource(sender) });
+    }
+});
+
+// Settings history for the options page: what undo and redo would do, and the snapshots to restore.
+backgroundRouter.register('getSettingsHistory', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => ({ history: await settingsHistory.list() })
+});
+
+// Undo, redo and restore apply a snapshot through saveLocalSettings (not checked against entitlement
+// limits: they only bring back settings the user had). Each answers with the updated history.
+backgroundRouter.register('undoSettingsChange', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => ({ history: await settingsHistory.undo() })
+});
+
+backgroundRouter.register('redoSettingsChange', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => ({ history: await settingsHistory.redo() })
+});
+
+backgroundRouter.register('restoreSettingsSnapshot', {
+    schema: { id: 'string' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async ({ id }) => ({ history: await settingsHistory.restore(id) })
+});
+
+// Rule sync choice and status for the options page.
+backgroundRouter.register('getRuleSyncStatus', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => ({ enabled: await ruleSync.isEnabled(), status: await ruleSync.getStatus() })
+});
+
+// Turning sync on merges this device's bundles with the synced ones; turning it off (for every device,
+// since the choice is synced) removes the synced copy. Bundles stay in local storage either way.
+backgroundRouter.register('setRuleSyncEnabled', {
+    schema: { enabled: 'boolean' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async ({ enabled }) => {
+        await saveSyncSettings({ [RULE_SYNC_ENABLED_KEY]: enabled });
+        const status = enabled ? await ruleSync.syncNow() : await ruleSync.disable();
+        return { enabled, status };
+    }
+});
+
+// Entitlement reads from popup, options and content scripts.
+backgroundRouter.register('getEntitlements', {
+    senders: PAGES_AND_CONTENT,
+    handler: getEntitlements
+});
+
+// Limit hits detected by UI pages before they try to save (e.g. a gated button was clicked).
+backgroundRouter.register('entitlementLimitReached', {
+    schema: { limit: 'string', source: 'string?' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: ({ limit, source }) => {
+        reportGaEvent('entitlement_limit_reached', { limit, source: source || 'ui' });
+    }
+});
+
+// Per-site on/off from the popup.
+backgroundRouter.register('setSiteEnabled', {
+    schema: { url: 'string', enabled: 'boolean' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async ({ url, enabled }, sender) => {
+        await setSiteAllowed(url, enabled, getSettingsChangeSource(sender));
+    }
+});
+
+// The rule started from the context menu, for the options page. Handed out once.
+backgroundRouter.register('takeRuleDraft', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        const { [RULE_DRAFT_KEY]: draft = null } = await chrome.storage.session.get(RULE_DRAFT_KEY);
+        if (draft) await chrome.storage.session.remove(RULE_DRAFT_KEY);
+        return { draft };
+    }
+});
+
+// Generic GA4 event tracking. Not awaited: the event is queued and flushed in the background.
+backgroundRouter.register('trackGaEvent', {
+    schema: { eventName: 'string', params: 'object?' },
+    senders: PAGES_AND_CONTENT,
+    handler: ({ eventName, params = {} }) => {
+        console.log(`Background: Received trackGaEvent request for: ${eventName}`, params);
+        reportGaEvent(eventName, params);
+    }
+});
+
+// Replacement counts from content scripts, summed into the next rule_bundle_stats event.
+// Nothing is accumulated for users who turned analytics off.
+backgroundRouter.register('recordReplacements', {
+    schema: { count: 'number' },
+    senders: [SENDER_CONTEXTS.contentScript],
+    handler: async ({ count }) => {
+        if (!Number.isInteger(count) || count < 0) {
+            throw createMessageError(MESSAGE_ERROR_CODES.invalidPayload, "'count' must be a non-negative integer.");
+        }
+        if (count === 0 || !(await getTelemetryConsent()).analytics) return;
+        await updateUsageCounters(counters => ({ ...counters, replacements: counters.replacements + count }));
+    }
+});
+
+// Error reports from extension pages and content scripts.
+backgroundRouter.register('reportError', {
+    schema: { source: 'string?', message: 'string?', error: 'object?', context: 'object?', breadcrumbs: 'array?' },
+    senders: PAGES_AND_CONTENT,
+    handler: ({ source, message, error: errorDetails, context, breadcrumbs = [] }) => {
+        const errorToReport = new Error(errorDetails?.message || message || 'Unknown error from UI');
+        if (errorDetails?.name) errorToReport.name = errorDetails.name;
+        // Keep the page's own stack rather than this handler's.
+        if (typeof errorDetails?.stack === 'string') errorToReport.stack = errorDetails.stack;
+        log.error(`Background: Error reported by ${source || 'unknown source'}: ${message || errorToReport.message}`, errorToReport);
+        reportErrorToSentry(errorToReport, { source, description: message, ...context }, { origin: source || 'unknown', breadcrumbs });
+    }
+});
+
+// Transactions timed by content scripts (performance-tracing.js).
+backgroundRouter.register('reportTransaction', {
+    schema: {
+        name: 'string', op: 'string', traceId: 'string', spanId: 'string', startTimestamp: 'number',
+        timestamp: 'number', status: 'string', data: 'object?', spans: 'array'
+    },
+    senders: [SENDER_CONTEXTS.contentScript],
+    handler: (transaction) => {
+        reportTransactionToSentry(transaction, 'content');
+    }
+});
+
+// GA4 page views are just events with the 'page_view' name.
+backgroundRouter.register('trackPageView', {
+    schema: { pagePath: 'string', pageTitle: 'string?' },
+    senders: EXTENSION_PAGES_ONLY,
+    handler: ({ pagePath, pageTitle }) => {
         console.log(`Background: Received trackPageView request for: ${pagePath}`);
+        reportGaEvent('page_view', { page_path: pagePath, page_title: pageTitle || pagePath });
+    }
+});
 
-        // Use the existing reportGaEvent function for page views.
-        // GA4 page views are just events with specific parameters ('page_view' event name).
-        reportGaEvent('page_view', {
-            page_path: pagePath,
-            page_title: pageTitle,
-            // Add other relevant page view parameters if needed
-            // For example: screen_resolution, viewport_size etc.
-            // Refer to GA4 Measurement Protocol documentation for standard parameters.
-        });
+// Activity log entries from contexts without storage access (the offscreen document).
+backgroundRouter.register('logActivity', {
+    schema: { timestamp: 'string', level: 'string', source: 'string', message: 'string', details: 'array?' },
+    senders: [SENDER_CONTEXTS.offscreen],
+    handler: (entry) => {
+        if (!ACTIVITY_LOG_LEVELS.includes(entry.level)) {
+            throw createMessageError(MESSAGE_ERROR_CODES.invalidPayload, `Unknown log level '${entry.level}'.`);
+        }
+        activityLogSink(entry);
+    }
+});
 
-        sendResponse({ success: true, message: `GA page view ${pagePath} queued.` });
-        return false; // Synchronous response
+// Everything the diagnostics page shows. Rule contents never leave the settings summary (counts only);
+// the page redacts ids and rule text again before copying a report.
+backgroundRouter.register('getDiagnostics', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        const stored = await chrome.storage.local.get([
+            ...Object.keys(defaultLocalSettings), ACTIVITY_LOG_KEY, GA_QUEUE_STORAGE_KEY, GA_QUEUE_RETRY_KEY, USAGE_COUNTERS_KEY,
+            SCHEMA_VERSION_KEY, RULE_SYNC_STATUS_KEY
+        ]);
+        const settings = { ...defaultLocalSettings, ...stored };
+        const gaQueue = stored[GA_QUEUE_STORAGE_KEY] || [];
+        const { tier } = await getEntitlements();
+        return {
+            generatedAt: new Date().toISOString(),
+            version: manifestVersion,
+            schemaVersion: stored[SCHEMA_VERSION_KEY] ?? null,
+            tier,
+            consent: await getTelemetryConsent(),
+            settings: {
+                ...buildUsageStats(settings, stored[USAGE_COUNTERS_KEY]?.replacements ?? 0)
+            },
+            ruleSync: {
+                enabled: await ruleSync.isEnabled(),
+                state: stored[RULE_SYNC_STATUS_KEY]?.state ?? RULE_SYNC_STATES.off,
+                reason: stored[RULE_SYNC_STATUS_KEY]?.reason ?? null,
+                localOnlyBundleCount: stored[RULE_SYNC_STATUS_KEY]?.localOnlyBundleIds?.length ?? 0,
+                lastSyncedAt: stored[RULE_SYNC_STATUS_KEY]?.lastSyncedAt ?? null
+            },
+            config: await loadConfig().then(getPublicConfig, error => ({ error: error.message })),
+            offscreen: await offscreenManager.getStats(),
+            gaQueue: {
+                length: gaQueue.length,
+                oldestQueuedAt: gaQueue.length > 0 ? new Date(Math.min(...gaQueue.map(event => event.queuedAt))).toISOString() : null,
+                eventNames: [...new Set(gaQueue.map(event => event.name))],
+                retryCount: stored[GA_QUEUE_RETRY_KEY] || 0
+            },
+            log: stored[ACTIVITY_LOG_KEY] || []
+        };
     }
+});
+
+// Profile, environment, trace sampling and share link parameters for content scripts and the popup, which
+// can't read config.json. Never the secrets.
+backgroundRouter.register('getPublicConfig', {
+    senders: PAGES_AND_CONTENT,
+    handler: async () => ({ config: getPublicConfig(await loadConfig()) })
+});
 
-  // Return false if the message is not handled here or response is synchronous.
-  // This allows other listeners (like the one in offscreen.js) to potentially handle the message.
-  return false;
+backgroundRouter.register('clearActivityLog', {
+    senders: EXTENSION_PAGES_ONLY,
+    handler: async () => {
+        await chrome.storage.local.remove(ACTIVITY_LOG_KEY);
+        log.info("Background: Activity log cleared by user.");
+    }
 });
+
+backgroundRouter.listen();
+
 console.log("Scarlet Swap background script loaded (Sentry & GA4 Offscreen enabled). Storage split implemented. Preload logic added.");
@@ -0,0 +1,114 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * bundle-schema.js
+ * Shared validation for rule bundles, used by the preloaded-bundle loader, bundle import and rule sync.
+ * Requires rule-engine.js (RULE_MATCH_TYPES, buildRuleRegExp) and domain-matcher.js (validateBundleDomains)
+ * to be loaded first.
+ *
+ * Bundle shape:
+ *   { id: string, name: string, version: number, description?: string,
+ *     domains?: { include?: Array<string>, exclude?: Array<string> }, rules: Array<Rule> }
+ * domains limits the sites the bundle runs on (see isBundleScopedToUrl() in domain-matcher.js).
+ * See rule-engine.js for the Rule shape.
+ */
+
+const BUNDLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validates a single rule.
+ * @param {object} rule - The rule to check.
+ * @param {string} label - Prefix for error messages (e.g. "Rule 3").
+ * @returns {Array<string>} Error messages; empty if the rule is valid.
+ */
+function validateRule(rule, label) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return [`${label} must be an object.`];
+    }
+    const errors = [];
+    if (typeof rule.id !== 'string' || !rule.id) errors.push(`${label} needs a string 'id'.`);
+    if (typeof rule.find !== 'string' || !rule.find) errors.push(`${label} needs a non-empty string 'find'.`);
+    if (typeof rule.replace !== 'string') errors.push(`${label} needs a string 'replace'.`);
+    if (rule.matchType !== undefined && !RULE_MATCH_TYPES.includes(rule.matchType)) {
+        errors.push(`${label} has unknown matchType '${rule.matchType}' (expected ${RULE_MATCH_TYPES.join(', ')}).`);
+    }
+    if (rule.ignoreCase !== undefined && typeof rule.ignoreCase !== 'boolean') {
+        errors.push(`${label} 'ignoreCase' must be a boolean.`);
+    }
+    if (errors.length === 0) {
+        try {
+            buildRuleRegExp(rule);
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates a bundle against the schema, including every rule.
+ * @param {object} bundle - The bundle to check.
+ * @returns {Array<string>} Error messages; empty if the bundle is valid.
+ */
+function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ["Bundle must be an object."];
+    }
+    const errors = [];
+    if (typeof bundle.id !== 'string' || !BUNDLE_ID_PATTERN.test(bundle.id)) {
+        errors.push("Bundle 'id' must be 1-64 letters, digits, '-' or '_'.");
+    }
+    if (typeof bundle.name !== 'string' || !bundle.name.trim()) {
+        errors.push("Bundle needs a non-empty string 'name'.");
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        errors.push("Bundle 'version' must be a positive integer.");
+    }
+    if (bundle.description !== undefined && typeof bundle.description !== 'string') {
+        errors.push("Bundle 'description' must be a string.");
+    }
+    if (bundle.domains !== undefined) {
+        errors.push(...validateBundleDomains(bundle.domains));
+    }
+    if (!Array.isArray(bundle.rules)) {
+        errors.push("Bundle 'rules' must be an array.");
+        return errors;
+    }
+
+    const seenRuleIds = new Set();
+    bundle.rules.forEach((rule, index) => {
+        errors.push(...validateRule(rule, `Rule ${index + 1}`));
+        if (rule && typeof rule.id === 'string') {
+            if (seenRuleIds.has(rule.id)) errors.push(`Rule ${index + 1} reuses id '${rule.id}'.`);
+            seenRuleIds.add(rule.id);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Throws if a bundle is invalid.
+ * @param {object} bundle - The bundle to check.
+ * @throws {Error} Listing every problem found.
+ */
+function assertValidBundle(bundle) {
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+        const label = typeof bundle?.id === 'string' ? `'${bundle.id}'` : '(no id)';
+        throw new Error(`Invalid bundle ${label}: ${errors.join(' ')}`);
+    }
+}
+
+/**
+ * Serializes a value with object keys sorted, so equal bundles always produce the same string.
+ * @param {*} value - Any JSON-compatible value.
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
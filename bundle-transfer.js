@@ -0,0 +1,165 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * bundle-transfer.js
+ * Import/export format for rule bundles.
+ * Requires domain-matcher.js, rule-engine.js and bundle-schema.js to be loaded first.
+ *
+ * Export file (current format):
+ *   { format: 'rule-bundles', formatVersion: 1, exportedAt: ISO string, bundles: Array<Bundle> }
+ *
+ * Older formats are upgraded by BUNDLE_EXPORT_MIGRATIONS before validation:
+ *   Version 0: a bare bundle object or a bare ruleBundles array, as copied out of DevTools storage.
+ */
+
+const BUNDLE_EXPORT_FORMAT = 'rule-bundles';
+const BUNDLE_EXPORT_FORMAT_VERSION = 1;
+
+// Each entry upgrades a file from formatVersion N to N + 1.
+const BUNDLE_EXPORT_MIGRATIONS = {
+    0: (data) => {
+        const bundles = Array.isArray(data) ? data : [data];
+        return {
+            format: BUNDLE_EXPORT_FORMAT,
+            formatVersion: 1,
+            exportedAt: null,
+            // Hand-copied bundles predate required versions and match types.
+            bundles: bundles.map(bundle => ({
+                ...bundle,
+                version: bundle?.version ?? 1,
+                rules: Array.isArray(bundle?.rules)
+                    ? bundle.rules.map(rule => ({ matchType: 'plain', ...rule }))
+                    : bundle?.rules
+            }))
+        };
+    }
+};
+
+/**
+ * Builds the export file contents for one or more bundles.
+ * @param {Array<object>} bundles - Bundles from ruleBundles.
+ * @returns {string} Pretty-printed JSON.
+ */
+function createBundleExport(bundles) {
+    const exported = bundles.map(({ source, ...bundle }) => bundle); // 'source' only describes this install
+    return JSON.stringify({
+        format: BUNDLE_EXPORT_FORMAT,
+        formatVersion: BUNDLE_EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        bundles: exported
+    }, null, 2);
+}
+
+/**
+ * Detects the format version of parsed file data. Data without our envelope is version 0.
+ * @param {*} data - Parsed JSON.
+ * @returns {number}
+ */
+function getBundleExportVersion(data) {
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.format === BUNDLE_EXPORT_FORMAT) {
+        return data.formatVersion;
+    }
+    return 0;
+}
+
+/**
+ * Parses an export file, upgrading older format versions and validating every bundle.
+ * @param {string} text - File contents.
+ * @returns {Array<object>} The imported bundles.
+ * @throws {Error} If the file isn't JSON, is from a newer version, or contains invalid bundles.
+ */
+function parseBundleImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+
+    let version = getBundleExportVersion(data);
+    if (!Number.isInteger(version) || version > BUNDLE_EXPORT_FORMAT_VERSION) {
+        throw new Error(`Unsupported format version '${version}'. Update the extension to import this file.`);
+    }
+    while (version < BUNDLE_EXPORT_FORMAT_VERSION) {
+        data = BUNDLE_EXPORT_MIGRATIONS[version](data);
+        version = data.formatVersion;
+    }
+
+    if (!Array.isArray(data.bundles) || data.bundles.length === 0) {
+        throw new Error("File contains no bundles.");
+    }
+    const seenIds = new Set();
+    for (const bundle of data.bundles) {
+        assertValidBundle(bundle);
+        if (seenIds.has(bundle.id)) throw new Error(`File contains bundle id '${bundle.id}' more than once.`);
+        seenIds.add(bundle.id);
+    }
+    return data.bundles.map(({ source, ...bundle }) => bundle);
+}
+
+/**
+ * Combines imported bundles with the user's settings.
+ * @param {{ruleBundles: Array<object>, activeBundleIds: Array<string>, disabledRuleIds: Array<string>}} settings - Current settings.
+ * @param {Array<object>} importedBundles - Output of parseBundleImport().
+ * @param {'merge'|'replace'} mode - Merge into existing bundles, or replace them all.
+ * @param {'keepBoth'|'overwrite'|'skip'} onCollision - What to do in merge mode when a bundle id already exists.
+ * @returns {{changes: object, report: {added: Array<string>, overwritten: Array<string>, renamed: Array<string>, skipped: Array<string>}}}
+ *   Settings changes to save, and what happened to each imported bundle (by name).
+ */
+function applyBundleImport(settings, importedBundles, mode, onCollision) {
+    const report = { added: [], overwritten: [], renamed: [], skipped: [] };
+
+    if (mode === 'replace') {
+        const ruleIds = new Set(importedBundles.flatMap(bundle => bundle.rules.map(rule => rule.id)));
+        const bundleIds = new Set(importedBundles.map(bundle => bundle.id));
+        report.added.push(...importedBundles.map(bundle => bundle.name));
+        return {
+            changes: {
+                ruleBundles: importedBundles,
+                activeBundleIds: settings.activeBundleIds.filter(id => bundleIds.has(id)),
+                disabledRuleIds: settings.disabledRuleIds.filter(id => ruleIds.has(id))
+            },
+            report
+        };
+    }
+
+    const ruleBundles = [...settings.ruleBundles];
+    let disabledRuleIds = [...settings.disabledRuleIds];
+    for (const imported of importedBundles) {
+        const existingIndex = ruleBundles.findIndex(bundle => bundle.id === imported.id);
+        if (existingIndex === -1) {
+            ruleBundles.push(withUniqueRuleIds(imported, ruleBundles));
+            report.added.push(imported.name);
+        } else if (onCollision === 'overwrite') {
+            const replacedRuleIds = new Set(ruleBundles[existingIndex].rules.map(rule => rule.id));
+            disabledRuleIds = disabledRuleIds.filter(id => !replacedRuleIds.has(id));
+            const others = ruleBundles.filter((bundle, index) => index !== existingIndex);
+            ruleBundles[existingIndex] = withUniqueRuleIds(imported, others);
+            report.overwritten.push(imported.name);
+        } else if (onCollision === 'keepBoth') {
+            const copy = { ...imported, id: crypto.randomUUID(), name: `${imported.name} (imported)` };
+            ruleBundles.push(withUniqueRuleIds(copy, ruleBundles, true));
+            report.renamed.push(imported.name);
+        } else {
+            report.skipped.push(imported.name);
+        }
+    }
+    return { changes: { ruleBundles, disabledRuleIds }, report };
+}
+
+/**
+ * Gives a bundle's rules new ids where they clash with rules in other bundles,
+ * since disabledRuleIds is shared across all bundles.
+ * @param {object} bundle - The incoming bundle.
+ * @param {Array<object>} otherBundles - Bundles it will sit alongside.
+ * @param {boolean} [renewAll=false] - Give every rule a new id (used for copies).
+ * @returns {object} The bundle with safe rule ids.
+ */
+function withUniqueRuleIds(bundle, otherBundles, renewAll = false) {
+    const takenIds = new Set(otherBundles.flatMap(other => other.rules.map(rule => rule.id)));
+    return {
+        ...bundle,
+        rules: bundle.rules.map(rule => renewAll || takenIds.has(rule.id) ? { ...rule, id: crypto.randomUUID() } : rule)
+    };
+}
@@ -0,0 +1,180 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * config.js
+ * Runtime configuration (Sentry DSN, GA4 Measurement Protocol credentials, trace sampling) from the
+ * packaged config.json. Loaded by background.js (importScripts) and offscreen.html. Requires message-bus.js.
+ * Content scripts and the popup can't read packaged files; they ask the background for the non-secret part
+ * ('getPublicConfig'). The popup loads this file for SHARE_UTM_DEFAULTS only.
+ *
+ * config.json:
+ *   { profile: 'auto'|'dev'|'staging'|'prod', profiles: { <name>: Profile } }
+ * Profile:
+ *   { environment: string, sentry: { dsn }, ga4: { measurementId, apiSecret, endpoint? },
+ *     tracing?: { sampleRates?: { <op>: number } },
+ *     share?: { utm?: { <channel>: { utm_source?, utm_medium?, utm_campaign? } } } }
+ * share.utm overrides the popup's share link parameters per channel (SHARE_UTM_DEFAULTS); missing values keep the default.
+ * 'auto' picks 'prod' for store installs (the manifest has an update_url) and 'dev' for unpacked builds.
+ * The dev profile points at the local stand-in collector (tools/dev-collector.js).
+ */
+
+const CONFIG_PATH = 'config.json';
+const CONFIG_PROFILES = ['dev', 'staging', 'prod'];
+const GA4_DEFAULT_ENDPOINT = 'https://www.google-analytics.com/mp/collect';
+// Unreplaced template placeholders, e.g. {{SENTRY_DSN}}.
+const CONFIG_PLACEHOLDER_PATTERN = /\{\{\s*\w+\s*\}\}/;
+// UTM parameters of the popup's share links, per channel. Profiles override them with share.utm.
+const SHARE_UTM_DEFAULTS = {
+    copy: { utm_source: 'extension_popup', utm_medium: 'copy_link', utm_campaign: 'user_share' },
+    email: { utm_source: 'email', utm_medium: 'share', utm_campaign: 'user_share' },
+    x: { utm_source: 'x', utm_medium: 'social', utm_campaign: 'user_share' },
+    facebook: { utm_source: 'facebook', utm_medium: 'social', utm_campaign: 'user_share' },
+    linkedin: { utm_source: 'linkedin', utm_medium: 'social', utm_campaign: 'user_share' }
+};
+
+let configPromise = null;
+
+/**
+ * Works out which profile applies.
+ * @param {object} rawConfig - Parsed config.json.
+ * @param {object} manifest - chrome.runtime.getManifest().
+ * @returns {string}
+ */
+function resolveConfigProfile(rawConfig, manifest) {
+    const profile = rawConfig.profile ?? 'auto';
+    if (profile !== 'auto') return profile;
+    return manifest.update_url ? 'prod' : 'dev';
+}
+
+/** Reads a dotted path, e.g. 'sentry.dsn', from an object. */
+function getConfigValue(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Checks config.json and returns the settings for the active profile.
+ * @param {object} rawConfig - Parsed config.json.
+ * @param {object} manifest - chrome.runtime.getManifest().
+ * @returns {{profile: string, environment: string, sentry: {dsn: string},
+ *   ga4: {measurementId: string, apiSecret: string, endpoint: string}, tracing: {sampleRates: object},
+ *   share: {utm: object}}} share.utm has every channel of SHARE_UTM_DEFAULTS, with the profile's values applied.
+ * @throws {Error} With code 'invalid_config', listing every problem found.
+ */
+function validateConfig(rawConfig, manifest) {
+    if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+        throw createMessageError('invalid_config', `${CONFIG_PATH} must contain a JSON object.`);
+    }
+    const profileName = resolveConfigProfile(rawConfig, manifest);
+    if (!CONFIG_PROFILES.includes(profileName)) {
+        throw createMessageError('invalid_config', `${CONFIG_PATH}: unknown profile '${profileName}' (expected 'auto' or one of ${CONFIG_PROFILES.join(', ')}).`);
+    }
+    const profile = rawConfig.profiles?.[profileName];
+    if (!profile || typeof profile !== 'object') {
+        throw createMessageError('invalid_config', `${CONFIG_PATH}: profiles.${profileName} is missing.`, { profile: profileName });
+    }
+
+    const problems = [];
+    const requireString = (path, isValid = () => true, expected = '') => {
+        const value = getConfigValue(profile, path);
+        if (typeof value !== 'string' || !value.trim()) {
+            problems.push(`${path} is required`);
+        } else if (CONFIG_PLACEHOLDER_PATTERN.test(value)) {
+            problems.push(`${path} is still the placeholder ${value}`);
+        } else if (!isValid(value)) {
+            problems.push(`${path} must be ${expected}`);
+        }
+    };
+    const isHttpUrl = (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    };
+
+    requireString('environment');
+    requireString('sentry.dsn', value => isHttpUrl(value) && new URL(value).username !== '', 'a Sentry DSN (https://<key>@<host>/<project>)');
+    requireString('ga4.measurementId', value => /^G-[A-Z0-9]+$/.test(value), 'a GA4 Measurement ID (G-XXXXXXX)');
+    requireString('ga4.apiSecret');
+    if (profile.ga4?.endpoint !== undefined && !isHttpUrl(profile.ga4.endpoint)) {
+        problems.push("ga4.endpoint must be an http(s) URL");
+    }
+    const sampleRates = profile.tracing?.sampleRates ?? {};
+    for (const [op, rate] of Object.entries(sampleRates)) {
+        if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+            problems.push(`tracing.sampleRates.${op} must be a number from 0 to 1`);
+        }
+    }
+    const shareUtm = profile.share?.utm ?? {};
+    const utm = structuredClone(SHARE_UTM_DEFAULTS);
+    for (const [channel, params] of Object.entries(shareUtm)) {
+        if (!SHARE_UTM_DEFAULTS[channel]) {
+            problems.push(`share.utm.${channel} is not a share channel (expected one of ${Object.keys(SHARE_UTM_DEFAULTS).join(', ')})`);
+            continue;
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            problems.push(`share.utm.${channel} must be an object`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(params)) {
+            if (!(key in SHARE_UTM_DEFAULTS[channel])) {
+                problems.push(`share.utm.${channel}.${key} is not a UTM parameter (expected utm_source, utm_medium or utm_campaign)`);
+            } else if (typeof value !== 'string' || !value.trim()) {
+                problems.push(`share.utm.${channel}.${key} must be a non-empty string`);
+            } else if (CONFIG_PLACEHOLDER_PATTERN.test(value)) {
+                problems.push(`share.utm.${channel}.${key} is still the placeholder ${value}`);
+            } else {
+                utm[channel][key] = value;
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw createMessageError('invalid_config',
+            `${CONFIG_PATH} (profile '${profileName}') is invalid: ${problems.join('; ')}.`, { profile: profileName, problems });
+    }
+    return {
+        profile: profileName,
+        environment: profile.environment,
+        sentry: { dsn: profile.sentry.dsn },
+        ga4: {
+            measurementId: profile.ga4.measurementId,
+            apiSecret: profile.ga4.apiSecret,
+            endpoint: profile.ga4.endpoint || GA4_DEFAULT_ENDPOINT
+        },
+        tracing: { sampleRates: { ...sampleRates } },
+        share: { utm }
+    };
+}
+
+/**
+ * Loads and validates config.json once per context.
+ * @returns {Promise<object>} See validateConfig().
+ * @throws {Error} With code 'invalid_config' if the file is missing, unreadable or invalid.
+ */
+function loadConfig() {
+    if (!configPromise) {
+        configPromise = (async () => {
+            let rawConfig;
+            try {
+                const response = await fetch(chrome.runtime.getURL(CONFIG_PATH));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                rawConfig = await response.json();
+            } catch (error) {
+                throw createMessageError('invalid_config', `Could not read ${CONFIG_PATH}: ${error.message}`);
+            }
+            return validateConfig(rawConfig, chrome.runtime.getManifest());
+        })();
+    }
+    return configPromise;
+}
+
+/**
+ * The parts of the configuration that are safe to hand to content scripts.
+ * @param {object} config - Output of loadConfig().
+ * @returns {{profile: string, environment: string, tracing: {sampleRates: object}, share: {utm: object}}}
+ */
+function getPublicConfig(config) {
+    return { profile: config.profile, environment: config.environment, tracing: config.tracing, share: config.share };
+}
@@ -0,0 +1,311 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * content.js
+ * Applies the find/replace rules of the active bundles that apply to this page to its text.
+ * Relies on rule-engine.js and domain-matcher.js, which the manifest injects first.
+ * Does nothing on pages excluded by the domainList setting. Each bundle can further be limited to some sites
+ * (bundle.domains); bundles run in activeBundleIds order, so a higher-priority bundle's rules apply first.
+ * Skips regex rules unless the user's entitlements allow them.
+ * Watches for dynamic content with a MutationObserver and never touches inputs or editable regions.
+ * Restores the original text and re-applies rules whenever 'settingsUpdated' arrives.
+ * Reports the page's replacement count to the popup ('getPageStats', 'pageStatsUpdated'),
+ * and batches new replacements to the background for the daily usage statistics ('recordReplacements').
+ * Errors go to Sentry via the background with a breadcrumb per rule pass (counts only, never page text).
+ * Full-page and dynamic replacement passes are timed as Sentry transactions (performance-tracing.js).
+ */
+
+// --- Constants ---
+const PAGE_STATS_NOTIFY_DELAY_MS = 500;
+const USAGE_REPORT_DELAY_MS = 10 * 1000;
+
+// --- State Management ---
+let compiledRules = [];
+let mutationObserver = null;
+let pendingNodes = new Set();
+let pendingFrameId = null;
+let replacementCount = 0;
+let pageStatsTimeoutId = null;
+// Replacements not yet sent to the background for usage statistics.
+let unreportedReplacements = 0;
+let usageReportTimeoutId = null;
+// Text nodes we changed, mapped to { original, replaced } so a settings change can undo them.
+let replacedTextNodes = new Map();
+
+// --- Settings ---
+
+/**
+ * Loads settings from local storage and compiles the enabled rules of the bundles that apply to this page.
+ * @returns {Promise<Array<{rule: object, regex: RegExp}>>} Compiled rules, empty when the extension should not run.
+ */
+async function loadActiveRules() {
+    const { isEnabled, domainList, ruleBundles, activeBundleIds, disabledRuleIds } = await chrome.storage.local.get(
+        ['isEnabled', 'domainList', 'ruleBundles', 'activeBundleIds', 'disabledRuleIds']
+    );
+    if (isEnabled === false) return [];
+    if (!isUrlAllowed(location.href, domainList)) return [];
+
+    const bundles = resolveBundlesForUrl(location.href, { ruleBundles, activeBundleIds });
+    if (bundles.length === 0) return [];
+
+    const { compiled, errors } = compileRules(await filterEntitledRules(bundles.flatMap(bundle => bundle.rules)), disabledRuleIds);
+    if (errors.length > 0) {
+        console.warn(`Content: Skipped ${errors.length} invalid rule(s) in bundles ${bundles.map(bundle => `'${bundle.name || bundle.id}'`).join(', ')}:`, errors);
+    }
+    return compiled;
+}
+
+/**
+ * Drops rules the user's entitlements don't cover (regex rules on the free tier).
+ * @param {Array<object>} rules - The rules of the bundles that apply to this page.
+ * @returns {Promise<Array<object>>}
+ */
+async function filterEntitledRules(rules = []) {
+    let regexRules = false;
+    try {
+        const { limits } = await sendRuntimeMessage('getEntitlements');
+        regexRules = Boolean(limits.regexRules);
+    } catch (error) {
+        // Fall back to free-tier behavior if the background can't answer.
+        console.warn("Content: Could not read entitlements:", error?.message);
+    }
+    return regexRules ? rules : rules.filter(rule => rule.matchType !== 'regex');
+}
+
+// --- Text Replacement ---
+
+/** Returns true if a text node may be rewritten. */
+function isReplaceableTextNode(node) {
+    const parent = node.parentElement;
+    if (!parent || !node.nodeValue.trim()) return false;
+    if (parent.isContentEditable) return false;
+    return !parent.closest(SKIPPED_ANCESTOR_SELECTOR);
+}
+
+/** Applies the compiled rules to a single text node, remembering its original value. */
+function replaceInTextNode(node) {
+    if (!isReplaceableTextNode(node)) return;
+
+    const tracked = replacedTextNodes.get(node);
+    // Unchanged since we replaced it (e.g. the page re-inserted it): its replacements are already counted.
+    // If the page changed the node since we replaced it, its new value becomes the original.
+    const alreadyCounted = tracked?.replaced === node.nodeValue;
+    const original = alreadyCounted ? tracked.original : node.nodeValue;
+    const { text, count } = applyCompiledRules(original, compiledRules);
+
+    if (count === 0) {
+        if (tracked) replacedTextNodes.delete(node);
+        return;
+    }
+    if (!alreadyCounted) {
+        replacementCount += count;
+        unreportedReplacements += count;
+    }
+    if (node.nodeValue !== text) node.nodeValue = text;
+    replacedTextNodes.set(node, { original, replaced: text });
+}
+
+/** Applies the compiled rules to every text node under a root. */
+function replaceInSubtree(root) {
+    if (root.nodeType === Node.TEXT_NODE) {
+        replaceInTextNode(root);
+        return;
+    }
+    if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_NODE) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+        replaceInTextNode(node);
+    }
+}
+
+/** Puts back the original text of every node we changed that the page hasn't changed since. */
+function restoreOriginalText() {
+    for (const [node, { original, replaced }] of replacedTextNodes) {
+        if (node.isConnected && node.nodeValue === replaced) {
+            node.nodeValue = original;
+        }
+    }
+    replacedTextNodes = new Map();
+    replacementCount = 0;
+}
+
+/** Runs a DOM write with the observer paused so our own changes aren't re-processed. */
+function withObserverPaused(write) {
+    mutationObserver?.disconnect();
+    try {
+        write();
+    } finally {
+        startObserving();
+    }
+}
+
+/** Tells an open popup the replacement count changed. Debounced, since dynamic pages change often. */
+function schedulePageStatsNotification() {
+    clearTimeout(pageStatsTimeoutId);
+    pageStatsTimeoutId = setTimeout(() => {
+        sendRuntimeMessage('pageStatsUpdated', { replacementCount }, MESSAGE_TARGETS.extensionPages)
+            .catch(() => {}); // Nothing is listening when the popup is closed
+    }, PAGE_STATS_NOTIFY_DELAY_MS);
+}
+
+/** Sends replacements applied since the last report to the background. */
+function reportUsage() {
+    clearTimeout(usageReportTimeoutId);
+    usageReportTimeoutId = null;
+    if (unreportedReplacements === 0) return;
+    const count = unreportedReplacements;
+    unreportedReplacements = 0;
+    sendRuntimeMessage('recordReplacements', { count }).catch(error => {
+        unreportedReplacements += count; // Try again with the next report
+        console.warn("Content: Could not report usage:", error?.message);
+    });
+}
+
+/** Batches usage reports, since dynamic pages replace text often. */
+function scheduleUsageReport() {
+    if (unreportedReplacements > 0 && usageReportTimeoutId === null) {
+        usageReportTimeoutId = setTimeout(reportUsage, USAGE_REPORT_DELAY_MS);
+    }
+}
+
+// --- Dynamic Content ---
+
+/** Drops nodes that are inside another node of the set, so each subtree is walked once. */
+function withoutNestedNodes(nodes) {
+    return [...nodes].filter(node => {
+        for (let ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+            if (nodes.has(ancestor)) return false;
+        }
+        return true;
+    });
+}
+
+/** Processes nodes collected by the observer, once per animation frame. */
+function flushPendingNodes() {
+    pendingFrameId = null;
+    const previousCount = replacementCount;
+    const nodes = pendingNodes;
+    pendingNodes = new Set();
+    const span = startSpan(null, 'flushPendingNodes', 'content.replace.dynamic', { node_count: nodes.size });
+    // Forget nodes the page has removed so the map doesn't grow for the lifetime of the tab.
+    for (const node of replacedTextNodes.keys()) {
+        if (!node.isConnected) replacedTextNodes.delete(node);
+    }
+    withObserverPaused(() => {
+        for (const node of withoutNestedNodes(nodes)) {
+            if (node.isConnected) replaceInSubtree(node);
+        }
+    });
+    span.setData('replacement_count', replacementCount - previousCount);
+    span.end();
+    if (replacementCount !== previousCount) {
+        schedulePageStatsNotification();
+        scheduleUsageReport();
+    }
+}
+
+/** Queues added and changed nodes from a batch of mutation records. */
+function handleMutations(mutations) {
+    for (const mutation of mutations) {
+        if (mutation.type === 'characterData') {
+            pendingNodes.add(mutation.target);
+        } else {
+            mutation.addedNodes.forEach(node => pendingNodes.add(node));
+        }
+    }
+    if (pendingNodes.size > 0 && pendingFrameId === null) {
+        pendingFrameId = requestAnimationFrame(flushPendingNodes);
+    }
+}
+
+/** Starts observing the document if there are rules to apply. */
+function startObserving() {
+    if (compiledRules.length === 0 || !document.body) return;
+    if (!mutationObserver) mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.body, { childList: true, characterData: true, subtree: true });
+}
+
+// --- Initialization ---
+
+/**
+ * (Re)applies the rules to the whole page.
+ * Safe to call repeatedly: previous replacements are undone before the new rules run.
+ */
+async function applyRulesToPage() {
+    const span = startSpan(null, 'applyRulesToPage', 'content.replace');
+    try {
+        const rules = await span.trace('loadActiveRules', 'rules.load', () => loadActiveRules());
+        mutationObserver?.disconnect();
+        if (pendingFrameId !== null) {
+            cancelAnimationFrame(pendingFrameId);
+            pendingFrameId = null;
+        }
+        pendingNodes = new Set();
+
+        restoreOriginalText();
+        compiledRules = rules;
+        if (compiledRules.length > 0) {
+            const passSpan = span.startChild('replaceInSubtree', 'content.replace.pass');
+            withObserverPaused(() => replaceInSubtree(document.body));
+            passSpan.end();
+            console.log(`Content: Applied ${compiledRules.length} rule(s), ${replacementCount} replacement(s).`);
+        }
+        addBreadcrumb('rules', 'Applied rules to page', { rule_count: compiledRules.length, replacement_count: replacementCount });
+        span.setData('rule_count', compiledRules.length);
+        span.setData('replacement_count', replacementCount);
+        schedulePageStatsNotification();
+        scheduleUsageReport();
+    } catch (error) {
+        span.end('internal_error');
+        console.error("Content: Failed to apply rules:", error);
+        reportErrorToBackground("Failed to apply rules to page", error);
+    } finally {
+        span.end();
+    }
+}
+
+const contentRouter = createMessageRouter(MESSAGE_TARGETS.content);
+
+// Re-run cleanly whenever settings change.
+contentRouter.register('settingsUpdated', {
+    senders: [SENDER_CONTEXTS.background],
+    handler: () => {
+        applyRulesToPage();
+    }
+});
+
+// Replacement count for the popup.
+contentRouter.register('getPageStats', {
+    senders: [SENDER_CONTEXTS.extensionPage],
+    handler: () => ({ replacementCount, isActive: compiledRules.length > 0 })
+});
+
+contentRouter.listen();
+
+// No global capture: window error events here belong to the page.
+initErrorReporting('content');
+// Don't lose a pending batch when the tab is closed or navigated away.
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') reportUsage();
+});
+
+/** Picks up trace sampling from config.json, then applies the rules. */
+async function initializeContent() {
+    try {
+        const { config } = await sendRuntimeMessage('getPublicConfig');
+        initTracing('content', createMessageTransactionSink(), { sampleRates: config.tracing.sampleRates });
+    } catch (error) {
+        // Nothing is sent without a valid configuration; time with the default rates anyway.
+        initTracing('content', createMessageTransactionSink());
+    }
+    if (document.body) {
+        applyRulesToPage();
+    } else {
+        document.addEventListener('DOMContentLoaded', applyRulesToPage, { once: true });
+    }
+}
+
+initializeContent();
@@ -0,0 +1,248 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * diagnostics.js
+ * Diagnostics page for support tickets: version, settings summary, rule sync status, offscreen document status,
+ * queued GA4 events, recent errors and the stored activity log (see activity-log.js).
+ * "Copy Diagnostic Report" copies the same data as text with ids, license details and rule contents redacted.
+ * Uncaught errors go to Sentry via the background (error-reporting.js).
+ */
+
+const RECENT_ERROR_COUNT = 20;
+// Rule text shorter than this isn't redacted: it would mangle the report without hiding anything identifying.
+const MIN_REDACTED_LENGTH = 3;
+const REDACTED = '[redacted]';
+// Ids that may show up in log messages: UUIDs (client, bundle and rule ids), Sentry event ids and license keys.
+const REDACTED_ID_PATTERNS = [
+    /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    /\b[0-9a-f]{32}\b/gi,
+    /[A-Za-z0-9_-]{20,}\.[A-Za-z0-9_-]{20,}/g
+];
+
+// --- State Management ---
+let diagnostics = null;
+
+// --- DOM Elements ---
+const diagnosticsStatus = document.querySelector('#diagnostics-status');
+const refreshBtn = document.querySelector('#refresh-btn');
+const copyReportBtn = document.querySelector('#copy-report-btn');
+const summaryList = document.querySelector('#summary-list');
+const errorsEmpty = document.querySelector('#errors-empty');
+const errorsTable = document.querySelector('#errors-table');
+const errorsBody = document.querySelector('#errors-body');
+const clearLogBtn = document.querySelector('#clear-log-btn');
+const logEmpty = document.querySelector('#log-empty');
+const logTable = document.querySelector('#log-table');
+const logBody = document.querySelector('#log-body');
+
+// --- Utility Functions ---
+
+/** Shows a short status message at the top of the page. */
+function showDiagnosticsStatus(text, isError = false) {
+    diagnosticsStatus.textContent = text;
+    diagnosticsStatus.classList.toggle('error', isError);
+}
+
+/** Formats an ISO timestamp in the user's locale. */
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '—';
+}
+
+/** Formats a duration in milliseconds as minutes or seconds. */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    return ms >= 60 * 1000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)} s`;
+}
+
+// --- Rendering ---
+
+/** Fills the summary list. */
+function renderSummary() {
+    const { version, schemaVersion, tier, consent, ruleSync, config, settings, offscreen, gaQueue } = diagnostics;
+    const rows = [
+        ['Version', `${version} (storage schema ${schemaVersion ?? 'not recorded'})`],
+        ['Configuration', config.error || `${config.profile} profile (${config.environment})`],
+        ['Browser', navigator.userAgent],
+        ['License', tier],
+        ['Analytics / crash reports', `${consent.analytics ? 'on' : 'off'} / ${consent.crashReports ? 'on' : 'off'}`],
+        ['Rule sync', ruleSync.enabled
+            ? `${ruleSync.state}${ruleSync.reason ? ` (${ruleSync.reason}, ${ruleSync.localOnlyBundleCount} bundle(s) not synced)` : ''}, last synced ${formatTimestamp(ruleSync.lastSyncedAt)}`
+            : 'off'],
+        ['Extension enabled', settings.is_enabled ? 'yes' : 'no'],
+        ['Domain list', `${settings.global_domain_filter_type}, ${settings.domain_list_size} entries`],
+        ['Bundles', `${settings.bundle_count} (${settings.active_bundle_count || 'none'} active, ${settings.site_scoped_bundle_count} limited to some sites)`],
+        ['Rules', `${settings.rule_count} total, ${settings.disabled_rule_count} disabled (${settings.plain_rule_count} plain, ${settings.whole_word_rule_count} whole word, ${settings.regex_rule_count} regex)`],
+        ['Replacements since last report', settings.replacements_since_last_report],
+        ['Offscreen document', `${offscreen.state}, up ${formatDuration(offscreen.uptimeMs)}, ${offscreen.bufferedMessages} buffered, recreated ${offscreen.recreateCount} time(s)`],
+        ['Queued GA4 events', gaQueue.length > 0
+            ? `${gaQueue.length} since ${formatTimestamp(gaQueue.oldestQueuedAt)} (${gaQueue.eventNames.join(', ')}), ${gaQueue.retryCount} failed attempt(s)`
+            : 'none']
+    ];
+    summaryList.replaceChildren(...rows.flatMap(([term, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = term;
+        dd.textContent = String(value);
+        return [dt, dd];
+    }));
+}
+
+/**
+ * Builds a table row for a log entry.
+ * @param {object} entry - Activity log entry.
+ * @param {boolean} showLevel - Whether the table has a level column.
+ * @returns {HTMLTableRowElement}
+ */
+function createLogRow(entry, showLevel) {
+    const row = document.createElement('tr');
+    row.className = `level-${entry.level}`;
+    const cells = [formatTimestamp(entry.timestamp), ...(showLevel ? [entry.level] : []), entry.source];
+    for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.append(cell);
+    }
+    const messageCell = document.createElement('td');
+    messageCell.textContent = entry.message;
+    if (entry.details) {
+        const details = document.createElement('pre');
+        details.className = 'log-details';
+        details.textContent = entry.details.map(detail => typeof detail === 'string' ? detail : JSON.stringify(detail, null, 2)).join('\n');
+        messageCell.append(details);
+    }
+    row.append(messageCell);
+    return row;
+}
+
+/** Fills the recent errors and activity log tables, newest first. */
+function renderLog() {
+    const entries = [...diagnostics.log].reverse();
+    const errors = entries.filter(entry => entry.level === 'error').slice(0, RECENT_ERROR_COUNT);
+
+    errorsBody.replaceChildren(...errors.map(entry => createLogRow(entry, false)));
+    errorsTable.hidden = errors.length === 0;
+    errorsEmpty.hidden = errors.length > 0;
+
+    logBody.replaceChildren(...entries.map(entry => createLogRow(entry, true)));
+    logTable.hidden = entries.length === 0;
+    logEmpty.hidden = entries.length > 0;
+}
+
+/** Loads diagnostics from the background script and renders them. */
+async function loadDiagnostics() {
+    try {
+        diagnostics = await sendRuntimeMessage('getDiagnostics');
+        renderSummary();
+        renderLog();
+        showDiagnosticsStatus('');
+    } catch (error) {
+        console.error("Diagnostics: Failed to load diagnostics:", error);
+        showDiagnosticsStatus(`Could not load diagnostics: ${error.message}`, true);
+    }
+}
+
+// --- Report ---
+
+/**
+ * Collects strings that must not appear in a copied report: bundle and rule ids and contents, bundle site
+ * patterns, and license details.
+ * @returns {Promise<Array<string>>} Longest first, so longer matches are replaced before their substrings.
+ */
+async function collectRedactedStrings() {
+    const [{ settings }, { license }] = await Promise.all([
+        sendRuntimeMessage('getLocalSettings'),
+        sendRuntimeMessage('getLicense')
+    ]);
+    const strings = [license?.key, license?.licensee];
+    for (const bundle of settings.ruleBundles) {
+        strings.push(bundle.id, bundle.name, bundle.description, ...(bundle.domains?.include || []), ...(bundle.domains?.exclude || []));
+        for (const rule of bundle.rules) {
+            strings.push(rule.id, rule.find, rule.replace);
+        }
+    }
+    return [...new Set(strings)]
+        .filter(value => typeof value === 'string' && value.length >= MIN_REDACTED_LENGTH)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Removes the given strings and anything that looks like an id from text.
+ * @param {string} text
+ * @param {Array<string>} redactedStrings - Output of collectRedactedStrings().
+ * @returns {string}
+ */
+function redactText(text, redactedStrings) {
+    let redacted = redactedStrings.reduce((result, value) => result.split(value).join(REDACTED), text);
+    for (const pattern of REDACTED_ID_PATTERNS) {
+        redacted = redacted.replace(pattern, REDACTED);
+    }
+    return redacted;
+}
+
+/** Redacts every string inside a JSON-compatible value, leaving object keys alone. */
+function redactValue(value, redactedStrings) {
+    if (typeof value === 'string') return redactText(value, redactedStrings);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, redactedStrings));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, redactedStrings)]));
+    }
+    return value;
+}
+
+/**
+ * Builds the text report. The summary holds only counts; log messages and details are redacted.
+ * @param {Array<string>} redactedStrings - Output of collectRedactedStrings().
+ * @returns {string}
+ */
+function buildDiagnosticReport(redactedStrings) {
+    const { log, ...summary } = diagnostics;
+    const report = {
+        ...summary,
+        browser: navigator.userAgent,
+        log: log.map(entry => ({
+            ...entry,
+            message: redactText(entry.message, redactedStrings),
+            ...(entry.details && { details: redactValue(entry.details, redactedStrings) })
+        }))
+    };
+    return JSON.stringify(report, null, 2);
+}
+
+/** Copies the redacted report to the clipboard. */
+async function handleCopyReport() {
+    if (!diagnostics) return;
+    try {
+        const report = buildDiagnosticReport(await collectRedactedStrings());
+        await navigator.clipboard.writeText(report);
+        showDiagnosticsStatus("Diagnostic report copied. Paste it into your support request.");
+    } catch (error) {
+        console.error("Diagnostics: Failed to copy report:", error);
+        showDiagnosticsStatus(`Could not copy the report: ${error.message}`, true);
+    }
+}
+
+/** Clears the stored activity log after confirmation. */
+async function handleClearLog() {
+    if (!confirm("Clear the activity log?")) return;
+    try {
+        await sendRuntimeMessage('clearActivityLog');
+    } catch (error) {
+        console.error("Diagnostics: Failed to clear log:", error);
+        showDiagnosticsStatus(`Could not clear the log: ${error.message}`, true);
+    }
+    loadDiagnostics();
+}
+
+// --- Initialization ---
+function initializeDiagnostics() {
+    refreshBtn.addEventListener('click', loadDiagnostics);
+    copyReportBtn.addEventListener('click', handleCopyReport);
+    clearLogBtn.addEventListener('click', handleClearLog);
+    loadDiagnostics();
+}
+
+initErrorReporting('diagnostics', { captureGlobalErrors: true });
+initPageAnalytics('diagnostics');
+
+document.addEventListener('DOMContentLoaded', initializeDiagnostics);
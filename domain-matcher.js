@@ -0,0 +1,214 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * domain-matcher.js
+ * Shared parser and matcher for the domainList setting: { type: 'blacklist' | 'whitelist', domains: string[] },
+ * and for the sites each bundle is limited to: bundle.domains = { include?: string[], exclude?: string[] }.
+ * Loaded by background.js (importScripts), the content script and extension pages.
+ *
+ * Supported entries:
+ *   example.com          Exact host.
+ *   *.example.com        Any subdomain of example.com (not example.com itself).
+ *   example.com/docs     Host plus path prefix. Works with *. hosts too.
+ *   /regex/flags         Regular expression tested against the full URL. Flags g and y are not allowed.
+ */
+
+const DOMAIN_LIST_TYPES = ['blacklist', 'whitelist'];
+
+/**
+ * Parses a single domainList entry.
+ * Throws an Error with a user-readable message if the entry is invalid, so bad patterns
+ * are caught when settings are saved instead of when a page is matched.
+ * @param {string} entry - The raw entry.
+ * @returns {{kind: 'host'|'wildcard'|'regex', entry: string, host?: string, path?: string, regex?: RegExp}}
+ */
+function parseDomainPattern(entry) {
+    if (typeof entry !== 'string' || !entry.trim()) {
+        throw new Error("Domain entry must be a non-empty string.");
+    }
+    const trimmed = entry.trim();
+
+    const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        const [, source, flags] = regexMatch;
+        if (/[gy]/.test(flags)) {
+            throw new Error(`Invalid regex '${trimmed}': flags 'g' and 'y' are not supported.`);
+        }
+        try {
+            return { kind: 'regex', entry: trimmed, regex: new RegExp(source, flags) };
+        } catch (error) {
+            throw new Error(`Invalid regex '${trimmed}': ${error.message}`);
+        }
+    }
+
+    // Accept pasted URLs by dropping the scheme.
+    const withoutScheme = trimmed.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const slashIndex = withoutScheme.indexOf('/');
+    let hostPart = slashIndex === -1 ? withoutScheme : withoutScheme.slice(0, slashIndex);
+    const path = slashIndex === -1 ? '' : withoutScheme.slice(slashIndex);
+
+    const isWildcard = hostPart.startsWith('*.');
+    if (isWildcard) hostPart = hostPart.slice(2);
+    if (hostPart.includes('*')) {
+        throw new Error(`Invalid domain '${trimmed}': '*' is only allowed as a leading '*.'.`);
+    }
+
+    let host;
+    try {
+        // Let the URL parser validate and normalize the host (lowercase, punycode).
+        host = new URL(`http://${hostPart}`).hostname;
+    } catch (error) {
+        throw new Error(`Invalid domain '${trimmed}': '${hostPart}' is not a valid host name.`);
+    }
+    if (!host) {
+        throw new Error(`Invalid domain '${trimmed}': missing host name.`);
+    }
+
+    return { kind: isWildcard ? 'wildcard' : 'host', entry: trimmed, host, path };
+}
+
+/**
+ * Parses a list of entries, collecting errors instead of throwing.
+ * @param {Array<string>} entries - Raw entries.
+ * @returns {{patterns: Array<object>, errors: Array<string>}}
+ */
+function parseDomainPatterns(entries = []) {
+    const patterns = [];
+    const errors = [];
+    for (const entry of entries) {
+        try {
+            patterns.push(parseDomainPattern(entry));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    return { patterns, errors };
+}
+
+/**
+ * Parses every entry of a domainList, collecting errors instead of throwing.
+ * @param {{type: string, domains: Array<string>}} domainList - The setting value.
+ * @returns {{type: string, patterns: Array<object>, errors: Array<string>}}
+ */
+function parseDomainList(domainList) {
+    const type = DOMAIN_LIST_TYPES.includes(domainList?.type) ? domainList.type : 'blacklist';
+    return { type, ...parseDomainPatterns(domainList?.domains) };
+}
+
+/**
+ * Validates a domainList before it is saved.
+ * @param {{type: string, domains: Array<string>}} domainList - The setting value.
+ * @throws {Error} Listing every invalid entry.
+ */
+function validateDomainList(domainList) {
+    if (!domainList || typeof domainList !== 'object' || !Array.isArray(domainList.domains)) {
+        throw new Error("domainList must be an object with a 'domains' array.");
+    }
+    if (!DOMAIN_LIST_TYPES.includes(domainList.type)) {
+        throw new Error(`domainList type must be one of: ${DOMAIN_LIST_TYPES.join(', ')}.`);
+    }
+    const { errors } = parseDomainList(domainList);
+    if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+    }
+}
+
+/**
+ * Tests a parsed pattern against a URL.
+ * @param {object} pattern - Output of parseDomainPattern().
+ * @param {URL} url - The page URL.
+ * @returns {boolean}
+ */
+function domainPatternMatches(pattern, url) {
+    if (pattern.kind === 'regex') {
+        return pattern.regex.test(url.href);
+    }
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    const hostMatches = pattern.kind === 'wildcard'
+        ? hostname.endsWith(`.${pattern.host}`)
+        : hostname === pattern.host;
+    return hostMatches && (!pattern.path || url.pathname.startsWith(pattern.path));
+}
+
+/**
+ * Returns the first entry of the list that matches the URL, or null.
+ * Invalid entries are ignored here; validateDomainList() reports them at save time.
+ * @param {string} url - The page URL.
+ * @param {{type: string, domains: Array<string>}} domainList - The setting value.
+ * @returns {string|null} The matching entry as written by the user.
+ */
+function findMatchingDomainEntry(url, domainList) {
+    let parsedUrl;
+    try { parsedUrl = new URL(url); } catch (e) { return null; }
+    const { patterns } = parseDomainList(domainList);
+    return patterns.find(pattern => domainPatternMatches(pattern, parsedUrl))?.entry ?? null;
+}
+
+/**
+ * Decides whether the extension should run on a URL.
+ * Blacklist mode runs everywhere except matching URLs; whitelist mode runs only on matching URLs.
+ * @param {string} url - The page URL.
+ * @param {{type: string, domains: Array<string>}} domainList - The setting value. Missing means run everywhere.
+ * @returns {boolean}
+ */
+function isUrlAllowed(url, domainList) {
+    if (!domainList) return true;
+    const isMatch = findMatchingDomainEntry(url, domainList) !== null;
+    return domainList.type === 'whitelist' ? isMatch : !isMatch;
+}
+
+// --- Bundle Scopes ---
+
+/**
+ * Validates a bundle's domains field. Entries use the same syntax as domainList.
+ * @param {*} domains - The bundle's domains value (the field is optional; pass it only when present).
+ * @returns {Array<string>} Error messages; empty if the value is valid.
+ */
+function validateBundleDomains(domains) {
+    if (!domains || typeof domains !== 'object' || Array.isArray(domains)) {
+        return ["Bundle 'domains' must be an object with 'include' and/or 'exclude' arrays."];
+    }
+    const errors = [];
+    for (const key of ['include', 'exclude']) {
+        if (domains[key] === undefined) continue;
+        if (!Array.isArray(domains[key])) {
+            errors.push(`Bundle 'domains.${key}' must be an array.`);
+            continue;
+        }
+        errors.push(...parseDomainPatterns(domains[key]).errors.map(message => `Bundle 'domains.${key}': ${message}`));
+    }
+    return errors;
+}
+
+/**
+ * Decides whether a bundle applies to a URL.
+ * A bundle without include entries applies everywhere; exclude entries win over include entries.
+ * Invalid entries are ignored here; validateBundleDomains() reports them at save time.
+ * @param {string} url - The page URL.
+ * @param {{domains?: {include?: Array<string>, exclude?: Array<string>}}} bundle - The bundle.
+ * @returns {boolean}
+ */
+function isBundleScopedToUrl(url, bundle) {
+    const { include = [], exclude = [] } = bundle.domains || {};
+    if (include.length === 0 && exclude.length === 0) return true;
+    let parsedUrl;
+    try { parsedUrl = new URL(url); } catch (e) { return false; }
+    const matchesAny = entries => parseDomainPatterns(entries).patterns.some(pattern => domainPatternMatches(pattern, parsedUrl));
+    return (include.length === 0 || matchesAny(include)) && !matchesAny(exclude);
+}
+
+/**
+ * Lists the active bundles that apply to a URL, highest priority first.
+ * The global domainList is not checked here; see isUrlAllowed().
+ * @param {string} url - The page URL.
+ * @param {{ruleBundles: Array<object>, activeBundleIds: Array<string>}} settings - activeBundleIds in priority order.
+ *   Ids of bundles that no longer exist are skipped.
+ * @returns {Array<object>} The bundles, in the order their rules are applied.
+ */
+function resolveBundlesForUrl(url, { ruleBundles = [], activeBundleIds = [] }) {
+    const bundlesById = new Map(ruleBundles.map(bundle => [bundle.id, bundle]));
+    return activeBundleIds
+        .map(id => bundlesById.get(id))
+        .filter(bundle => bundle && isBundleScopedToUrl(url, bundle));
+}
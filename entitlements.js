@@ -0,0 +1,81 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * entitlements.js
+ * Free vs premium capabilities, resolved from the license's entitlements.
+ * Loaded by background.js (importScripts), which answers 'getEntitlements' for popup, options and content scripts.
+ * Extension pages also load it to check limits before saving.
+ *
+ * License entitlements understood here:
+ *   premium            Everything below.
+ *   unlimited_bundles  No limit on the number of bundles.
+ *   unlimited_rules    No limit on the number of rules per bundle.
+ *   regex_rules        Regex rules are allowed and applied.
+ */
+
+// Limits for users without a license. null means unlimited.
+const FREE_TIER_LIMITS = {
+    maxBundles: 3,
+    maxRulesPerBundle: 25,
+    regexRules: false
+};
+
+// Names used for limits in messages, errors and the GA4 'entitlement_limit_reached' event.
+const ENTITLEMENT_LIMITS = {
+    maxBundles: 'max_bundles',
+    maxRulesPerBundle: 'max_rules_per_bundle',
+    regexRules: 'regex_rules'
+};
+
+/**
+ * Resolves what the user may do from their (active) license.
+ * @param {{entitlements: Array<string>}|null} license - The active license, or null on the free tier.
+ * @returns {{tier: 'free'|'premium', entitlements: Array<string>, limits: {maxBundles: number|null, maxRulesPerBundle: number|null, regexRules: boolean}}}
+ */
+function resolveEntitlements(license) {
+    const entitlements = license?.entitlements || [];
+    const has = (name) => entitlements.includes('premium') || entitlements.includes(name);
+    return {
+        tier: license ? 'premium' : 'free',
+        entitlements,
+        limits: {
+            maxBundles: has('unlimited_bundles') ? null : FREE_TIER_LIMITS.maxBundles,
+            maxRulesPerBundle: has('unlimited_rules') ? null : FREE_TIER_LIMITS.maxRulesPerBundle,
+            regexRules: has('regex_rules') ? true : FREE_TIER_LIMITS.regexRules
+        }
+    };
+}
+
+/**
+ * Finds the first limit a settings change would newly exceed.
+ * Only increases are blocked: users who lose premium keep their existing bundles and rules,
+ * they just can't add more.
+ * @param {Array<object>} currentBundles - ruleBundles as currently stored.
+ * @param {Array<object>} newBundles - ruleBundles about to be saved.
+ * @param {{limits: object}} resolved - Output of resolveEntitlements().
+ * @returns {{limit: string, message: string}|null} The limit hit, or null if the change is allowed.
+ */
+function findEntitlementViolation(currentBundles, newBundles, resolved) {
+    const { maxBundles, maxRulesPerBundle, regexRules } = resolved.limits;
+
+    if (maxBundles !== null && newBundles.length > maxBundles && newBundles.length > currentBundles.length) {
+        return { limit: ENTITLEMENT_LIMITS.maxBundles, message: `The free version is limited to ${maxBundles} bundles.` };
+    }
+
+    const currentById = new Map(currentBundles.map(bundle => [bundle.id, bundle]));
+    for (const bundle of newBundles) {
+        const previous = currentById.get(bundle.id);
+        const previousRuleCount = previous?.rules.length ?? 0;
+        if (maxRulesPerBundle !== null && bundle.rules.length > maxRulesPerBundle && bundle.rules.length > previousRuleCount) {
+            return { limit: ENTITLEMENT_LIMITS.maxRulesPerBundle, message: `The free version is limited to ${maxRulesPerBundle} rules per bundle.` };
+        }
+        if (!regexRules) {
+            const previousRegexIds = new Set((previous?.rules || []).filter(rule => rule.matchType === 'regex').map(rule => rule.id));
+            if (bundle.rules.some(rule => rule.matchType === 'regex' && !previousRegexIds.has(rule.id))) {
+                return { limit: ENTITLEMENT_LIMITS.regexRules, message: "Regex rules require a premium license." };
+            }
+        }
+    }
+    return null;
+}
@@ -0,0 +1,86 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * error-reporting.js
+ * Breadcrumbs and error reports shared by every context that reports to Sentry through the background.
+ * Loaded by background.js (importScripts), the extension pages and the content script. Requires message-bus.js.
+ *
+ * Each context keeps its own short breadcrumb trail. Pages and content scripts send it, with the
+ * error's real stack and their context name, in 'reportError'; the background adds its own trail
+ * and forwards everything to the offscreen document, which attaches it to the Sentry event.
+ *
+ * Breadcrumb: { timestamp: seconds since epoch, category: string, message: string, level: string, data?: object }
+ * (the shape Sentry's scope.addBreadcrumb expects).
+ */
+
+const MAX_BREADCRUMBS = 30; // Oldest breadcrumbs are dropped beyond this
+
+// Name of this context, sent as Sentry's origin_context tag. Set by initErrorReporting().
+let errorReportingContext = 'unknown';
+let breadcrumbTrail = [];
+
+/**
+ * Records a breadcrumb in this context's trail.
+ * @param {string} category - Area of the extension, e.g. 'ui.click', 'settings', 'log'.
+ * @param {string} message - What happened. Never include rule contents or page text.
+ * @param {object} [data] - Small, non-identifying extra values.
+ * @param {'debug'|'info'|'warning'|'error'} [level='info']
+ */
+function addBreadcrumb(category, message, data, level = 'info') {
+    breadcrumbTrail.push({ timestamp: Date.now() / 1000, category: `${errorReportingContext}.${category}`, message, level, ...(data && { data }) });
+    if (breadcrumbTrail.length > MAX_BREADCRUMBS) breadcrumbTrail = breadcrumbTrail.slice(-MAX_BREADCRUMBS);
+}
+
+/** Returns a copy of this context's breadcrumb trail, oldest first. */
+function getBreadcrumbs() {
+    return [...breadcrumbTrail];
+}
+
+/**
+ * Extracts the parts of an error that survive messaging, keeping its original stack.
+ * @param {*} error
+ * @returns {{name: string, message: string, stack?: string}}
+ */
+function serializeError(error) {
+    if (error instanceof Error) return { name: error.name, message: error.message, stack: error.stack };
+    return { name: 'Error', message: String(error) };
+}
+
+/**
+ * Names this context and, on extension pages, reports uncaught errors and rejections.
+ * Content scripts must not capture globally: they share the window's error events with the page.
+ * @param {string} context - e.g. 'popup', 'options', 'content'.
+ * @param {{captureGlobalErrors?: boolean}} [options]
+ */
+function initErrorReporting(context, { captureGlobalErrors = false } = {}) {
+    errorReportingContext = context;
+    if (!captureGlobalErrors) return;
+    globalThis.addEventListener('error', (event) => {
+        reportErrorToBackground("Uncaught error", event.error || event.message, { filename: event.filename, lineno: event.lineno });
+    });
+    globalThis.addEventListener('unhandledrejection', (event) => {
+        reportErrorToBackground("Unhandled promise rejection", event.reason);
+    });
+}
+
+/**
+ * Sends an error to the background script for Sentry reporting, with its stack and this context's breadcrumbs.
+ * Never throws: reporting failures are only logged.
+ * @param {string} message - What was being attempted.
+ * @param {*} error - The error caught.
+ * @param {object} [context={}] - Additional context to send with the error.
+ */
+async function reportErrorToBackground(message, error, context = {}) {
+    try {
+        await sendRuntimeMessage('reportError', {
+            source: errorReportingContext,
+            message,
+            error: serializeError(error),
+            context,
+            breadcrumbs: getBreadcrumbs()
+        });
+    } catch (messagingError) {
+        console.error(`${errorReportingContext}: Failed to report error to background script:`, messagingError, "Original error:", message, error);
+    }
+}
@@ -0,0 +1,96 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * license.js
+ * Offline verification of signed license keys using Web Crypto.
+ * Loaded by background.js (importScripts).
+ *
+ * A license key is two base64url segments joined by '.':
+ *   <payload>.<signature>
+ * where payload is UTF-8 JSON:
+ *   { licensee: string, issuedAt: ISO string, expiresAt: ISO string | null, entitlements: Array<string> }
+ * and signature is an ECDSA P-256 / SHA-256 signature (IEEE P1363 format, as produced by Web Crypto)
+ * over the payload segment's ASCII bytes.
+ *
+ * Generate a keypair and sign keys with tools/license-tool.js.
+ */
+
+// Public key (JWK) used to verify license signatures.
+// Replace with the "publicKey" printed by `node tools/license-tool.js keygen <dir>`.
+const LICENSE_PUBLIC_KEY_JWK = null;
+
+const LICENSE_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const LICENSE_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+let licensePublicKeyPromise = null;
+
+/** Decodes a base64url string to bytes. */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/** Imports the bundled public key once. */
+function getLicensePublicKey() {
+    if (!LICENSE_PUBLIC_KEY_JWK) {
+        return Promise.reject(new Error("License public key is not configured (see LICENSE_PUBLIC_KEY_JWK in license.js)."));
+    }
+    if (!licensePublicKeyPromise) {
+        licensePublicKeyPromise = crypto.subtle.importKey('jwk', LICENSE_PUBLIC_KEY_JWK, LICENSE_KEY_ALGORITHM, false, ['verify'])
+            .catch(error => {
+                licensePublicKeyPromise = null;
+                throw new Error(`License public key is invalid: ${error.message}`);
+            });
+    }
+    return licensePublicKeyPromise;
+}
+
+/**
+ * Verifies a license key's signature and expiry without any network access.
+ * @param {string} key - The license key entered by the user.
+ * @param {number} [now=Date.now()] - Current time, for checking expiry.
+ * @returns {Promise<{licensee: string, issuedAt: string, expiresAt: string|null, entitlements: Array<string>}>} The decoded license.
+ * @throws {Error} With a user-readable message if the key is malformed, forged or expired.
+ */
+async function verifyLicenseKey(key, now = Date.now()) {
+    const segments = typeof key === 'string' ? key.trim().split('.') : [];
+    if (segments.length !== 2 || !segments[0] || !segments[1]) {
+        throw new Error("License key is not in the expected format.");
+    }
+    const [payloadSegment, signatureSegment] = segments;
+
+    let signature;
+    let payload;
+    try {
+        signature = base64UrlToBytes(signatureSegment);
+        payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payloadSegment)));
+    } catch (error) {
+        throw new Error("License key is not in the expected format.");
+    }
+
+    const publicKey = await getLicensePublicKey();
+    const isAuthentic = await crypto.subtle.verify(
+        LICENSE_SIGNATURE_ALGORITHM, publicKey, signature, new TextEncoder().encode(payloadSegment)
+    );
+    if (!isAuthentic) {
+        throw new Error("License key signature is not valid.");
+    }
+
+    if (typeof payload?.licensee !== 'string' || !Array.isArray(payload.entitlements)
+        || !payload.entitlements.every(entitlement => typeof entitlement === 'string')) {
+        throw new Error("License key is missing licensee or entitlements.");
+    }
+    if (payload.expiresAt !== null && payload.expiresAt !== undefined) {
+        const expiresAtMs = Date.parse(payload.expiresAt);
+        if (Number.isNaN(expiresAtMs)) throw new Error("License key has an invalid expiry date.");
+        if (expiresAtMs <= now) throw new Error(`License expired on ${new Date(expiresAtMs).toLocaleDateString()}.`);
+    }
+
+    return {
+        licensee: payload.licensee,
+        issuedAt: payload.issuedAt ?? null,
+        expiresAt: payload.expiresAt ?? null,
+        entitlements: payload.entitlements
+    };
+}
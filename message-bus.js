@@ -0,0 +1,212 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * message-bus.js
+ * Typed runtime messaging shared by every context (background, offscreen, content scripts and extension pages).
+ *
+ * Every message uses one envelope:
+ *   { type: string, target?: string, payload?: object }
+ * target defaults to 'background'. Each context runs one router for its own target and ignores messages
+ * addressed elsewhere, so broadcasts never get a stray "unknown message" reply from the wrong context.
+ *
+ * Responses:
+ *   { success: true, ...handlerResult }
+ *   { success: false, error: { code, message, details? } }
+ *
+ * Payload schemas map keys to type names: 'string', 'number', 'boolean', 'object', 'array', 'null'.
+ * Join alternatives with '|' (e.g. 'string|null') and append '?' for optional keys.
+ */
+
+const MESSAGE_TARGETS = {
+    background: 'background',
+    offscreen: 'offscreen',
+    content: 'content',
+    extensionPages: 'extension_pages'
+};
+
+// Where a message came from, as determined by getSenderContext().
+const SENDER_CONTEXTS = {
+    background: 'background',
+    offscreen: 'offscreen',
+    extensionPage: 'extension_page',
+    contentScript: 'content_script',
+    unknown: 'unknown'
+};
+
+const MESSAGE_ERROR_CODES = {
+    malformedMessage: 'malformed_message',
+    unknownMessage: 'unknown_message',
+    invalidPayload: 'invalid_payload',
+    forbiddenSender: 'forbidden_sender',
+    noResponse: 'no_response',
+    handlerFailed: 'handler_failed'
+};
+
+/**
+ * Creates an Error carrying a machine-readable code, for handlers to throw and callers to inspect.
+ * @param {string} code - e.g. 'limit_reached'.
+ * @param {string} message - User- or developer-readable description.
+ * @param {object} [details] - Extra data returned to the caller.
+ * @returns {Error}
+ */
+function createMessageError(code, message, details) {
+    return Object.assign(new Error(message), { code, details });
+}
+
+/**
+ * Works out which extension context sent a message.
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {string} One of SENDER_CONTEXTS.
+ */
+function getSenderContext(sender) {
+    if (!sender || sender.id !== chrome.runtime.id) return SENDER_CONTEXTS.unknown;
+    const extensionOrigin = chrome.runtime.getURL('');
+    if (sender.url?.startsWith(extensionOrigin)) {
+        const path = sender.url.slice(extensionOrigin.length).split(/[?#]/)[0];
+        if (path === 'offscreen.html') return SENDER_CONTEXTS.offscreen;
+        if (path === chrome.runtime.getManifest().background?.service_worker) return SENDER_CONTEXTS.background;
+        return SENDER_CONTEXTS.extensionPage;
+    }
+    return sender.tab ? SENDER_CONTEXTS.contentScript : SENDER_CONTEXTS.unknown;
+}
+
+/**
+ * Checks a payload against a schema.
+ * @param {*} payload - The message payload (undefined is treated as {}).
+ * @param {object|null} schema - Key → type spec, or null to accept any payload.
+ * @returns {Array<string>} Problems found; empty if the payload is valid.
+ */
+function validateMessagePayload(payload, schema) {
+    if (!schema) return [];
+    const value = payload ?? {};
+    if (typeof value !== 'object' || Array.isArray(value)) return ["payload must be an object"];
+
+    const problems = [];
+    for (const [key, spec] of Object.entries(schema)) {
+        const isOptional = spec.endsWith('?');
+        const allowedTypes = (isOptional ? spec.slice(0, -1) : spec).split('|');
+        if (value[key] === undefined) {
+            if (!isOptional) problems.push(`'${key}' is required`);
+            continue;
+        }
+        const actualType = value[key] === null ? 'null' : Array.isArray(value[key]) ? 'array' : typeof value[key];
+        if (!allowedTypes.includes(actualType)) {
+            problems.push(`'${key}' must be ${allowedTypes.join(' or ')}, got ${actualType}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Creates the message router for one context.
+ * Register handlers with register(), then call listen() once.
+ * @param {string} target - The MESSAGE_TARGETS value this context answers to.
+ * @returns {{register: Function, listen: Function}}
+ */
+function createMessageRouter(target) {
+    const routes = new Map();
+
+    /**
+     * Registers the handler for a message type.
+     * @param {string} type - Message type.
+     * @param {object} route
+     * @param {object|null} [route.schema=null] - Payload schema (see file header).
+     * @param {Array<string>|null} [route.senders=null] - SENDER_CONTEXTS allowed to send it; null allows any of ours.
+     * @param {function(object, chrome.runtime.MessageSender): (object|void|Promise<object|void>)} route.handler -
+     *   Receives the payload and sender. Its result is merged into the success response; throwing
+     *   (ideally a createMessageError()) produces an error response.
+     */
+    function register(type, { schema = null, senders = null, handler }) {
+        if (routes.has(type)) throw new Error(`Message type '${type}' is already registered.`);
+        routes.set(type, { schema, senders, handler });
+    }
+
+    function handleMessage(message, sender, sendResponse) {
+        if ((message?.target ?? MESSAGE_TARGETS.background) !== target) return false;
+
+        const reject = (code, text, details) => {
+            console.warn(`MessageBus(${target}): Rejected '${message?.type}': ${text}`);
+            sendResponse({ success: false, error: { code, message: text, details } });
+            return false;
+        };
+        if (typeof message?.type !== 'string') {
+            return reject(MESSAGE_ERROR_CODES.malformedMessage, "Message has no type.");
+        }
+        const route = routes.get(message.type);
+        if (!route) {
+            return reject(MESSAGE_ERROR_CODES.unknownMessage, `Unknown message type '${message.type}'.`);
+        }
+        const senderContext = getSenderContext(sender);
+        if (senderContext === SENDER_CONTEXTS.unknown || (route.senders && !route.senders.includes(senderContext))) {
+            return reject(MESSAGE_ERROR_CODES.forbiddenSender, `'${message.type}' may not be sent from ${senderContext}.`);
+        }
+        const problems = validateMessagePayload(message.payload, route.schema);
+        if (problems.length > 0) {
+            return reject(MESSAGE_ERROR_CODES.invalidPayload, `Invalid payload for '${message.type}': ${problems.join('; ')}.`, { problems });
+        }
+
+        Promise.resolve()
+            .then(() => route.handler(message.payload ?? {}, sender))
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => {
+                console.error(`MessageBus(${target}): Handler for '${message.type}' failed:`, error);
+                sendResponse({
+                    success: false,
+                    error: {
+                        code: error?.code || MESSAGE_ERROR_CODES.handlerFailed,
+                        message: error?.message || `'${message.type}' failed.`,
+                        details: error?.details
+                    }
+                });
+            });
+        return true; // Keep the channel open for the async response.
+    }
+
+    return {
+        register,
+        listen: () => chrome.runtime.onMessage.addListener(handleMessage)
+    };
+}
+
+/**
+ * Turns a router response into a result, throwing its structured error.
+ * @param {object|undefined} response
+ * @param {string} type - Message type, for the error message.
+ * @returns {object} The success response.
+ * @throws {Error} With code and details from the receiving router.
+ */
+function unwrapMessageResponse(response, type) {
+    if (!response) {
+        throw createMessageError(MESSAGE_ERROR_CODES.noResponse, `No response to '${type}'.`);
+    }
+    if (!response.success) {
+        throw createMessageError(response.error?.code || MESSAGE_ERROR_CODES.handlerFailed,
+            response.error?.message || `'${type}' failed.`, response.error?.details);
+    }
+    return response;
+}
+
+/**
+ * Sends a typed message through chrome.runtime and resolves with the handler's result.
+ * @param {string} type - Message type.
+ * @param {object} [payload] - Message payload.
+ * @param {string} [target=MESSAGE_TARGETS.background] - Receiving context.
+ * @returns {Promise<object>} The success response.
+ * @throws {Error} If there is no receiver or the receiver rejected the message.
+ */
+async function sendRuntimeMessage(type, payload, target = MESSAGE_TARGETS.background) {
+    return unwrapMessageResponse(await chrome.runtime.sendMessage({ type, target, payload }), type);
+}
+
+/**
+ * Sends a typed message to the content script in a tab.
+ * @param {number} tabId - Tab to message.
+ * @param {string} type - Message type.
+ * @param {object} [payload] - Message payload.
+ * @returns {Promise<object>} The success response.
+ * @throws {Error} If the tab has no content script or it rejected the message.
+ */
+async function sendTabMessage(tabId, type, payload) {
+    return unwrapMessageResponse(await chrome.tabs.sendMessage(tabId, { type, target: MESSAGE_TARGETS.content, payload }), type);
+}
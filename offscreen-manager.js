@@ -0,0 +1,269 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * offscreen-manager.js
+ * Lifecycle of the offscreen document that sends Sentry and GA4 traffic for the service worker.
+ * Loaded by background.js (importScripts). Requires message-bus.js.
+ *
+ * - The document is created on demand. Messages sent while it is being created are buffered and
+ *   delivered in order once its readiness handshake ('offscreenReady') completes.
+ * - While open, a health check pings it. A missing or unresponsive document is closed and recreated.
+ * - After OFFSCREEN_IDLE_CLOSE_MS without messages it is closed to save memory.
+ * - A document that outlived a service worker restart is adopted with a ping instead of a handshake.
+ */
+
+const OFFSCREEN_STATES = {
+    closed: 'closed',
+    opening: 'opening',
+    ready: 'ready'
+};
+
+const OFFSCREEN_HEALTH_CHECK_INTERVAL_MS = 20 * 1000; // Also keeps the service worker alive while the document is open
+const OFFSCREEN_PING_TIMEOUT_MS = 5 * 1000;
+const OFFSCREEN_READY_TIMEOUT_MS = 10 * 1000;
+const OFFSCREEN_IDLE_CLOSE_MS = 5 * 60 * 1000;
+const OFFSCREEN_MAX_BUFFERED_MESSAGES = 100; // Oldest buffered messages are rejected beyond this
+const OFFSCREEN_STATS_KEY = 'offscreenLifecycleStats'; // chrome.storage.session, survives service worker restarts
+
+/**
+ * Creates the offscreen document manager.
+ * @param {object} options
+ * @param {string} options.path - Document path, e.g. 'offscreen.html'.
+ * @param {Array<string>} options.reasons - chrome.offscreen.Reason values.
+ * @param {string} options.justification - Shown by Chrome for the document.
+ * @param {function(function(string, object=): Promise<object>): Promise<void>} options.onReady -
+ *   Runs after every handshake, before buffered messages are delivered. Receives a function that
+ *   sends directly to the document (e.g. to push state it needs first).
+ * @param {function({reason: string, recreateCount: number, uptimeMs: number|null}): void} [options.onRecreated] -
+ *   Called after a crashed or unresponsive document was replaced.
+ * @param {{info: Function, warn: Function, error: Function}} [options.logger=console] - Where lifecycle events are logged.
+ * @returns {{send: Function, handleReady: Function, resume: Function, getStats: Function}}
+ */
+function createOffscreenManager({ path, reasons, justification, onReady, onRecreated = () => {}, logger = console }) {
+    const documentUrl = chrome.runtime.getURL(path);
+    let state = OFFSCREEN_STATES.closed;
+    let pending = []; // { type, payload, resolve, reject, attempts }
+    let openPromise = null;
+    let closePromise = Promise.resolve();
+    let resolveHandshake = null;
+    let healthCheckId = null;
+    let lastActivityAt = Date.now();
+    let openedAt = null;
+
+    const sendDirect = (type, payload) => sendRuntimeMessage(type, payload, MESSAGE_TARGETS.offscreen);
+
+    /** Rejects after ms milliseconds unless the promise settles first. */
+    function withTimeout(promise, ms, message) {
+        let timeoutId;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+    }
+
+    async function hasDocument() {
+        try {
+            const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [documentUrl] });
+            return contexts.length > 0;
+        } catch (error) {
+            logger.warn("OffscreenManager: Error checking for offscreen document:", error?.message);
+            return false;
+        }
+    }
+
+    /** Pings the document and updates openedAt from the uptime it reports. */
+    async function ping() {
+        const { uptimeMs } = await withTimeout(sendDirect('ping'), OFFSCREEN_PING_TIMEOUT_MS, "Offscreen document did not answer ping.");
+        openedAt = Date.now() - uptimeMs;
+    }
+
+    function enqueue(entry) {
+        if (pending.length >= OFFSCREEN_MAX_BUFFERED_MESSAGES) {
+            pending.shift().reject(createMessageError('offscreen_buffer_full', "Too many messages waiting for the offscreen document."));
+        }
+        pending.push(entry);
+    }
+
+    async function deliver(entry) {
+        entry.attempts++;
+        try {
+            entry.resolve(await sendDirect(entry.type, entry.payload));
+        } catch (error) {
+            // Errors with a code were answered by the document; anything else means it is gone.
+            if (error.code || entry.attempts > 1) {
+                entry.reject(error);
+                return;
+            }
+            enqueue(entry);
+            recover(`'${entry.type}' could not be delivered: ${error.message}`);
+        }
+    }
+
+    function rejectPending(error) {
+        const rejected = pending;
+        pending = [];
+        rejected.forEach(entry => entry.reject(error));
+    }
+
+    async function openDocument() {
+        await closePromise;
+        state = OFFSCREEN_STATES.opening;
+        try {
+            if (await hasDocument()) {
+                logger.info("OffscreenManager: Adopting existing offscreen document.");
+                await ping();
+            } else {
+                logger.info("OffscreenManager: Creating offscreen document...");
+                const handshake = new Promise(resolve => { resolveHandshake = resolve; });
+                await chrome.offscreen.createDocument({ url: documentUrl, reasons, justification });
+                await withTimeout(handshake, OFFSCREEN_READY_TIMEOUT_MS, "Offscreen document did not report ready.");
+                openedAt = Date.now();
+            }
+            await onReady(sendDirect);
+        } catch (error) {
+            logger.error("OffscreenManager: Failed to open offscreen document:", error);
+            resolveHandshake = null;
+            state = OFFSCREEN_STATES.closed;
+            await chrome.offscreen.closeDocument().catch(() => {});
+            rejectPending(createMessageError('offscreen_unavailable', `Offscreen document is unavailable: ${error.message}`));
+            throw error;
+        }
+
+        state = OFFSCREEN_STATES.ready;
+        lastActivityAt = Date.now();
+        startHealthCheck();
+        logger.info(`OffscreenManager: Offscreen document ready. Delivering ${pending.length} buffered message(s).`);
+        const queued = pending;
+        pending = [];
+        queued.forEach(deliver);
+    }
+
+    /** Opens the document once, however many callers are waiting for it. */
+    function open() {
+        if (!openPromise) {
+            openPromise = openDocument().finally(() => { openPromise = null; });
+        }
+        return openPromise;
+    }
+
+    function close(reason) {
+        logger.info(`OffscreenManager: Closing offscreen document (${reason}).`);
+        state = OFFSCREEN_STATES.closed;
+        openedAt = null;
+        stopHealthCheck();
+        closePromise = chrome.offscreen.closeDocument().catch(() => {}); // May already be gone
+        return closePromise;
+    }
+
+    /** Replaces a crashed or unresponsive document, recording how long it had been up. */
+    async function recover(reason) {
+        if (state !== OFFSCREEN_STATES.ready) return; // Already recovering or closed
+        logger.warn(`OffscreenManager: Offscreen document failed (${reason}). Recreating.`);
+        const uptimeMs = openedAt ? Date.now() - openedAt : null;
+        await close('failed');
+
+        const stats = await readStats();
+        stats.recreateCount++;
+        stats.lastFailureUptimeMs = uptimeMs;
+        await chrome.storage.session.set({ [OFFSCREEN_STATS_KEY]: stats }).catch(() => {});
+
+        try {
+            await open();
+            onRecreated({ reason, recreateCount: stats.recreateCount, uptimeMs });
+        } catch (error) {
+            // open() already logged and rejected the buffered messages.
+        }
+    }
+
+    async function checkHealth() {
+        if (state !== OFFSCREEN_STATES.ready) return;
+        if (pending.length === 0 && Date.now() - lastActivityAt > OFFSCREEN_IDLE_CLOSE_MS) {
+            await close('idle');
+            return;
+        }
+        if (!(await hasDocument())) {
+            await recover("document is missing");
+            return;
+        }
+        try {
+            await ping();
+        } catch (error) {
+            await recover(error.message);
+        }
+    }
+
+    function startHealthCheck() {
+        if (healthCheckId === null) healthCheckId = setInterval(checkHealth, OFFSCREEN_HEALTH_CHECK_INTERVAL_MS);
+    }
+
+    function stopHealthCheck() {
+        if (healthCheckId !== null) {
+            clearInterval(healthCheckId);
+            healthCheckId = null;
+        }
+    }
+
+    async function readStats() {
+        try {
+            const { [OFFSCREEN_STATS_KEY]: stats } = await chrome.storage.session.get(OFFSCREEN_STATS_KEY);
+            return { recreateCount: 0, lastFailureUptimeMs: null, ...stats };
+        } catch (error) {
+            return { recreateCount: 0, lastFailureUptimeMs: null };
+        }
+    }
+
+    return {
+        /**
+         * Sends a typed message to the offscreen document, creating it first if needed.
+         * @param {string} type - Message type registered in offscreen.js.
+         * @param {object} [payload]
+         * @returns {Promise<object>} The document's success response.
+         * @throws {Error} If the document rejected the message or could not be opened.
+         */
+        send(type, payload) {
+            lastActivityAt = Date.now();
+            return new Promise((resolve, reject) => {
+                const entry = { type, payload, resolve, reject, attempts: 0 };
+                if (state === OFFSCREEN_STATES.ready) {
+                    deliver(entry);
+                    return;
+                }
+                enqueue(entry);
+                open().catch(() => {}); // Failures reject the buffered entries
+            });
+        },
+
+        /** Completes the readiness handshake. Call when the document sends 'offscreenReady'. */
+        handleReady() {
+            if (resolveHandshake) {
+                resolveHandshake();
+                resolveHandshake = null;
+            } else if (state === OFFSCREEN_STATES.ready) {
+                // The document reloaded itself; give it the state it needs again.
+                openedAt = Date.now();
+                onReady(sendDirect).catch(error => logger.error("OffscreenManager: Failed to re-initialize reloaded document:", error));
+            }
+        },
+
+        /** Adopts a document that outlived a service worker restart, so idle closing and health checks resume. */
+        async resume() {
+            if (state === OFFSCREEN_STATES.closed && await hasDocument()) {
+                await open().catch(() => {});
+            }
+        },
+
+        /**
+         * Describes the document for diagnostics and Sentry context.
+         * @returns {Promise<{state: string, uptimeMs: number|null, bufferedMessages: number, recreateCount: number, lastFailureUptimeMs: number|null}>}
+         */
+        async getStats() {
+            return {
+                state,
+                uptimeMs: openedAt ? Date.now() - openedAt : null,
+                bufferedMessages: pending.length,
+                ...(await readStats())
+            };
+        }
+    };
+}
@@ -1,74 +1,102 @@
 // offscreen.js
 // Runs in the hidden offscreen document.
-// Initializes Sentry. Handles messages for Sentry & GA4 reporting.
+// Initializes Sentry (DSN and environment from config.js, release from the manifest). Handles messages for Sentry & GA4 reporting.
+// Reports carry their origin context, the anonymous client id as the user, and breadcrumbs.
+// Sends transactions timed in the background and content scripts (performance-tracing.js) as Sentry transaction events.
 // Reads GA4 client/session IDs from message payload.
+// Honors the telemetry consent state pushed by the background script.
+// Messages are routed by message-bus.js; only the background script may send to this document.
+
+// Warnings and errors are forwarded to the background's stored activity log (activity-log.js).
+const log = createActivityLogger('offscreen', createMessageLogSink());
 
 // --- Configuration ---
-const SENTRY_DSN = "https://f5560443c33e63ec4f1cd7075b8581a3@o4509142515449856.ingest.us.sentry.io/4509142555557888";
-const GA4_MEASUREMENT_ID = "G-9K7F60SKFD"; // GA4 Measurement ID
-const GA4_API_SECRET = "8EMh_pCsQOGGjVLmEEsxYg"; // GA4 API Secret
+// Sentry DSN and GA4 credentials come from config.json (config.js). Null if it failed validation,
+// in which case nothing is sent.
+let runtimeConfig = null;
+let sentryInitialized = false;
 const SENTRY_FLUSH_TIMEOUT = 3000;
 // Session expiration constant (no longer used directly here, managed by background)
 // const SESSION_EXPIRATION_MINUTES = 30;
 
+// --- Telemetry Consent ---
+// Mirrors the user's choices from chrome.storage.sync, which this document cannot read itself.
+// Stays null (nothing is sent) until the background completes the readiness handshake.
+let telemetryConsent = null;
+
+/** Returns true only if the user has explicitly allowed the given kind of telemetry. */
+function hasConsent(kind) {
+  return telemetryConsent?.[kind] === true;
+}
+
+// --- Sentry Release ---
+const manifest = chrome.runtime.getManifest();
+const SENTRY_RELEASE = `${manifest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}@${manifest.version}`;
+
 // --- Sentry Initialization ---
-try {
-  if (typeof Sentry !== 'undefined') {
-    Sentry.init({
-      dsn: SENTRY_DSN,
-      initialScope: { tags: { context: 'offscreen' } },
-    });
-    console.log("Offscreen: Sentry initialized successfully.");
-  } else { console.error("Offscreen: Sentry SDK object not found."); }
-} catch (error) { console.error("Offscreen: Error initializing Sentry:", error); }
+/** Initializes Sentry for the configured profile. */
+function initializeSentry(config) {
+  try {
+    if (typeof Sentry !== 'undefined') {
+      Sentry.init({
+        dsn: config.sentry.dsn,
+        release: SENTRY_RELEASE,
+        environment: config.environment,
+        initialScope: { tags: { context: 'offscreen', config_profile: config.profile } },
+        // Drops every event, including ones from Sentry's own global handlers, unless crash reports are allowed.
+        beforeSend: (event) => hasConsent('crashReports') ? event : null,
+        beforeSendTransaction: (event) => hasConsent('crashReports') ? event : null,
+        // The only requests made here go to the Measurement Protocol, whose URL carries the API secret.
+        beforeBreadcrumb: (breadcrumb) => breadcrumb.category === 'fetch' ? null : breadcrumb,
+      });
+      sentryInitialized = true;
+      console.log(`Offscreen: Sentry initialized successfully (${config.profile} profile).`);
+    } else { log.error("Offscreen: Sentry SDK object not found."); }
+  } catch (error) { log.error("Offscreen: Error initializing Sentry:", error); }
+}
 
 // --- GA4 Measurement Protocol Sending Function ---
 
 /**
- * Sends an event to GA4 using the Measurement Protocol.
- * Assumes clientId and sessionId are provided in eventParams.
- * @param {string} eventName - The name of the event.
- * @param {object} eventParams - Parameters for the event, MUST include clientId and sessionId.
+ * Sends a batch of events to GA4 using the Measurement Protocol.
+ * The background script batches events per client ID and never sends more than 25 per request.
+ * @param {string} clientId - The GA4 client ID shared by every event in the batch.
+ * @param {Array<{name: string, params: object}>} events - Events to send. Each params object MUST include session_id.
+ * @returns {Promise<{sent: boolean, retryable: boolean, status?: number}>} Result used by the background queue
+ *   to decide whether the batch can be dropped or must be retried later.
  */
-async function sendGaEventViaMP(eventName, eventParams = {}) {
-  if (!GA4_MEASUREMENT_ID || !GA4_API_SECRET) {
-    console.warn("Offscreen: GA4 Measurement ID or API Secret not configured.");
-    return;
+async function sendGaEventsViaMP(clientId, events = []) {
+  if (!runtimeConfig) {
+    log.warn("Offscreen: GA4 is not configured (config.json failed validation).");
+    return { sent: false, retryable: false };
   }
 
-  // --- FIXED: Extract IDs from parameters sent by background script ---
-  const clientId = eventParams.client_id;
-  const sessionId = eventParams.session_id;
-
-  if (!clientId || !sessionId) {
-      console.error(`Offscreen: Missing clientId (${clientId}) or sessionId (${sessionId}) in GA4 event params for '${eventName}'. Cannot send event.`);
-      // Optionally report this issue to Sentry
-      reportErrorToSentry(new Error("Missing client/session ID for GA4 event"), { eventName });
-      return;
+  const eventNames = events.map(event => event.name).join(', ');
+  if (!clientId || events.some(event => !event.params?.session_id)) {
+      log.error(`Offscreen: Missing clientId (${clientId}) or sessionId in GA4 batch [${eventNames}]. Cannot send events.`);
+      reportErrorToSentry(new Error("Missing client/session ID for GA4 event"), { eventNames });
+      return { sent: false, retryable: false };
   }
-  // --- End Fix ---
 
   try {
     // Construct the Measurement Protocol v2 payload
     const payload = {
-      // Use IDs received from background script
       client_id: clientId,
       non_personalized_ads: false,
-      events: [{
-        name: eventName,
+      events: events.map(({ name, params }) => ({
+        name,
         params: {
-          // Pass session ID received from background
-          session_id: sessionId,
-          engagement_time_msec: "1", // Minimal engagement time
-          // Remove client_id and session_id from event-specific params if they exist
-          ...Object.fromEntries(Object.entries(eventParams).filter(([key]) => key !== 'client_id' && key !== 'session_id'))
+          // engagement_time_msec is only present on events from extension pages, which measure it (page-analytics.js).
+          // Remove client_id from event-specific params; it is sent at the top level.
+          ...Object.fromEntries(Object.entries(params).filter(([key]) => key !== 'client_id'))
         }
-      }]
+      }))
     };
 
-    const url = `https://www.google-analytics.com/mp/collect?measurement_id=${GA4_MEASUREMENT_ID}&api_secret=${GA4_API_SECRET}`;
+    const { measurementId, apiSecret, endpoint } = runtimeConfig.ga4;
+    const url = `${endpoint}?${new URLSearchParams({ measurement_id: measurementId, api_secret: apiSecret })}`;
 
-    console.log(`Offscreen: Sending GA4 event '${eventName}' with client ID ${clientId.substring(0, 8)}... and session ID ${sessionId}...`);
+    console.log(`Offscreen: Sending ${events.length} GA4 event(s) [${eventNames}] with client ID ${clientId.substring(0, 8)}...`);
 
     const response = await fetch(url, {
       method: 'POST',
@@ -78,22 +106,28 @@ async function sendGaEventViaMP(eventName, eventParams = {}) {
 
     if (!response.ok) {
       const responseBody = await response.text();
-      console.error(`Offscreen: GA4 MP request failed (${response.status}). Event: ${eventName}. Response:`, responseBody);
-      reportErrorToSentry(new Error(`GA4 MP request failed: ${response.status}`), { eventName, responseStatus: response.status, responseBody });
-    } else {
-       console.log(`Offscreen: GA4 MP request for '${eventName}' successful.`);
+      // Rate limiting and server errors are transient; other client errors will fail again on retry.
+      const retryable = response.status === 429 || response.status >= 500;
+      log.error(`Offscreen: GA4 MP request failed (${response.status}). Events: ${eventNames}. Response:`, responseBody);
+      if (!retryable) {
+        reportErrorToSentry(new Error(`GA4 MP request failed: ${response.status}`), { eventNames, responseStatus: response.status, responseBody });
+      }
+      return { sent: false, retryable, status: response.status };
     }
+    console.log(`Offscreen: GA4 MP request for [${eventNames}] successful.`);
+    return { sent: true, retryable: false, status: response.status };
 
   } catch (error) {
-    console.error(`Offscreen: Error sending GA4 event '${eventName}':`, error);
-    reportErrorToSentry(error, { eventName, context: 'sendGaEventViaMP' });
+    // Network failures (e.g. the user is offline) are expected; the background queue retries them.
+    log.warn(`Offscreen: Network error sending GA4 events [${eventNames}]:`, error?.message);
+    return { sent: false, retryable: true };
   }
 }
 
 // --- Sentry Error Reporting Wrapper ---
 async function reportErrorToSentry(error, context = {}) {
     // Basic implementation assumed from previous context
-    if (typeof Sentry !== 'undefined' && Sentry.captureException) {
+    if (sentryInitialized) {
         Sentry.withScope(scope => {
             scope.setContext("GA4/Offscreen Error Context", context);
             Sentry.captureException(error);
@@ -101,49 +135,164 @@ async function reportErrorToSentry(error, context = {}) {
         console.log("Offscreen: Reported internal helper error to Sentry.");
         await Sentry.flush(SENTRY_FLUSH_TIMEOUT).catch(()=>{}); // Attempt flush
     } else {
-        console.error("Offscreen: Sentry not available to report internal helper error.", error);
+        log.error("Offscreen: Sentry not available to report internal helper error.", error);
     }
 }
 
 
-// --- Message Listener ---
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log("Offscreen: Message listener invoked. Received:", message);
-  if (message.target !== 'offscreen') return false;
+// --- Message Router ---
+const offscreenRouter = createMessageRouter(MESSAGE_TARGETS.offscreen);
+const BACKGROUND_ONLY = [SENDER_CONTEXTS.background];
+
+/**
+ * Applies what travels with every report from the background: where it came from, the anonymous
+ * user and the breadcrumbs recorded in the background and the originating context.
+ */
+function applyReportScope(scope, { origin, clientId, breadcrumbs, appVersion }) {
+  scope.setTag('origin_context', origin || 'background');
+  if (appVersion) scope.setTag('app_version', appVersion);
+  if (clientId) scope.setUser({ id: clientId });
+  (breadcrumbs || []).forEach(breadcrumb => scope.addBreadcrumb(breadcrumb));
+}
+
+/** Throws unless crash reporting is allowed and the Sentry SDK loaded. */
+function assertSentryAvailable(type) {
+  if (!hasConsent('crashReports')) {
+    console.log(`Offscreen: Crash reporting not allowed. Ignoring '${type}'.`);
+    throw createMessageError('consent_required', "Crash reporting disabled by user");
+  }
+  if (!sentryInitialized) {
+    log.error(`Offscreen: Sentry not initialized for '${type}'.`);
+    throw createMessageError('sentry_unavailable', "Sentry is not initialized (missing SDK or invalid config.json)");
+  }
+}
+
+// --- Handle Health Check Ping ---
+// Reports how long this document has been loaded, for the background's lifecycle stats.
+offscreenRouter.register('ping', {
+  senders: BACKGROUND_ONLY,
+  handler: () => ({ pong: true, uptimeMs: Math.round(performance.now()) })
+});
 
-  // --- Handle Keep-Alive Ping ---
-  if (message.type === 'ping') { sendResponse({ pong: true }); return false; }
+// --- Handle Consent Updates ---
+offscreenRouter.register('consentUpdated', {
+  schema: { analytics: 'boolean', crashReports: 'boolean' },
+  senders: BACKGROUND_ONLY,
+  handler: (consent) => {
+    telemetryConsent = consent;
+    console.log("Offscreen: Telemetry consent updated:", telemetryConsent);
+  }
+});
 
-  // --- Handle Sentry Error Capture ---
-  if (message.type === 'captureError' && message.payload) { /* ... Sentry capture logic from previous step ... */
-    console.log("Offscreen: Received 'captureError'.");
-    if (typeof Sentry !== 'undefined' && Sentry.captureException) {
-      const errorData = message.payload; const syntheticError = new Error(errorData.message || 'Unknown'); syntheticError.name = errorData.name || 'Error'; if (errorData.stack) syntheticError.stack = errorData.stack;
-      Sentry.withScope(scope => { if (errorData.context) scope.setContext("BG Error Context", errorData.context); if (errorData.appVersion) scope.setTag('app_version', errorData.appVersion); scope.setTag('errorSource', 'backgroundScript'); console.log("Offscreen: Calling Sentry.captureException..."); try { const eventId = Sentry.captureException(syntheticError); console.log("Offscreen: Sent error to Sentry. Event ID:", eventId); Sentry.flush(SENTRY_FLUSH_TIMEOUT).then(f => console.log("Offscreen: Sentry.flush done.", f)).catch(e => console.error("Offscreen: Sentry.flush error:", e)); } catch (e) { console.error("Offscreen: Error DURING Sentry.captureException call:", e); } }); sendResponse({ success: true });
-    } else { console.error("Offscreen: Sentry SDK not available for captureException."); sendResponse({ success: false, error: "Sentry SDK not available" }); } return false;
+// --- Handle Sentry Error Capture ---
+offscreenRouter.register('captureError', {
+  schema: {
+    message: 'string', name: 'string?', stack: 'string?', context: 'object?', appVersion: 'string?',
+    origin: 'string?', clientId: 'string?', breadcrumbs: 'array?'
+  },
+  senders: BACKGROUND_ONLY,
+  handler: (errorData) => {
+    assertSentryAvailable('captureError');
+    const syntheticError = new Error(errorData.message || 'Unknown');
+    syntheticError.name = errorData.name || 'Error';
+    if (errorData.stack) syntheticError.stack = errorData.stack;
+    let eventId;
+    Sentry.withScope(scope => {
+      if (errorData.context) scope.setContext("Error Context", errorData.context);
+      applyReportScope(scope, errorData);
+      eventId = Sentry.captureException(syntheticError);
+    });
+    console.log("Offscreen: Sent error to Sentry. Event ID:", eventId);
+    Sentry.flush(SENTRY_FLUSH_TIMEOUT).catch(e => log.error("Offscreen: Sentry.flush error:", e));
+    return { eventId };
   }
+});
 
-  // --- Handle Sentry Message Capture ---
-  if (message.type === 'captureMessage' && message.payload) { /* ... Sentry message logic from previous step ... */
-     console.log("Offscreen: Received 'captureMessage'.");
-     if (typeof Sentry !== 'undefined' && Sentry.captureMessage) { Sentry.withScope(scope => { if (message.payload.appVersion) scope.setTag('app_version', message.payload.appVersion); scope.setTag('messageSource', 'backgroundScript'); console.log("Offscreen: Calling Sentry.captureMessage..."); const messageId = Sentry.captureMessage(message.payload.message || 'BG message'); console.log("Offscreen: Sent message to Sentry. Event ID:", messageId); Sentry.flush(SENTRY_FLUSH_TIMEOUT).then(f => console.log("Offscreen: Sentry.flush done.", f)).catch(e => console.error("Offscreen: Sentry.flush error:", e)); }); sendResponse({ success: true }); } else { console.error("Offscreen: Sentry SDK not available for captureMessage."); sendResponse({ success: false, error: "Sentry SDK not available" }); } return false;
+// --- Handle Sentry Message Capture ---
+offscreenRouter.register('captureMessage', {
+  schema: {
+    message: 'string', context: 'object?', appVersion: 'string?',
+    origin: 'string?', clientId: 'string?', breadcrumbs: 'array?'
+  },
+  senders: BACKGROUND_ONLY,
+  handler: (messageData) => {
+    assertSentryAvailable('captureMessage');
+    let eventId;
+    Sentry.withScope(scope => {
+      if (messageData.context) scope.setContext("Message Context", messageData.context);
+      applyReportScope(scope, messageData);
+      eventId = Sentry.captureMessage(messageData.message || 'BG message');
+    });
+    console.log("Offscreen: Sent message to Sentry. Event ID:", eventId);
+    Sentry.flush(SENTRY_FLUSH_TIMEOUT).catch(e => log.error("Offscreen: Sentry.flush error:", e));
+    return { eventId };
   }
+});
 
-  // --- Handle GA4 Event Sending ---
-  if (message.type === 'sendGaEvent' && message.payload) {
-      console.log("Offscreen: Received 'sendGaEvent'. Payload:", message.payload);
-      // Call async function but don't await here in listener
-      // Pass the entire payload.params which should now include clientId and sessionId
-      sendGaEventViaMP(message.payload.name, message.payload.params)
-          .catch(e => console.error("Offscreen: sendGaEventViaMP failed:", e));
-      sendResponse({ success: true, status: "GA4 event processing initiated" });
-      return false; // Ack sent
+// --- Handle Sentry Transactions ---
+// The vendored bundle has no tracing integration; spans are timed where the work happens and sampled
+// there, so they arrive finished and are sent as a transaction event.
+offscreenRouter.register('captureTransaction', {
+  schema: {
+    name: 'string', op: 'string', traceId: 'string', spanId: 'string', startTimestamp: 'number',
+    timestamp: 'number', status: 'string', data: 'object?', spans: 'array',
+    appVersion: 'string?', origin: 'string?', clientId: 'string?'
+  },
+  senders: BACKGROUND_ONLY,
+  handler: (transaction) => {
+    assertSentryAvailable('captureTransaction');
+    const eventId = Sentry.captureEvent({
+      type: 'transaction',
+      transaction: transaction.name,
+      transaction_info: { source: 'custom' },
+      start_timestamp: transaction.startTimestamp,
+      timestamp: transaction.timestamp,
+      contexts: {
+        trace: {
+          trace_id: transaction.traceId, span_id: transaction.spanId, op: transaction.op,
+          status: transaction.status, data: transaction.data
+        }
+      },
+      spans: transaction.spans.map(span => ({
+        trace_id: transaction.traceId, span_id: span.spanId, parent_span_id: span.parentSpanId,
+        description: span.name, op: span.op, start_timestamp: span.startTimestamp,
+        timestamp: span.timestamp, status: span.status, data: span.data
+      })),
+      tags: { origin_context: transaction.origin || 'background', ...(transaction.appVersion && { app_version: transaction.appVersion }) },
+      ...(transaction.clientId && { user: { id: transaction.clientId } })
+    });
+    Sentry.flush(SENTRY_FLUSH_TIMEOUT).catch(e => log.error("Offscreen: Sentry.flush error:", e));
+    return { eventId };
   }
+});
 
-  // --- Handle Unknown Type ---
-  if (message.type !== 'ping') { console.warn("Offscreen: Received unknown message type:", message.type); sendResponse({ success: false, error: "Unknown message type" }); }
-  return false;
+// --- Handle GA4 Batch Sending ---
+// Responds once the request completes so the background queue knows whether to retry.
+offscreenRouter.register('sendGaBatch', {
+  schema: { clientId: 'string', events: 'array' },
+  senders: BACKGROUND_ONLY,
+  handler: async ({ clientId, events }) => {
+    if (!hasConsent('analytics')) {
+      // Unknown consent (not yet received) is retried later; an explicit opt-out is dropped.
+      console.log("Offscreen: Analytics not allowed. Ignoring 'sendGaBatch'.");
+      return { sent: false, retryable: telemetryConsent === null };
+    }
+    console.log(`Offscreen: Received 'sendGaBatch' with ${events.length} event(s).`);
+    return sendGaEventsViaMP(clientId, events);
+  }
 });
 
-console.log("Offscreen script loaded and message listener attached (Sentry + GA4 - Reads IDs from message).");
+offscreenRouter.listen();
+
+console.log("Offscreen script loaded and message router attached (Sentry + GA4 - Reads IDs from message).");
 
+// Readiness handshake, once the configuration is loaded: the background replies by pushing
+// 'consentUpdated', then delivers any messages it buffered while this document was loading.
+loadConfig()
+  .then(config => {
+    runtimeConfig = config;
+    initializeSentry(config);
+  })
+  .catch(error => log.error("Offscreen: Sentry and GA4 are disabled:", error.message))
+  .then(() => sendRuntimeMessage('offscreenReady'))
+  .catch(e => log.warn("Offscreen: Could not notify background of readiness:", e?.message));
@@ -1,27 +1,1197 @@
-(function() {
-  const ga4MeasurementId = 'your_ga4_measurement_id_here';
-
-  if (ga4MeasurementId) {
-    // Dynamically load the Google Analytics 4 script
-    const script = document.createElement('script');
-    script.src = `https://www.googletagmanager.com/gtag/js?id=${ga4MeasurementId}`;
-    script.async = true;
-    document.head.appendChild(script);
-
-    // Initialize gtag once the script is loaded
-    script.onload = () => {
-      window.dataLayer = window.dataLayer || [];
-      function gtag() {
-        dataLayer.push(arguments);
-      }
-      gtag('js', new Date());
-      gtag('config', ga4MeasurementId);
-
-      // Send a page_view event
-      gtag('event', 'page_view', {
-        page_title: document.title,
-        page_location: window.location.href,
-      });
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * options.js
+ * Handles logic for the options page.
+ * Lists rule bundles and lets users create, rename, duplicate, delete and activate them. Several bundles can be
+ * active at once; activeBundleIds keeps them in priority order. Each bundle can be limited to some sites (bundle.domains).
+ * Edits, reorders and toggles individual rules (toggles are stored in disabledRuleIds).
+ * Exports bundles to JSON files and imports them (see bundle-transfer.js).
+ * All settings changes go through the background's saveLocalSettings so content scripts get 'settingsUpdated'.
+ * Undoes and redoes changes, and restores snapshots from the settings history (settings-history.js).
+ * Previews rules against pasted sample text or HTML in the rule tester (rule-tester.js).
+ * Activates, shows and removes the signed license key via the background script.
+ * Gates premium features (see entitlements.js) and shows an upsell when a free-tier limit is hit.
+ * Manages telemetry consent (analytics and crash reports) via the background script.
+ * Turns rule sync on and off (rule-sync.js) and tells the user when some bundles can't be synced.
+ * Reloads when the background reports 'settingsUpdated' (e.g. bundles synced from another browser).
+ * Unexpected errors (including uncaught ones) go to Sentry via the background with breadcrumbs of
+ * recent saves, imports and license actions (error-reporting.js).
+ * Sends a page view, engagement time and UI events through the background's GA4 queue (page-analytics.js).
+ * Relies on domain-matcher.js, rule-engine.js, bundle-schema.js, bundle-transfer.js, rule-tester.js and entitlements.js.
+ */
+
+// --- State Management ---
+// Local copy of the settings this page edits. Replaced wholesale after every save.
+let settings = { ruleBundles: [], activeBundleIds: [], disabledRuleIds: [] };
+let selectedBundleId = null;
+// Free-tier entitlements until the background answers.
+let entitlements = resolveEntitlements(null);
+// Rule sync choice and status (see getStatus() in rule-sync.js), until the background answers.
+let ruleSyncState = { enabled: false, status: { state: 'off', reason: null, localOnlyBundleIds: [], lastSyncedAt: null } };
+// Settings history without the snapshots' contents (see list() in settings-history.js), newest first.
+let settingsHistory = { undo: [], redo: [] };
+const ruleTester = createRuleTester();
+let ruleTestTimeoutId = null;
+let isRuleTesterUsed = false;
+
+// --- DOM Elements ---
+const settingsStatus = document.querySelector('#settings-status');
+const undoBtn = document.querySelector('#undo-btn');
+const redoBtn = document.querySelector('#redo-btn');
+const historyList = document.querySelector('#history-list');
+const testerBundles = document.querySelector('#tester-bundles');
+const testerHtml = document.querySelector('#tester-html');
+const testerInput = document.querySelector('#tester-input');
+const testerStatus = document.querySelector('#tester-status');
+const testerPreview = document.querySelector('#tester-preview');
+const testerResults = document.querySelector('#tester-results');
+const testerResultsBody = document.querySelector('#tester-results-body');
+const upsellBanner = document.querySelector('#upsell-banner');
+const upsellMessage = document.querySelector('#upsell-message');
+const newBundleBtn = document.querySelector('#new-bundle-btn');
+const bundleList = document.querySelector('#bundle-list');
+const rulesHeading = document.querySelector('#rules-heading');
+const rulesEmpty = document.querySelector('#rules-empty');
+const bundleScope = document.querySelector('#bundle-scope');
+const scopeInclude = document.querySelector('#scope-include');
+const scopeExclude = document.querySelector('#scope-exclude');
+const rulesTable = document.querySelector('#rules-table');
+const rulesBody = document.querySelector('#rules-body');
+const addRuleForm = document.querySelector('#add-rule-form');
+const newRuleFind = document.querySelector('#new-rule-find');
+const newRuleReplace = document.querySelector('#new-rule-replace');
+const newRuleMatchType = document.querySelector('#new-rule-match-type');
+const newRuleIgnoreCase = document.querySelector('#new-rule-ignore-case');
+const addRuleBtn = addRuleForm.querySelector('button[type="submit"]');
+const exportAllBtn = document.querySelector('#export-all-btn');
+const importForm = document.querySelector('#import-form');
+const importFile = document.querySelector('#import-file');
+const importMode = document.querySelector('#import-mode');
+const importCollision = document.querySelector('#import-collision');
+const licenseDetails = document.querySelector('#license-details');
+const licenseLicensee = document.querySelector('#license-licensee');
+const licenseExpiry = document.querySelector('#license-expiry');
+const licenseEntitlements = document.querySelector('#license-entitlements');
+const removeLicenseBtn = document.querySelector('#remove-license-btn');
+const licenseForm = document.querySelector('#license-form');
+const licenseKeyInput = document.querySelector('#license-key-input');
+const licenseStatus = document.querySelector('#license-status');
+const analyticsConsentToggle = document.querySelector('#analytics-consent-toggle');
+const crashReportsConsentToggle = document.querySelector('#crash-reports-consent-toggle');
+const privacyStatus = document.querySelector('#privacy-status');
+const ruleSyncToggle = document.querySelector('#rule-sync-toggle');
+const ruleSyncNotice = document.querySelector('#rule-sync-notice');
+const ruleSyncStatus = document.querySelector('#rule-sync-status');
+
+// Shown in the history list for each entry.source (SETTINGS_CHANGE_SOURCES in settings-history.js).
+const SETTINGS_CHANGE_SOURCE_LABELS = {
+    options: 'Options page',
+    popup: 'Popup',
+    shortcut: 'Keyboard shortcut',
+    sync: 'Synced from another browser',
+    preloaded: 'Preloaded bundle update',
+    extension: 'Extension'
+};
+
+// Rule tester notes, by result status (RULE_TEST_STATUSES in rule-tester.js).
+const RULE_TEST_NOTES = {
+    matched: '',
+    never_matches: "Never matches the sample.",
+    shadowed: "Matches the sample on its own, but earlier rules change that text first.",
+    disabled: "Turned off.",
+    locked: "Regex rules require a premium license; pages skip this rule.",
+    invalid: "Invalid rule:",
+    timed_out: `Stopped after ${RULE_TEST_TIMEOUT_MS} ms. This regex can backtrack catastrophically and freeze pages; avoid nested repeats like (a+)+.`
+};
+const RULE_TEST_DELAY_MS = 300;
+
+// Shown while rule sync is degraded, by reason (RULE_SYNC_REASONS in rule-sync.js).
+const RULE_SYNC_NOTICES = {
+    quota: "These bundles don't fit in Chrome's sync storage and are only saved in this browser:",
+    rate_limited: "Chrome is limiting how often rules can sync. Your changes are saved in this browser and will sync in a minute.",
+    invalid_remote_bundle: "Some bundles synced from another browser couldn't be read. Update the extension everywhere to the same version.",
+    unsupported_format: "Your rules were synced by a newer version of the extension. Update it in this browser to keep syncing.",
+    error: "Your rules couldn't be synced. Your changes are saved in this browser."
+};
+
+// --- Utility Functions ---
+
+/**
+ * Creates an element with properties and children.
+ * @param {string} tag - Element tag name.
+ * @param {object} [props={}] - Properties assigned to the element (e.g. className, textContent, onclick).
+ * @param {Array<Node|string>} [children=[]] - Child nodes or text.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, props = {}, children = []) {
+    const element = Object.assign(document.createElement(tag), props);
+    element.append(...children);
+    return element;
+}
+
+/** Shows a short status message at the top of the page. */
+function showSettingsStatus(text, isError = false) {
+    settingsStatus.textContent = text;
+    settingsStatus.classList.toggle('error', isError);
+}
+
+/** Returns the bundle with the given id from the local settings copy. */
+function findBundle(bundleId) {
+    return settings.ruleBundles.find(bundle => bundle.id === bundleId) || null;
+}
+
+// --- Settings Persistence ---
+
+/** Loads settings from the background script and re-renders the page. */
+async function loadSettings() {
+    try {
+        const { settings: stored } = await sendRuntimeMessage('getLocalSettings');
+        const { ruleBundles, activeBundleIds, disabledRuleIds } = stored;
+        settings = { ruleBundles, activeBundleIds, disabledRuleIds };
+        if (!findBundle(selectedBundleId)) {
+            selectedBundleId = settings.activeBundleIds.find(findBundle) ?? settings.ruleBundles[0]?.id ?? null;
+        }
+        render();
+    } catch (error) {
+        console.error("Options: Failed to load settings:", error);
+        showSettingsStatus("Could not load settings.", true);
+        reportErrorToBackground("Failed to load settings", error);
+    }
+}
+
+/**
+ * Saves changed settings through the background script, then reloads the page state.
+ * On failure the page is reloaded from storage so it never shows unsaved changes as saved.
+ * @param {object} changes - Subset of { ruleBundles, activeBundleIds, disabledRuleIds }.
+ * @returns {Promise<boolean>} True if the save succeeded.
+ */
+async function saveSettings(changes) {
+    addBreadcrumb('settings', 'Saving settings', { keys: Object.keys(changes) });
+    try {
+        await sendRuntimeMessage('saveLocalSettings', changes);
+        showSettingsStatus("Changes saved.");
+        return true;
+    } catch (error) {
+        if (error.code === 'limit_reached') {
+            // The background already recorded the limit hit.
+            showUpsell(error.message);
+            return false;
+        }
+        console.error("Options: Failed to save settings:", error);
+        showSettingsStatus(`Could not save changes: ${error.message}`, true);
+        // Errors with a code were answered by the background (e.g. settings that failed validation).
+        if (!error.code) reportErrorToBackground("Failed to save settings", error, { keys: Object.keys(changes) });
+        return false;
+    } finally {
+        await loadSettings();
+        loadHistory();
+    }
+}
+
+/**
+ * Replaces one bundle in ruleBundles and saves.
+ * @param {object} updatedBundle - The new bundle object (same id).
+ * @param {object} [extraChanges={}] - Other settings to save in the same write.
+ */
+function saveBundle(updatedBundle, extraChanges = {}) {
+    const ruleBundles = settings.ruleBundles.map(bundle => bundle.id === updatedBundle.id ? updatedBundle : bundle);
+    return saveSettings({ ruleBundles, ...extraChanges });
+}
+
+// --- Entitlements ---
+
+/** Loads the user's entitlements from the background script. */
+async function loadEntitlements() {
+    try {
+        const { tier, entitlements: names, limits } = await sendRuntimeMessage('getEntitlements');
+        // Unlimited values arrive as null.
+        entitlements = { tier, entitlements: names, limits };
+    } catch (error) {
+        console.error("Options: Failed to load entitlements:", error);
+    }
+    render();
+}
+
+/** Shows the premium upsell banner. */
+function showUpsell(message) {
+    upsellMessage.textContent = message;
+    upsellBanner.hidden = false;
+    upsellBanner.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Records and shows a free-tier limit hit from a gated control.
+ * @param {string} limit - One of ENTITLEMENT_LIMITS.
+ * @param {string} message - Explanation shown to the user.
+ */
+function handleLimitReached(limit, message) {
+    showUpsell(message);
+    sendRuntimeMessage('entitlementLimitReached', { limit, source: 'options' })
+        .catch(error => console.error("Options: Failed to report limit hit:", error));
+}
+
+/** Returns true (after showing the upsell) if no more bundles may be created. */
+function isBundleLimitReached() {
+    const { maxBundles } = entitlements.limits;
+    if (maxBundles === null || settings.ruleBundles.length < maxBundles) return false;
+    handleLimitReached(ENTITLEMENT_LIMITS.maxBundles, `The free version is limited to ${maxBundles} bundles.`);
+    return true;
+}
+
+/** Returns true (after showing the upsell) if a rule may not be given this match type. */
+function isRegexNotAllowed(rule, previousRule = null) {
+    if (entitlements.limits.regexRules || rule.matchType !== 'regex' || previousRule?.matchType === 'regex') return false;
+    handleLimitReached(ENTITLEMENT_LIMITS.regexRules, "Regex rules require a premium license.");
+    return true;
+}
+
+// --- Bundle Management ---
+
+/** Prompts for a name and creates an empty bundle. */
+async function handleNewBundle() {
+    if (isBundleLimitReached()) return;
+    const name = prompt("Name for the new bundle:", "New Bundle");
+    if (!name?.trim()) return;
+    const bundle = { id: crypto.randomUUID(), name: name.trim(), version: 1, rules: [] };
+    selectedBundleId = bundle.id;
+    if (await saveSettings({ ruleBundles: [...settings.ruleBundles, bundle] })) {
+        trackUiEvent('bundle_created');
+    }
+}
+
+/** Prompts for a new bundle name. */
+async function handleRenameBundle(bundle) {
+    const name = prompt("New name for this bundle:", bundle.name);
+    if (!name?.trim() || name.trim() === bundle.name) return;
+    await saveBundle({ ...bundle, name: name.trim() });
+}
+
+/** Copies a bundle, giving it and its rules new ids and keeping each rule's on/off state. */
+async function handleDuplicateBundle(bundle) {
+    if (isBundleLimitReached()) return;
+    const disabled = new Set(settings.disabledRuleIds);
+    const newDisabledIds = [];
+    const rules = bundle.rules.map(rule => {
+        const copy = { ...rule, id: crypto.randomUUID() };
+        if (disabled.has(rule.id)) newDisabledIds.push(copy.id);
+        return copy;
+    });
+    // A copy is always a local bundle, even if the original was preloaded.
+    const { source, ...bundleWithoutSource } = bundle;
+    const duplicate = { ...bundleWithoutSource, id: crypto.randomUUID(), name: `${bundle.name} (copy)`, rules };
+    selectedBundleId = duplicate.id;
+    await saveSettings({
+        ruleBundles: [...settings.ruleBundles, duplicate],
+        disabledRuleIds: [...settings.disabledRuleIds, ...newDisabledIds]
+    });
+}
+
+/** Deletes a bundle after confirmation, cleaning up its disabled rule ids and active entry. */
+async function handleDeleteBundle(bundle) {
+    if (!confirm(`Delete the bundle "${bundle.name}" and its ${bundle.rules.length} rule(s)?`)) return;
+    const ruleIds = new Set(bundle.rules.map(rule => rule.id));
+    const changes = {
+        ruleBundles: settings.ruleBundles.filter(existing => existing.id !== bundle.id),
+        disabledRuleIds: settings.disabledRuleIds.filter(id => !ruleIds.has(id))
     };
-  }
-})();
+    if (settings.activeBundleIds.includes(bundle.id)) {
+        changes.activeBundleIds = settings.activeBundleIds.filter(id => id !== bundle.id);
+    }
+    await saveSettings(changes);
+}
+
+/** Turns a bundle on (as the lowest priority) or off. */
+async function handleSetBundleActive(bundle, active) {
+    const activeBundleIds = settings.activeBundleIds.filter(id => id !== bundle.id);
+    if (active) activeBundleIds.push(bundle.id);
+    await saveSettings({ activeBundleIds });
+}
+
+/** Moves an active bundle up (-1, applied earlier) or down (+1) in priority. */
+async function handleMoveBundlePriority(bundle, direction) {
+    const activeBundleIds = getActiveBundles().map(active => active.id);
+    const index = activeBundleIds.indexOf(bundle.id);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= activeBundleIds.length) return;
+    [activeBundleIds[index], activeBundleIds[targetIndex]] = [activeBundleIds[targetIndex], activeBundleIds[index]];
+    await saveSettings({ activeBundleIds });
+}
+
+/** Returns the active bundles, highest priority first. */
+function getActiveBundles() {
+    return settings.activeBundleIds.map(findBundle).filter(Boolean);
+}
+
+/** Splits a textarea's value into one site pattern per non-empty line. */
+function readSitePatterns(textarea) {
+    return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/** Validates and saves the sites the selected bundle is limited to. Empty lists remove the limit. */
+async function handleScopeChange() {
+    const bundle = findBundle(selectedBundleId);
+    if (!bundle) return;
+    const include = readSitePatterns(scopeInclude);
+    const exclude = readSitePatterns(scopeExclude);
+    scopeInclude.classList.toggle('invalid', validateBundleDomains({ include }).length > 0);
+    scopeExclude.classList.toggle('invalid', validateBundleDomains({ exclude }).length > 0);
+    const errors = validateBundleDomains({ include, exclude });
+    if (errors.length > 0) {
+        showSettingsStatus(errors.join(' '), true);
+        return;
+    }
+    const { domains, ...bundleWithoutDomains } = bundle;
+    const updatedBundle = include.length > 0 || exclude.length > 0
+        ? { ...bundleWithoutDomains, domains: { include, exclude } }
+        : bundleWithoutDomains;
+    if (stableStringify(updatedBundle) === stableStringify(bundle)) return;
+    await saveBundle(updatedBundle);
+}
+
+// --- Rule Management ---
+
+/**
+ * Validates and saves a changed rule.
+ * @param {object} bundle - The bundle containing the rule.
+ * @param {object} updatedRule - The edited rule (same id).
+ * @param {HTMLInputElement} [input] - Input to mark invalid if validation fails.
+ */
+async function handleRuleChange(bundle, updatedRule, input) {
+    if (isRegexNotAllowed(updatedRule, bundle.rules.find(rule => rule.id === updatedRule.id))) {
+        render(); // Put the match type back
+        return;
+    }
+    const errors = validateRule(updatedRule, 'Rule');
+    if (errors.length > 0) {
+        input?.classList.add('invalid');
+        showSettingsStatus(errors.join(' '), true);
+        return;
+    }
+    const rules = bundle.rules.map(rule => rule.id === updatedRule.id ? updatedRule : rule);
+    await saveBundle({ ...bundle, rules });
+}
+
+/** Moves a rule up (-1) or down (+1) within its bundle. */
+async function handleMoveRule(bundle, index, direction) {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= bundle.rules.length) return;
+    const rules = [...bundle.rules];
+    [rules[index], rules[targetIndex]] = [rules[targetIndex], rules[index]];
+    await saveBundle({ ...bundle, rules });
+}
+
+/** Switches a rule on or off via disabledRuleIds. */
+async function handleToggleRule(rule, enabled) {
+    const disabledRuleIds = settings.disabledRuleIds.filter(id => id !== rule.id);
+    if (!enabled) disabledRuleIds.push(rule.id);
+    await saveSettings({ disabledRuleIds });
+}
+
+/** Deletes a rule from its bundle. */
+async function handleDeleteRule(bundle, rule) {
+    if (!confirm(`Delete the rule "${rule.find}"?`)) return;
+    await saveBundle(
+        { ...bundle, rules: bundle.rules.filter(existing => existing.id !== rule.id) },
+        { disabledRuleIds: settings.disabledRuleIds.filter(id => id !== rule.id) }
+    );
+}
+
+/** Adds a rule from the add-rule form to the selected bundle. */
+async function handleAddRule(event) {
+    event.preventDefault();
+    const bundle = findBundle(selectedBundleId);
+    if (!bundle) return;
+    const rule = {
+        id: crypto.randomUUID(),
+        find: newRuleFind.value,
+        replace: newRuleReplace.value,
+        matchType: newRuleMatchType.value,
+        ignoreCase: newRuleIgnoreCase.checked
+    };
+    const { maxRulesPerBundle } = entitlements.limits;
+    if (maxRulesPerBundle !== null && bundle.rules.length >= maxRulesPerBundle) {
+        handleLimitReached(ENTITLEMENT_LIMITS.maxRulesPerBundle, `The free version is limited to ${maxRulesPerBundle} rules per bundle.`);
+        return;
+    }
+    if (isRegexNotAllowed(rule)) return;
+    const errors = validateRule(rule, 'Rule');
+    if (errors.length > 0) {
+        showSettingsStatus(errors.join(' '), true);
+        return;
+    }
+    if (await saveBundle({ ...bundle, rules: [...bundle.rules, rule] })) {
+        addRuleForm.reset();
+        newRuleFind.focus();
+    }
+}
+
+/**
+ * Takes the rule started from the "Create a rule" context menu entry, if any, and prefills Find and Replace
+ * in the add-rule form of the selected bundle with the selected text. Nothing is saved until the user adds
+ * the rule.
+ */
+async function loadRuleDraft() {
+    try {
+        const { draft } = await sendRuntimeMessage('takeRuleDraft');
+        if (!draft) return;
+        const bundle = findBundle(selectedBundleId);
+        if (!bundle) {
+            showSettingsStatus(`Create a bundle first, then add a rule for "${draft.find}".`, true);
+            return;
+        }
+        // The fields are single-line (they would drop a line break, joining the lines), and a rule only matches
+        // within one run of text, which a selection over several lines usually spans more than.
+        const [find, ...otherLines] = draft.find.split(/\r\n|\r|\n/);
+        addRuleForm.reset();
+        newRuleFind.value = find;
+        // Starts as the selection itself, ready to be edited into the replacement.
+        newRuleReplace.value = find;
+        addRuleForm.scrollIntoView({ block: 'center' });
+        newRuleReplace.focus();
+        newRuleReplace.select();
+        showSettingsStatus(`Edit the replacement for the selected text, then choose Add Rule to add it to "${bundle.name}".`
+            + (otherLines.length > 0 ? " Only the first line of the selection was used." : ''));
+    } catch (error) {
+        console.error("Options: Failed to load the rule draft:", error);
+        reportErrorToBackground("Failed to load rule draft", error);
+    }
+}
+
+// --- Import & Export ---
+
+/**
+ * Downloads bundles as a JSON export file.
+ * @param {Array<object>} bundles - Bundles to export.
+ * @param {string} fileName - Suggested file name.
+ */
+function downloadBundles(bundles, fileName) {
+    const blob = new Blob([createBundleExport(bundles)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    createElement('a', { href: url, download: fileName }).click();
+    // Give the download a moment to start before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Exports every bundle. */
+function handleExportAll() {
+    if (settings.ruleBundles.length === 0) {
+        showSettingsStatus("There are no bundles to export.", true);
+        return;
+    }
+    downloadBundles(settings.ruleBundles, 'rule-bundles.json');
+    trackUiEvent('bundles_exported', { bundle_count: settings.ruleBundles.length });
+}
+
+/** Exports a single bundle, named after it. */
+function handleExportBundle(bundle) {
+    const safeName = bundle.name.replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'bundle';
+    downloadBundles([bundle], `${safeName}.json`);
+    trackUiEvent('bundles_exported', { bundle_count: 1 });
+}
+
+/** Reads the chosen file, validates it and saves the merged or replaced bundles. */
+async function handleImport(event) {
+    event.preventDefault();
+    const file = importFile.files[0];
+    if (!file) return;
+
+    let importedBundles;
+    try {
+        importedBundles = parseBundleImport(await file.text());
+    } catch (error) {
+        console.error("Options: Import failed validation:", error);
+        showSettingsStatus(`Could not import "${file.name}": ${error.message}`, true);
+        return;
+    }
+
+    const mode = importMode.value;
+    addBreadcrumb('import', 'Importing bundles', { mode, bundle_count: importedBundles.length });
+    if (mode === 'replace' && !confirm(`Replace all ${settings.ruleBundles.length} of your bundles with the ${importedBundles.length} bundle(s) in "${file.name}"?`)) {
+        return;
+    }
+
+    const { changes, report } = applyBundleImport(settings, importedBundles, mode, importCollision.value);
+    if (await saveSettings(changes)) {
+        importForm.reset();
+        const summary = [
+            report.added.length && `${report.added.length} added`,
+            report.overwritten.length && `${report.overwritten.length} overwritten`,
+            report.renamed.length && `${report.renamed.length} added as copies`,
+            report.skipped.length && `${report.skipped.length} skipped (already exist)`
+        ].filter(Boolean).join(', ');
+        showSettingsStatus(`Imported "${file.name}": ${summary || 'nothing changed'}.`);
+        trackUiEvent('bundles_imported', { mode, bundle_count: importedBundles.length });
+    }
+}
+
+/** Shows the collision choice only when it applies. */
+function updateImportControls() {
+    importCollision.hidden = importMode.value !== 'merge';
+}
+
+// --- Rule Tester ---
+
+/** Lists the bundles the tester can run: the active ones together, or any single bundle. */
+function renderTesterBundles() {
+    const selected = testerBundles.value || 'active';
+    testerBundles.replaceChildren(
+        createElement('option', { value: 'active', textContent: 'Active bundles, in priority order' }),
+        ...settings.ruleBundles.map(bundle => createElement('option', { value: bundle.id, textContent: `Only "${bundle.name}"` }))
+    );
+    testerBundles.value = selected === 'active' || findBundle(selected) ? selected : 'active';
+}
+
+/** Returns the rules to test, in the order pages apply them. */
+function getTesterEntries() {
+    const bundles = testerBundles.value === 'active' ? getActiveBundles() : [findBundle(testerBundles.value)].filter(Boolean);
+    return bundles.flatMap(bundle => bundle.rules.map(rule => ({ rule, bundle })));
+}
+
+/** Shows a short status message below the tester's sample. */
+function showTesterStatus(text, isError = false) {
+    testerStatus.textContent = text;
+    testerStatus.classList.toggle('error', isError);
+}
+
+/** Re-runs the tester shortly after the sample or the rules change. */
+function scheduleRuleTest() {
+    clearTimeout(ruleTestTimeoutId);
+    ruleTestTimeoutId = setTimeout(runRuleTest, RULE_TEST_DELAY_MS);
+}
+
+/** Runs the chosen rules against the sample and shows the result. */
+async function runRuleTest() {
+    const sample = testerInput.value;
+    const clearResults = (text = '', isError = false) => {
+        testerPreview.hidden = true;
+        testerResults.hidden = true;
+        showTesterStatus(text, isError);
+    };
+    if (!sample.trim()) return clearResults();
+    if (sample.length > RULE_TEST_MAX_SAMPLE_LENGTH) {
+        return clearResults(`The sample is too long. Paste at most ${RULE_TEST_MAX_SAMPLE_LENGTH.toLocaleString()} characters.`, true);
+    }
+    const entries = getTesterEntries();
+    if (entries.length === 0) return clearResults("There are no rules to test. Turn on a bundle, or pick one with rules.");
+    const texts = extractSampleTexts(sample, testerHtml.checked);
+    if (texts.length === 0) return clearResults("The sample has no text that rules would change.");
+
+    if (!isRuleTesterUsed) {
+        isRuleTesterUsed = true;
+        trackUiEvent('rule_tester_used');
+    }
+    showTesterStatus("Testing...");
+    try {
+        const report = await ruleTester.run(texts, entries, {
+            disabledRuleIds: settings.disabledRuleIds,
+            regexRules: entitlements.limits.regexRules
+        });
+        if (report) renderRuleTest(report);
+    } catch (error) {
+        console.error("Options: Rule test failed:", error);
+        clearResults(`Could not test the rules: ${error.message}`, true);
+        reportErrorToBackground("Rule test failed", error, { rule_count: entries.length });
+    }
+}
+
+/**
+ * Renders a sample node's final text, marking what each rule wrote.
+ * @param {{text: string, owners: Int32Array, deletions: Array<{at: number, owner: number}>}} node - See rule-tester-worker.js.
+ * @param {Array<object>} results - The run's results, for the marks' titles.
+ * @returns {HTMLElement}
+ */
+function renderTesterNode({ text, owners, deletions }, results) {
+    const element = createElement('div', { className: 'tester-node' });
+    const appendMark = (content, owner, extraClass = '') => {
+        const { rule, bundle } = results[owner];
+        const mark = createElement('mark', {
+            className: `rule-mark ${extraClass}`.trim(),
+            textContent: content,
+            title: `#${owner + 1} "${rule.find}" → "${rule.replace}" (${bundle.name})${extraClass ? ', removed text' : ''}`
+        });
+        mark.dataset.rule = owner + 1;
+        element.append(mark);
+    };
+    let deletionIndex = 0;
+    let start = 0;
+    for (let position = 0; position <= text.length; position++) {
+        const isRunEnd = position === text.length || owners[position] !== owners[start]
+            || deletions[deletionIndex]?.at === position;
+        if (!isRunEnd) continue;
+        if (position > start) {
+            const content = text.slice(start, position);
+            if (owners[start] === -1) element.append(content);
+            else appendMark(content, owners[start]);
+        }
+        while (deletions[deletionIndex]?.at === position) {
+            appendMark('', deletions[deletionIndex].owner, 'deletion');
+            deletionIndex++;
+        }
+        start = position;
+    }
+    return element;
+}
+
+/** Describes one rule's result for the notes column. */
+function describeRuleTestResult(result) {
+    const notes = [RULE_TEST_NOTES[result.status]];
+    if (result.message) notes.push(result.message);
+    const ruleNumbers = indexes => indexes.map(index => `#${index + 1}`).join(', ');
+    if (result.conflictsWith.length > 0) {
+        notes.push(`Matches the same text as ${ruleNumbers(result.conflictsWith)}, which ${result.conflictsWith.length === 1 ? 'runs' : 'run'} first.`);
+    }
+    if (result.rewrites.length > 0) notes.push(`Changes text written by ${ruleNumbers(result.rewrites)}.`);
+    if (result.status !== RULE_TEST_STATUSES.timedOut && result.durationMs > RULE_TEST_TIMEOUT_MS / 2) {
+        notes.push(`Slow: took ${Math.round(result.durationMs)} ms on this sample.`);
+    }
+    return notes.filter(Boolean).join(' ');
+}
+
+/** Shows the marked-up preview, a row per rule and a one-line summary. */
+function renderRuleTest({ nodes, results }) {
+    testerPreview.replaceChildren(...nodes.map(node => renderTesterNode(node, results)));
+    testerResultsBody.replaceChildren(...results.map((result, index) => {
+        const isWarning = [RULE_TEST_STATUSES.neverMatches, RULE_TEST_STATUSES.shadowed, RULE_TEST_STATUSES.invalid, RULE_TEST_STATUSES.timedOut]
+            .includes(result.status) || result.conflictsWith.length > 0;
+        const setFocused = (focused) => testerPreview.querySelectorAll(`mark[data-rule="${index + 1}"]`)
+            .forEach(mark => mark.classList.toggle('focused', focused));
+        return createElement('tr', {
+            className: isWarning ? 'tester-warning' : '',
+            onmouseenter: () => setFocused(true),
+            onmouseleave: () => setFocused(false)
+        }, [
+            createElement('td', { textContent: `#${index + 1}` }),
+            createElement('td', {}, [createElement('code', { textContent: `${result.rule.find} → ${result.rule.replace}` })]),
+            createElement('td', { textContent: result.bundle.name }),
+            createElement('td', { textContent: result.durationMs === null || result.status === RULE_TEST_STATUSES.timedOut ? '–' : String(result.matchCount) }),
+            createElement('td', { textContent: describeRuleTestResult(result) })
+        ]);
+    }));
+    testerPreview.hidden = false;
+    testerResults.hidden = false;
+
+    const replacements = results.reduce((total, result) => total + result.matchCount, 0);
+    const warnings = testerResultsBody.querySelectorAll('tr.tester-warning').length;
+    showTesterStatus(`${replacements} replacement(s) by ${results.filter(result => result.matchCount > 0).length} of ${results.length} rule(s)`
+        + (warnings > 0 ? `; ${warnings} rule(s) need a look.` : '.'));
+}
+
+// --- Rendering ---
+
+/** Describes the sites a bundle is limited to, e.g. '2 sites' or 'all sites but 1'. Empty if it runs everywhere. */
+function describeBundleScope(bundle) {
+    const { include = [], exclude = [] } = bundle.domains || {};
+    const sites = count => `${count} site${count === 1 ? '' : 's'}`;
+    if (include.length > 0) return exclude.length > 0 ? `${sites(include.length)} (${exclude.length} excluded)` : sites(include.length);
+    return exclude.length > 0 ? `all sites but ${exclude.length}` : '';
+}
+
+/** Renders the bundle list: active bundles in priority order, then the others. */
+function renderBundleList() {
+    bundleList.replaceChildren();
+    if (settings.ruleBundles.length === 0) {
+        bundleList.append(createElement('li', { className: 'description', textContent: "No bundles yet. Create one to get started." }));
+        return;
+    }
+    const activeBundles = getActiveBundles();
+    const inactiveBundles = settings.ruleBundles.filter(bundle => !activeBundles.includes(bundle));
+    for (const bundle of [...activeBundles, ...inactiveBundles]) {
+        const priority = activeBundles.indexOf(bundle);
+        const isActive = priority !== -1;
+        const meta = [
+            isActive && `priority ${priority + 1}`,
+            `${bundle.rules.length} rule(s)`,
+            describeBundleScope(bundle),
+            bundle.source === 'preloaded' && 'preloaded'
+        ].filter(Boolean).join(' · ');
+        const item = createElement('li', {
+            className: `bundle-item${bundle.id === selectedBundleId ? ' selected' : ''}${isActive ? '' : ' inactive-bundle'}`,
+            onclick: () => { selectedBundleId = bundle.id; render(); }
+        }, [
+            createElement('input', {
+                type: 'checkbox',
+                title: isActive ? 'Turn bundle off' : 'Turn bundle on',
+                checked: isActive,
+                onclick: (event) => event.stopPropagation(),
+                onchange: (event) => handleSetBundleActive(bundle, event.target.checked)
+            }),
+            createElement('span', { className: 'bundle-name', textContent: bundle.name }),
+            createElement('span', { className: 'bundle-meta', textContent: meta }),
+            ...(isActive ? [
+                createBundleButton('↑', () => handleMoveBundlePriority(bundle, -1), '', { title: 'Higher priority', disabled: priority === 0 }),
+                createBundleButton('↓', () => handleMoveBundlePriority(bundle, 1), '', { title: 'Lower priority', disabled: priority === activeBundles.length - 1 })
+            ] : []),
+            createBundleButton('Rename', () => handleRenameBundle(bundle)),
+            createBundleButton('Duplicate', () => handleDuplicateBundle(bundle)),
+            createBundleButton('Export', () => handleExportBundle(bundle)),
+            createBundleButton('Delete', () => handleDeleteBundle(bundle), 'danger-btn')
+        ]);
+        bundleList.append(item);
+    }
+}
+
+/** Creates a bundle row button that doesn't also select the row. */
+function createBundleButton(label, onClick, extraClass = '', props = {}) {
+    return createElement('button', {
+        className: `action-btn ${extraClass}`.trim(),
+        textContent: label,
+        onclick: (event) => { event.stopPropagation(); onClick(); },
+        ...props
+    });
+}
+
+/** Renders the rules table for the selected bundle. */
+function renderRules() {
+    const bundle = findBundle(selectedBundleId);
+    rulesTable.hidden = !bundle;
+    addRuleForm.hidden = !bundle;
+    bundleScope.hidden = !bundle;
+    rulesEmpty.hidden = Boolean(bundle?.rules.length);
+    rulesHeading.textContent = bundle ? `Rules in "${bundle.name}"` : 'Rules';
+    rulesEmpty.textContent = bundle ? "This bundle has no rules yet." : "Select a bundle to edit its rules.";
+    rulesBody.replaceChildren();
+    if (!bundle) return;
+
+    scopeInclude.value = (bundle.domains?.include || []).join('\n');
+    scopeExclude.value = (bundle.domains?.exclude || []).join('\n');
+    scopeInclude.classList.remove('invalid');
+    scopeExclude.classList.remove('invalid');
+
+    const disabled = new Set(settings.disabledRuleIds);
+    bundle.rules.forEach((rule, index) => {
+        const isEnabled = !disabled.has(rule.id);
+        const findInput = createElement('input', {
+            type: 'text',
+            value: rule.find,
+            onchange: () => handleRuleChange(bundle, { ...rule, find: findInput.value }, findInput)
+        });
+        const replaceInput = createElement('input', {
+            type: 'text',
+            value: rule.replace,
+            onchange: () => handleRuleChange(bundle, { ...rule, replace: replaceInput.value }, replaceInput)
+        });
+        const matchTypeSelect = createElement('select', {
+            onchange: () => handleRuleChange(bundle, { ...rule, matchType: matchTypeSelect.value }, findInput)
+        }, [
+            createElement('option', { value: 'plain', textContent: 'Plain text' }),
+            createElement('option', { value: 'wholeWord', textContent: 'Whole word' }),
+            createElement('option', { value: 'regex', textContent: entitlements.limits.regexRules ? 'Regex' : 'Regex (Premium)' })
+        ]);
+        matchTypeSelect.value = rule.matchType || 'plain';
+
+        rulesBody.append(createElement('tr', { className: isEnabled ? '' : 'disabled-rule' }, [
+            createElement('td', {}, [createElement('input', {
+                type: 'checkbox',
+                checked: isEnabled,
+                title: isEnabled ? 'Turn rule off' : 'Turn rule on',
+                onchange: (event) => handleToggleRule(rule, event.target.checked)
+            })]),
+            createElement('td', {}, [findInput]),
+            createElement('td', {}, [replaceInput]),
+            createElement('td', {}, [matchTypeSelect]),
+            createElement('td', {}, [createElement('input', {
+                type: 'checkbox',
+                checked: Boolean(rule.ignoreCase),
+                onchange: (event) => handleRuleChange(bundle, { ...rule, ignoreCase: event.target.checked })
+            })]),
+            createElement('td', { className: 'rule-actions' }, [
+                createElement('button', { className: 'action-btn', textContent: '↑', title: 'Move up', disabled: index === 0, onclick: () => handleMoveRule(bundle, index, -1) }),
+                createElement('button', { className: 'action-btn', textContent: '↓', title: 'Move down', disabled: index === bundle.rules.length - 1, onclick: () => handleMoveRule(bundle, index, 1) }),
+                createElement('button', { className: 'action-btn danger-btn', textContent: 'Delete', onclick: () => handleDeleteRule(bundle, rule) })
+            ])
+        ]));
+    });
+}
+
+/** Marks gated controls with the premium upsell state. */
+function renderEntitlementState() {
+    const { maxBundles, maxRulesPerBundle, regexRules } = entitlements.limits;
+    const bundle = findBundle(selectedBundleId);
+    newBundleBtn.classList.toggle('locked', maxBundles !== null && settings.ruleBundles.length >= maxBundles);
+    addRuleBtn.classList.toggle('locked', Boolean(bundle) && maxRulesPerBundle !== null && bundle.rules.length >= maxRulesPerBundle);
+    newRuleMatchType.querySelector('option[value="regex"]').textContent = regexRules ? 'Regex' : 'Regex (Premium)';
+    if (entitlements.tier === 'premium') upsellBanner.hidden = true;
+}
+
+/** Re-renders every settings section from the local settings copy. */
+function render() {
+    renderBundleList();
+    renderRules();
+    renderEntitlementState();
+    renderRuleSync();
+    renderTesterBundles();
+    if (testerInput.value.trim()) scheduleRuleTest();
+}
+
+// --- License ---
+
+/** Shows a short status message below the license controls. */
+function showLicenseStatus(text, isError = false) {
+    licenseStatus.textContent = text;
+    licenseStatus.classList.toggle('error', isError);
+}
+
+/** Shows the stored license, or the activation form if there is none. */
+function renderLicense(license) {
+    licenseDetails.hidden = !license;
+    licenseForm.hidden = Boolean(license);
+    if (!license) return;
+
+    const isExpired = Boolean(license.expiresAt) && Date.parse(license.expiresAt) <= Date.now();
+    licenseLicensee.textContent = license.licensee;
+    licenseExpiry.textContent = license.expiresAt
+        ? `${isExpired ? 'Expired' : 'Expires'} ${new Date(license.expiresAt).toLocaleDateString()}`
+        : 'Never expires';
+    licenseEntitlements.textContent = license.entitlements.length
+        ? `Includes: ${license.entitlements.join(', ')}`
+        : '';
+}
+
+/** Loads the stored license from the background script. */
+async function loadLicense() {
+    try {
+        const { license } = await sendRuntimeMessage('getLicense');
+        renderLicense(license);
+    } catch (error) {
+        console.error("Options: Failed to load license:", error);
+        showLicenseStatus("Could not load license.", true);
+    }
+}
+
+/** Verifies and stores the entered license key. */
+async function handleActivateLicense(event) {
+    event.preventDefault();
+    addBreadcrumb('license', 'Activating license');
+    showLicenseStatus("Checking license key...");
+    try {
+        const response = await sendRuntimeMessage('validateLicense', { key: licenseKeyInput.value });
+        if (!response.isValid) {
+            showLicenseStatus(response.reason || "That license key is not valid.", true);
+            return;
+        }
+        licenseForm.reset();
+        renderLicense(response.license);
+        loadEntitlements();
+        showLicenseStatus("License activated. Thank you!");
+        trackUiEvent('license_activated');
+    } catch (error) {
+        console.error("Options: Failed to activate license:", error);
+        showLicenseStatus(`Could not activate license: ${error.message}`, true);
+        if (!error.code) reportErrorToBackground("Failed to activate license", error);
+    }
+}
+
+/** Removes the stored license after confirmation. */
+async function handleRemoveLicense() {
+    if (!confirm("Remove the license from this browser and your synced browsers?")) return;
+    addBreadcrumb('license', 'Removing license');
+    try {
+        await sendRuntimeMessage('removeLicense');
+        renderLicense(null);
+        loadEntitlements();
+        showLicenseStatus("License removed.");
+    } catch (error) {
+        console.error("Options: Failed to remove license:", error);
+        showLicenseStatus(`Could not remove license: ${error.message}`, true);
+        reportErrorToBackground("Failed to remove license", error);
+    }
+}
+
+// --- Telemetry Consent ---
+
+/** Shows a short status message below the privacy controls. */
+function showPrivacyStatus(text, isError = false) {
+    if (!privacyStatus) return;
+    privacyStatus.textContent = text;
+    privacyStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Loads the current consent state from the background script and reflects it in the toggles.
+ * @returns {Promise<{analytics: boolean, crashReports: boolean}|null>} The consent state, or null on failure.
+ */
+async function loadTelemetryConsent() {
+    try {
+        const { consent } = await sendRuntimeMessage('getTelemetryConsent');
+        analyticsConsentToggle.checked = consent.analytics;
+        crashReportsConsentToggle.checked = consent.crashReports;
+        return consent;
+    } catch (error) {
+        console.error("Options: Failed to load telemetry consent:", error);
+        showPrivacyStatus("Could not load privacy settings.", true);
+        return null;
+    }
+}
+
+/** Saves the toggles' state through the background script. */
+async function saveTelemetryConsent() {
+    const consent = {
+        analytics: analyticsConsentToggle.checked,
+        crashReports: crashReportsConsentToggle.checked
+    };
+    try {
+        await sendRuntimeMessage('updateTelemetryConsent', consent);
+        showPrivacyStatus("Privacy settings saved.");
+    } catch (error) {
+        console.error("Options: Failed to save telemetry consent:", error);
+        showPrivacyStatus("Could not save privacy settings.", true);
+        // Revert the toggles to what is actually stored.
+        loadTelemetryConsent();
+    }
+}
+
+// --- Settings History ---
+
+/**
+ * Describes a history entry's change, e.g. 'Edited "Work"; 2 rules changed'.
+ * @param {object} summary - See summarizeSettingsChange() in settings-history.js.
+ * @returns {string}
+ */
+function describeSettingsChange(summary) {
+    const quoteNames = names => names.map(name => `"${name}"`).join(', ');
+    const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+    const parts = [
+        summary.bundlesAdded && `added ${quoteNames(summary.bundlesAdded)}`,
+        summary.bundlesRemoved && `deleted ${quoteNames(summary.bundlesRemoved)}`,
+        summary.bundlesChanged && `edited ${quoteNames(summary.bundlesChanged)}`,
+        summary.rulesAdded && `${count(summary.rulesAdded, 'rule')} added`,
+        summary.rulesRemoved && `${count(summary.rulesRemoved, 'rule')} deleted`,
+        summary.rulesChanged && `${count(summary.rulesChanged, 'rule')} changed`,
+        summary.rulesTurnedOff && `${count(summary.rulesTurnedOff, 'rule')} turned off`,
+        summary.rulesTurnedOn && `${count(summary.rulesTurnedOn, 'rule')} turned on`,
+        summary.activeBundlesChanged && 'changed the active bundles',
+        summary.topActiveBundle && `made "${summary.topActiveBundle}" the top bundle`,
+        summary.isEnabled !== undefined && `turned the extension ${summary.isEnabled ? 'on' : 'off'}`,
+        summary.domainsAdded && `${count(summary.domainsAdded, 'site')} added to the site list`,
+        summary.domainsRemoved && `${count(summary.domainsRemoved, 'site')} removed from the site list`,
+        summary.domainListType && `switched the site list to ${summary.domainListType}`
+    ].filter(Boolean);
+    const text = parts.join('; ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/** Updates the undo/redo buttons and the list of snapshots that can be restored. */
+function renderHistory() {
+    const [nextUndo] = settingsHistory.undo;
+    const [nextRedo] = settingsHistory.redo;
+    undoBtn.disabled = !nextUndo;
+    redoBtn.disabled = !nextRedo;
+    undoBtn.title = nextUndo ? `Undo: ${describeSettingsChange(nextUndo.summary)}` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo: ${describeSettingsChange(nextRedo.summary)}` : 'Nothing to redo';
+
+    historyList.replaceChildren();
+    if (settingsHistory.undo.length === 0) {
+        historyList.append(createElement('li', { className: 'description', textContent: "No changes yet." }));
+        return;
+    }
+    settingsHistory.undo.forEach((entry, index) => {
+        historyList.append(createElement('li', { className: 'history-item' }, [
+            createElement('span', { className: 'history-time', textContent: new Date(entry.takenAt).toLocaleString() }),
+            createElement('span', {
+                className: 'history-summary',
+                textContent: `${describeSettingsChange(entry.summary)} (${SETTINGS_CHANGE_SOURCE_LABELS[entry.source] || entry.source})`
+            }),
+            createElement('button', {
+                className: 'action-btn',
+                textContent: 'Restore',
+                title: 'Restore the settings from before this change',
+                onclick: () => handleRestoreSnapshot(entry, index + 1)
+            })
+        ]));
+    });
+}
+
+/** Loads the settings history from the background script. */
+async function loadHistory() {
+    try {
+        ({ history: settingsHistory } = await sendRuntimeMessage('getSettingsHistory'));
+        renderHistory();
+    } catch (error) {
+        console.error("Options: Failed to load settings history:", error);
+    }
+}
+
+/**
+ * Sends an undo, redo or restore request and reloads the page state.
+ * @param {string} type - 'undoSettingsChange', 'redoSettingsChange' or 'restoreSettingsSnapshot'.
+ * @param {object} payload
+ * @param {string} doneText - Status shown on success.
+ */
+async function applyHistoryChange(type, payload, doneText) {
+    addBreadcrumb('settings', 'Applying settings history', { type });
+    try {
+        ({ history: settingsHistory } = await sendRuntimeMessage(type, payload));
+        renderHistory();
+        showSettingsStatus(doneText);
+    } catch (error) {
+        console.error(`Options: '${type}' failed:`, error);
+        showSettingsStatus(`Could not restore settings: ${error.message}`, true);
+        if (!error.code) reportErrorToBackground("Failed to apply settings history", error, { type });
+        loadHistory();
+    } finally {
+        await loadSettings();
+    }
+}
+
+function handleUndo() {
+    if (settingsHistory.undo.length === 0) return;
+    applyHistoryChange('undoSettingsChange', {}, "Change undone.");
+}
+
+function handleRedo() {
+    if (settingsHistory.redo.length === 0) return;
+    applyHistoryChange('redoSettingsChange', {}, "Change redone.");
+}
+
+/** Restores the settings from before a change, after confirmation. */
+function handleRestoreSnapshot(entry, undoneCount) {
+    const takenAt = new Date(entry.takenAt).toLocaleString();
+    if (!confirm(`Restore your settings to how they were before the change on ${takenAt}? This undoes ${undoneCount} change(s); Redo brings them back.`)) return;
+    applyHistoryChange('restoreSettingsSnapshot', { id: entry.id }, `Restored the settings from before ${takenAt}.`);
+}
+
+/** Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while typing (inputs keep their own undo). */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || event.target.closest('input, textarea, select')) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+    }
+}
+
+// --- Rule Sync ---
+
+/** Shows a short status message below the sync toggle. */
+function showRuleSyncStatus(text, isError = false) {
+    ruleSyncStatus.textContent = text;
+    ruleSyncStatus.classList.toggle('error', isError);
+}
+
+/** Reflects the sync choice, and explains what isn't synced while sync is degraded. */
+function renderRuleSync() {
+    const { enabled, status } = ruleSyncState;
+    ruleSyncToggle.checked = enabled;
+    const isDegraded = enabled && status.state === 'degraded';
+    ruleSyncNotice.hidden = !isDegraded;
+    if (isDegraded) {
+        const notice = RULE_SYNC_NOTICES[status.reason] || RULE_SYNC_NOTICES.error;
+        const bundleNames = status.reason === 'quota'
+            ? status.localOnlyBundleIds.map(id => findBundle(id)?.name ?? id).join(', ')
+            : '';
+        ruleSyncNotice.textContent = bundleNames ? `${notice} ${bundleNames}.` : notice;
+    }
+    showRuleSyncStatus(enabled && status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}.` : '');
+}
+
+/** Loads the sync choice and status from the background script. */
+async function loadRuleSync() {
+    try {
+        const { enabled, status } = await sendRuntimeMessage('getRuleSyncStatus');
+        ruleSyncState = { enabled, status };
+        renderRuleSync();
+    } catch (error) {
+        console.error("Options: Failed to load rule sync status:", error);
+        showRuleSyncStatus("Could not load sync settings.", true);
+    }
+}
+
+/** Turns rule sync on (merging with bundles from other browsers) or off (for every browser, after confirmation). */
+async function handleRuleSyncToggle() {
+    const enabled = ruleSyncToggle.checked;
+    if (!enabled && !confirm("Stop syncing rules in all your browsers? Each browser keeps the bundles it has now.")) {
+        ruleSyncToggle.checked = true;
+        return;
+    }
+    addBreadcrumb('settings', enabled ? 'Turning rule sync on' : 'Turning rule sync off');
+    ruleSyncToggle.disabled = true;
+    showRuleSyncStatus(enabled ? "Syncing..." : "Turning off sync...");
+    try {
+        const { status } = await sendRuntimeMessage('setRuleSyncEnabled', { enabled });
+        ruleSyncState = { enabled, status };
+        trackUiEvent('rule_sync_toggled', { enabled });
+        // Bundles from other browsers may have been merged in.
+        await loadSettings();
+    } catch (error) {
+        console.error("Options: Failed to change rule sync:", error);
+        await loadRuleSync();
+        showRuleSyncStatus(`Could not change sync: ${error.message}`, true);
+        if (!error.code) reportErrorToBackground("Failed to change rule sync", error, { enabled });
+    } finally {
+        ruleSyncToggle.disabled = false;
+    }
+}
+
+// --- Live Updates ---
+// Messages addressed to extension pages. The background sends 'settingsUpdated' after every save,
+// including bundles synced from another browser, and when the rule sync status changes.
+const optionsRouter = createMessageRouter(MESSAGE_TARGETS.extensionPages);
+
+optionsRouter.register('settingsUpdated', {
+    senders: [SENDER_CONTEXTS.background],
+    handler: () => {
+        loadSettings();
+        loadHistory();
+        loadRuleSync();
+    }
+});
+
+// Sent after "Create a rule" in the context menu, which only focuses this page if it is already open.
+optionsRouter.register('ruleDraftAvailable', {
+    senders: [SENDER_CONTEXTS.background],
+    handler: () => {
+        loadSettings().then(loadRuleDraft);
+    }
+});
+
+// Meant for the popup; registered so this page doesn't reject it as an unknown message.
+optionsRouter.register('pageStatsUpdated', {
+    senders: [SENDER_CONTEXTS.contentScript],
+    handler: () => {}
+});
+
+// --- Initialization ---
+/** Initializes the options page UI and functionality */
+function initializeOptions() {
+    newBundleBtn.addEventListener('click', handleNewBundle);
+    addRuleForm.addEventListener('submit', handleAddRule);
+    scopeInclude.addEventListener('change', handleScopeChange);
+    scopeExclude.addEventListener('change', handleScopeChange);
+    exportAllBtn.addEventListener('click', handleExportAll);
+    importForm.addEventListener('submit', handleImport);
+    importMode.addEventListener('change', updateImportControls);
+    licenseForm.addEventListener('submit', handleActivateLicense);
+    removeLicenseBtn.addEventListener('click', handleRemoveLicense);
+    loadLicense();
+    loadSettings().then(loadRuleDraft);
+    loadEntitlements();
+
+    analyticsConsentToggle?.addEventListener('change', saveTelemetryConsent);
+    crashReportsConsentToggle?.addEventListener('change', saveTelemetryConsent);
+
+    loadTelemetryConsent();
+
+    ruleSyncToggle.addEventListener('change', handleRuleSyncToggle);
+    loadRuleSync();
+
+    undoBtn.addEventListener('click', handleUndo);
+    redoBtn.addEventListener('click', handleRedo);
+    document.addEventListener('keydown', handleHistoryShortcut);
+    loadHistory();
+
+    testerInput.addEventListener('input', scheduleRuleTest);
+    testerHtml.addEventListener('change', scheduleRuleTest);
+    testerBundles.addEventListener('change', scheduleRuleTest);
+    optionsRouter.listen();
+}
+
+initErrorReporting('options', { captureGlobalErrors: true });
+initPageAnalytics('options');
+
+// Run initialization when the options DOM is fully loaded
+document.addEventListener('DOMContentLoaded', initializeOptions);
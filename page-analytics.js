@@ -0,0 +1,88 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * page-analytics.js
+ * GA4 analytics for extension pages (popup, options, diagnostics), sent through the background's
+ * Measurement Protocol queue ('trackPageView', 'trackGaEvent'). No remote scripts: the extension
+ * pages CSP only allows packaged ones. The background drops everything unless analytics is allowed.
+ * Loaded by the extension pages. Requires message-bus.js.
+ *
+ * Engagement time is how long the page was visible and focused. Each UI event carries the time
+ * accrued since the previous one as engagement_time_msec; the rest is sent as a 'user_engagement'
+ * event when the page is hidden or closed.
+ */
+
+let analyticsPageName = null;
+let engagedSince = null; // performance.now() when the current engaged stretch began, null while not engaged
+let unreportedEngagementMs = 0;
+
+/** Returns true while the user can see and interact with the page. */
+function isPageEngaged() {
+    return document.visibilityState === 'visible' && document.hasFocus();
+}
+
+/** Adds the time since the last check to the unreported total and starts or stops the clock. */
+function updateEngagement() {
+    const now = performance.now();
+    if (engagedSince !== null) unreportedEngagementMs += now - engagedSince;
+    engagedSince = isPageEngaged() ? now : null;
+}
+
+/** Returns the engagement time not yet reported, in whole milliseconds, and resets it. */
+function takeEngagementTime() {
+    updateEngagement();
+    const engagementMs = Math.round(unreportedEngagementMs);
+    unreportedEngagementMs = 0;
+    return engagementMs;
+}
+
+/**
+ * Sends a UI interaction event with the engagement time since the previous event.
+ * @param {string} eventName - GA4 event name, e.g. 'share_attempted'.
+ * @param {object} [params={}] - Event parameters. Never include rule contents or page text.
+ */
+async function trackUiEvent(eventName, params = {}) {
+    const engagementMs = takeEngagementTime();
+    try {
+        await sendRuntimeMessage('trackGaEvent', {
+            eventName,
+            params: { page_name: analyticsPageName, ...params, ...(engagementMs > 0 && { engagement_time_msec: engagementMs }) }
+        });
+    } catch (messagingError) {
+        console.error(`PageAnalytics: Failed to send GA event '${eventName}' to background:`, messagingError);
+    }
+}
+
+/** Sends the remaining engagement time, if any. */
+function flushEngagement() {
+    const engagementMs = takeEngagementTime();
+    if (engagementMs === 0) return;
+    sendRuntimeMessage('trackGaEvent', {
+        eventName: 'user_engagement',
+        params: { page_name: analyticsPageName, engagement_time_msec: engagementMs }
+    }).catch(() => {}); // The page may already be closing
+}
+
+/**
+ * Sends the page view and starts measuring engagement time.
+ * @param {string} pageName - e.g. 'popup', 'options'.
+ */
+function initPageAnalytics(pageName) {
+    analyticsPageName = pageName;
+    engagedSince = isPageEngaged() ? performance.now() : null;
+    window.addEventListener('focus', updateEngagement);
+    window.addEventListener('blur', updateEngagement);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushEngagement();
+        } else {
+            updateEngagement();
+        }
+    });
+    // The popup closes without becoming hidden first.
+    window.addEventListener('pagehide', flushEngagement);
+
+    sendRuntimeMessage('trackPageView', { pagePath: location.pathname, pageTitle: document.title })
+        .catch(error => console.error("PageAnalytics: Failed to send page view to background:", error));
+}
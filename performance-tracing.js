@@ -0,0 +1,170 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * performance-tracing.js
+ * Lightweight spans for Sentry performance monitoring, shared by the background and content scripts.
+ * Loaded by background.js (importScripts) and the content script. Requires message-bus.js.
+ *
+ * Spans are timed in the context where the work happens. When a transaction (a root span) and all
+ * of its child spans have ended, it is handed to the sink set by initTracing(): the background
+ * forwards it to the offscreen document, content scripts send it to the background ('reportTransaction').
+ * Whether a transaction is recorded is decided once, when it starts, from TRACE_SAMPLE_RATES and the
+ * overrides in config.json (tracing.sampleRates).
+ *
+ * Transaction: { name, op, traceId, spanId, startTimestamp, timestamp, status, data?, spans: Array<Span> }
+ * Span: { spanId, parentSpanId, name, op, startTimestamp, timestamp, status, data? }
+ * Timestamps are seconds since epoch; status is a Sentry span status ('ok', 'internal_error', ...).
+ */
+
+// Share of transactions recorded, by op. Install and update handling is rare, so it is always recorded;
+// dynamic replacement passes run on every page mutation batch, so few are.
+const TRACE_SAMPLE_RATES = {
+    default: 0.1,
+    'extension.install': 1,
+    'content.replace.dynamic': 0.01
+};
+const MAX_SPANS_PER_TRANSACTION = 100; // Further child spans are timed but not recorded
+
+let tracingContext = 'unknown';
+let traceSampleRates = TRACE_SAMPLE_RATES;
+let transactionSink = () => {};
+
+/**
+ * Names this context and sets where finished transactions go.
+ * @param {string} context - e.g. 'background', 'content'.
+ * @param {function(object): void} sink - Receives each finished, sampled transaction.
+ * @param {{sampleRates?: object}} [options] - Overrides for TRACE_SAMPLE_RATES, by op.
+ */
+function initTracing(context, sink, { sampleRates = {} } = {}) {
+    tracingContext = context;
+    transactionSink = sink;
+    traceSampleRates = { ...TRACE_SAMPLE_RATES, ...sampleRates };
+}
+
+/** Returns a random lowercase hex id of the given byte length. */
+function createTraceId(bytes) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Current time in seconds since epoch, with sub-millisecond precision. */
+function timestampInSeconds() {
+    return (performance.timeOrigin + performance.now()) / 1000;
+}
+
+/**
+ * Creates a span. Unsampled transactions hand out spans that time nothing worth sending,
+ * so callers never need to check.
+ * @returns {object} Span with startChild(), trace(), setData() and end().
+ */
+function createSpan(transaction, parentSpanId, name, op, data) {
+    const record = {
+        spanId: createTraceId(8),
+        ...(parentSpanId && { parentSpanId }),
+        name,
+        op,
+        startTimestamp: timestampInSeconds(),
+        timestamp: null,
+        status: 'ok',
+        ...(data && { data: { ...data } })
+    };
+    transaction.openSpans++;
+
+    const span = {
+        record,
+
+        /** Starts a child span of this one. */
+        startChild(childName, childOp, childData) {
+            const child = createSpan(transaction, record.spanId, childName, childOp, childData);
+            if (transaction.children.length < MAX_SPANS_PER_TRANSACTION) transaction.children.push(child.record);
+            return child;
+        },
+
+        /**
+         * Runs work in a child span, ending it with 'internal_error' if the work throws.
+         * @param {string} childName
+         * @param {string} childOp
+         * @param {function(object): *} work - Receives the child span.
+         * @returns {Promise<*>} The work's result.
+         */
+        async trace(childName, childOp, work) {
+            const child = span.startChild(childName, childOp);
+            try {
+                return await work(child);
+            } catch (error) {
+                child.end('internal_error');
+                throw error;
+            } finally {
+                child.end();
+            }
+        },
+
+        /** Attaches a small, non-identifying value. */
+        setData(key, value) {
+            record.data = { ...record.data, [key]: value };
+        },
+
+        /**
+         * Ends the span. Later calls are ignored, so error paths can end with a status before a finally block.
+         * @param {string} [status='ok']
+         */
+        end(status = 'ok') {
+            if (record.timestamp !== null) return;
+            record.timestamp = timestampInSeconds();
+            record.status = status;
+            transaction.openSpans--;
+            finishTransaction(transaction);
+        }
+    };
+    return span;
+}
+
+/** Sends the transaction once its root and every child span have ended. */
+function finishTransaction(transaction) {
+    if (transaction.openSpans > 0 || !transaction.sampled) return;
+    const { record: root } = transaction.root;
+    // Child spans may finish after the root (e.g. a fan-out that isn't awaited).
+    const timestamp = Math.max(root.timestamp, ...transaction.children.map(child => child.timestamp));
+    try {
+        transactionSink({
+            name: root.name,
+            op: root.op,
+            traceId: transaction.traceId,
+            spanId: root.spanId,
+            startTimestamp: root.startTimestamp,
+            timestamp,
+            status: root.status,
+            data: { ...root.data, context: tracingContext },
+            spans: transaction.children
+        });
+    } catch (error) {
+        // Tracing must never break the caller.
+    }
+}
+
+/**
+ * Starts a transaction, or a child span when a parent is given, so functions can be traced on
+ * their own or as part of a larger flow.
+ * @param {object|null} parent - Span to nest under, or null to start a transaction.
+ * @param {string} name - e.g. 'saveLocalSettings'.
+ * @param {string} op - Operation, e.g. 'settings.save'. Selects the sample rate for transactions.
+ * @param {object} [data] - Small, non-identifying values, e.g. counts.
+ * @returns {object} The span.
+ */
+function startSpan(parent, name, op, data) {
+    if (parent) return parent.startChild(name, op, data);
+    const sampleRate = traceSampleRates[op] ?? traceSampleRates.default;
+    const transaction = { traceId: createTraceId(16), sampled: Math.random() < sampleRate, openSpans: 0, children: [], root: null };
+    transaction.root = createSpan(transaction, null, name, op, data);
+    return transaction.root;
+}
+
+/**
+ * Creates a sink that forwards transactions to the background, for contexts that can't reach the offscreen document.
+ * @returns {function(object): void}
+ */
+function createMessageTransactionSink() {
+    return (transaction) => {
+        sendRuntimeMessage('reportTransaction', transaction).catch(() => {}); // Dropped like any unsampled one
+    };
+}
@@ -5,39 +5,234 @@
  * popup.js (Copy-Only Share Button with UTMs)
  * Handles logic for the minimal popup UI.
  * Manages global enable/disable toggle (using chrome.storage.local).
+ * Shows the current tab's domain, whether the domainList allows it, and offers one-click
+ * "disable/enable on this site" (edits go through the background's saveLocalSettings).
+ * Shows how many replacements were applied on the current page.
+ * Updates live when 'settingsUpdated' or 'pageStatsUpdated' arrives.
  * Provides button to open options page.
- * Share button now *only* copies the CWS link (with UTM parameters) to the clipboard.
- * Sends 'view_popup_page' GA4 event on initialization.
+ * Share button copies the CWS link (with UTM parameters) to the clipboard.
+ * Share targets open prefilled email and social share intents with channel-specific UTM parameters.
+ * Each share attempt sends a 'share_attempted' GA4 event with the channel.
+ * Sends a page view, engagement time and UI events through the background's GA4 queue (page-analytics.js).
+ * Errors (including uncaught ones) go to Sentry via the background with breadcrumbs of recent actions (error-reporting.js).
  */
 
 // --- Constants ---
+const STORE_URL_BASE = 'https://chromewebstore.google.com/detail/';
+const SHARE_MESSAGE = 'Check out this Chrome extension:';
+const SHARE_STATUS_RESET_MS = 2500;
+// Prefilled share intents. Each receives the UTM-tagged store URL.
+const SHARE_INTENTS = {
+    email: (url) => `mailto:?subject=${encodeURIComponent(chrome.runtime.getManifest().name)}&body=${encodeURIComponent(`${SHARE_MESSAGE} ${url}`)}`,
+    x: (url) => `https://x.com/intent/tweet?text=${encodeURIComponent(SHARE_MESSAGE)}&url=${encodeURIComponent(url)}`,
+    facebook: (url) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`,
+    linkedin: (url) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`
+};
 // --- State Management ---
 // Only need isEnabled state for the popup toggle (now from local storage)
+let isEnabled = true;
+// UTM parameters per share channel: share.utm of the config.json profile, or SHARE_UTM_DEFAULTS (config.js).
+let shareUtmParams = SHARE_UTM_DEFAULTS;
+let activeTab = null;
+let siteAllowed = false;
 
 // --- DOM Elements ---
 const openOptionsBtn = document.querySelector('#open-options-btn');
+const shareBtn = document.querySelector('#share-btn');
+const shareStatus = document.querySelector('#share-status');
+const shareTargetBtns = document.querySelectorAll('.share-target');
+const enabledToggle = document.querySelector('#enabled-toggle');
+const siteDomain = document.querySelector('#site-domain');
+const siteStatus = document.querySelector('#site-status');
+const siteToggleBtn = document.querySelector('#site-toggle-btn');
+const replacementCountText = document.querySelector('#replacement-count');
 
-/** Notifies content scripts that settings have changed */
-function notifyContentScriptSettingsChanged() {
-    // Query all tabs - necessary because we don't know which tab the user might switch to
-    chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-            // Ensure the tab has an ID before trying to send a message
-            if (tab.id) {
-                chrome.tabs.sendMessage(tab.id, { action: "settingsUpdated" }, response => {
-                    // Check for lastError to avoid console spam if content script isn't injected/listening
-                    if (chrome.runtime.lastError) {
-                        // Common error: "Receiving end does not exist" - safe to ignore.
-                    }
-                });
-            }
+// --- Settings & Site Status ---
+
+/** Returns true for tabs the extension can run on (http/https pages). */
+function isWebPage(tab) {
+    return Boolean(tab?.url) && /^https?:/.test(tab.url);
+}
+
+/** Loads isEnabled from the background and reflects it in the toggle. */
+async function loadEnabledState() {
+    const { settings } = await sendRuntimeMessage('getLocalSettings');
+    isEnabled = settings.isEnabled;
+    enabledToggle.checked = isEnabled;
+}
+
+/** Shows the current tab's domain and whether the domain list allows it. */
+async function renderSiteStatus() {
+    siteToggleBtn.hidden = true;
+    siteStatus.className = 'status';
+    if (!isWebPage(activeTab)) {
+        siteDomain.textContent = 'This page';
+        siteStatus.textContent = "The extension doesn't run on this kind of page.";
+        replacementCountText.textContent = '';
+        return;
+    }
+
+    siteDomain.textContent = new URL(activeTab.url).hostname;
+    ({ allowed: siteAllowed } = await sendRuntimeMessage('getDomainStatus', { url: activeTab.url }));
+
+    if (!isEnabled) {
+        siteStatus.textContent = 'The extension is turned off everywhere.';
+        siteStatus.classList.add('blocked');
+    } else {
+        siteStatus.textContent = siteAllowed ? 'Running on this site' : 'Turned off on this site';
+        siteStatus.classList.add(siteAllowed ? 'allowed' : 'blocked');
+    }
+    siteToggleBtn.textContent = siteAllowed ? 'Disable on this site' : 'Enable on this site';
+    siteToggleBtn.hidden = false;
+    siteToggleBtn.disabled = !isEnabled;
+}
+
+/** Asks the current tab's content script how many replacements it applied. */
+async function renderReplacementCount() {
+    if (!isWebPage(activeTab)) return;
+    try {
+        const { replacementCount } = await sendTabMessage(activeTab.id, 'getPageStats');
+        renderReplacementCountText(replacementCount);
+    } catch (error) {
+        // No content script (e.g. the page was open before the extension was installed).
+        replacementCountText.textContent = 'Reload the page to apply rules.';
+    }
+}
+
+/** Formats the replacement count. */
+function renderReplacementCountText(count) {
+    replacementCountText.textContent = `${count} replacement${count === 1 ? '' : 's'} on this page`;
+}
+
+/** Re-reads settings and site status. Called on open and whenever settings change. */
+async function refreshPopup() {
+    try {
+        await loadEnabledState();
+        await renderSiteStatus();
+        await renderReplacementCount();
+    } catch (error) {
+        console.error("Popup: Failed to refresh:", error);
+        siteStatus.textContent = 'Could not load settings.';
+        siteStatus.className = 'status error';
+        reportErrorToBackground("Failed to refresh popup", error);
+    }
+}
+
+/** Saves the global enable/disable toggle. */
+async function handleEnabledToggle() {
+    const newValue = enabledToggle.checked;
+    addBreadcrumb('ui.click', 'Toggled extension', { is_enabled: newValue });
+    try {
+        await sendRuntimeMessage('saveLocalSettings', { isEnabled: newValue });
+        trackUiEvent('toggle_enabled', { is_enabled: newValue });
+        // settingsUpdated refreshes the rest of the popup.
+    } catch (error) {
+        console.error("Popup: Failed to save enabled state:", error);
+        enabledToggle.checked = !newValue;
+        reportErrorToBackground("Failed to save enabled state", error);
+    }
+}
+
+/** Turns the extension on or off for the current site. */
+async function handleSiteToggle() {
+    if (!isWebPage(activeTab)) return;
+    addBreadcrumb('ui.click', 'Toggled site', { site_enabled: !siteAllowed });
+    siteToggleBtn.disabled = true;
+    try {
+        await sendRuntimeMessage('setSiteEnabled', { url: activeTab.url, enabled: !siteAllowed });
+        trackUiEvent('toggle_site', { site_enabled: !siteAllowed });
+    } catch (error) {
+        console.error("Popup: Failed to toggle site:", error);
+        siteStatus.textContent = error.message || 'Could not update this site.';
+        siteStatus.className = 'status error';
+        // Errors with a code were answered by the background (e.g. a pattern still matches the site).
+        if (!error.code) reportErrorToBackground("Failed to toggle site", error);
+    } finally {
+        siteToggleBtn.disabled = !isEnabled;
+    }
+}
+
+// --- Sharing ---
+
+/**
+ * Builds the Chrome Web Store URL for this extension, tagged for a share channel.
+ * @param {string} channel - A key of SHARE_UTM_DEFAULTS.
+ * @returns {string}
+ */
+function buildStoreUrl(channel) {
+    const url = new URL(`${STORE_URL_BASE}${chrome.runtime.id}`);
+    for (const [key, value] of Object.entries(shareUtmParams[channel] || shareUtmParams.copy)) {
+        url.searchParams.set(key, value);
+    }
+    return url.toString();
+}
+
+/** Shows share feedback, then clears it. */
+function showShareStatus(text, isError = false) {
+    shareStatus.textContent = text;
+    shareStatus.className = `status${isError ? ' error' : ' allowed'}`;
+    setTimeout(() => { shareStatus.textContent = ''; }, SHARE_STATUS_RESET_MS);
+}
+
+/** Copies the UTM-tagged store link to the clipboard. */
+async function handleShare() {
+    let success = false;
+    addBreadcrumb('ui.click', 'Copied share link');
+    try {
+        await navigator.clipboard.writeText(buildStoreUrl('copy'));
+        success = true;
+        showShareStatus('Link copied to clipboard!');
+    } catch (error) {
+        console.error("Popup: Failed to copy share link:", error);
+        showShareStatus('Could not copy the link.', true);
+        reportErrorToBackground("Failed to copy share link", error);
+    }
+    trackUiEvent('share_attempted', { channel: 'copy', success });
+}
+
+/** Opens a prefilled share intent in a new tab. */
+function handleShareTarget(event) {
+    const channel = event.currentTarget.dataset.channel;
+    addBreadcrumb('ui.click', 'Opened share intent', { channel });
+    // Report first: opening the tab closes the popup.
+    trackUiEvent('share_attempted', { channel });
+    chrome.tabs.create({ url: SHARE_INTENTS[channel](buildStoreUrl(channel)) })
+        .catch(error => {
+            console.error(`Popup: Failed to open ${channel} share:`, error);
+            showShareStatus('Could not open the share window.', true);
+            reportErrorToBackground(`Failed to open ${channel} share`, error);
         });
-    });
 }
 
+// --- Live Updates ---
+// Messages addressed to extension pages: from the background and the current tab's content script.
+const popupRouter = createMessageRouter(MESSAGE_TARGETS.extensionPages);
+
+popupRouter.register('settingsUpdated', {
+    senders: [SENDER_CONTEXTS.background],
+    handler: () => {
+        refreshPopup();
+    }
+});
+
+popupRouter.register('pageStatsUpdated', {
+    schema: { replacementCount: 'number' },
+    senders: [SENDER_CONTEXTS.contentScript],
+    handler: ({ replacementCount }, sender) => {
+        if (sender.tab?.id === activeTab?.id) renderReplacementCountText(replacementCount);
+    }
+});
+
+// Meant for the options page; registered so this page doesn't reject it as an unknown message.
+popupRouter.register('ruleDraftAvailable', {
+    senders: [SENDER_CONTEXTS.background],
+    handler: () => {}
+});
+
 // --- Event Handling ---
 /** Opens the extension's options page */
 function openOptionsPage() {
+    addBreadcrumb('ui.click', 'Opened options page');
     if (chrome.runtime && chrome.runtime.openOptionsPage) {
         chrome.runtime.openOptionsPage();
     } else {
@@ -55,6 +250,20 @@ function setupEventListeners() {
     if (shareBtn) {
         shareBtn.addEventListener('click', handleShare);
     }
+    shareTargetBtns.forEach(button => button.addEventListener('click', handleShareTarget));
+    enabledToggle.addEventListener('change', handleEnabledToggle);
+    siteToggleBtn.addEventListener('click', handleSiteToggle);
+    popupRouter.listen();
+}
+
+/** Reads the share link UTM parameters of the active config profile. Keeps the defaults if it can't. */
+async function loadShareConfig() {
+    try {
+        const { config } = await sendRuntimeMessage('getPublicConfig');
+        shareUtmParams = config.share.utm;
+    } catch (error) {
+        console.warn("Popup: Using the default share link parameters:", error?.message);
+    }
 }
 
 // --- Initialization ---
@@ -63,9 +272,10 @@ async function initializePopup() {
     try {
          // Attach event listeners to controls
         setupEventListeners();
+        loadShareConfig();
 
-        // Send GA4 Page View Event
-        reportEventToBackground('view_popup_page');
+        [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        await refreshPopup();
 
         console.log("Popup initialized successfully.");
 
@@ -77,51 +287,10 @@ async function initializePopup() {
         }
         reportErrorToBackground("Fatal error initializing popup", error);
     }
-});
-
-// --- Helper to report errors/events to background (Optional but Recommended) ---
-/**
- * Sends error details to the background script for potential Sentry logging.
- */
-async function reportErrorToBackground(message, error, context = {}) {
-    try {
-        if (chrome.runtime && chrome.runtime.sendMessage) {
-            await chrome.runtime.sendMessage({
-                action: "reportError",
-                payload: { source: 'popup.js', message, error: { message: error?.message, name: error?.name }, context }
-            });
-        } else {
-             console.warn("Popup: chrome.runtime.sendMessage not available, cannot report error to background.");
-        }
-    } catch (messagingError) {
-        console.error("Popup: Failed to report error to background script:", messagingError, "Original error:", message, error);
-    }
 }
 
-/**
- * Sends a GA event request to the background script.
- */
-async function reportEventToBackground(eventName, params = {}) {
-     try {
-         if (chrome.runtime && chrome.runtime.sendMessage) {
-             await chrome.runtime.sendMessage({
-                 action: "trackGaEvent",
-                 payload: { eventName: eventName, params: params }
-             }, response => { // Optional callback
-                 if (chrome.runtime.lastError) {
-                     console.error(`Popup: Error sending GA event '${eventName}' message:`, chrome.runtime.lastError.message);
-                 } else {
-                     // Existing console log (uncommented in user's provided file)
-                     console.log(`Popup: GA event '${eventName}' message acknowledged:`, response);
-                 }
-             });
-         } else {
-             console.warn(`Popup: chrome.runtime.sendMessage not available, cannot report GA event '${eventName}'.`);
-         }
-     } catch (messagingError) {
-         console.error(`Popup: Failed to send GA event '${eventName}' to background:`, messagingError);
-     }
- }
+initErrorReporting('popup', { captureGlobalErrors: true });
+initPageAnalytics('popup');
 
 // Run initialization when the popup DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initializePopup);
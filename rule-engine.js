@@ -0,0 +1,99 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * rule-engine.js
+ * Shared find/replace engine for rule bundles.
+ * Loaded by the content script before content.js, by extension pages that need to run rules, and by the
+ * rule tester's worker (rule-tester-worker.js).
+ *
+ * Rule shape (stored in ruleBundles[].rules):
+ *   { id: string, find: string, replace: string, matchType: 'plain' | 'wholeWord' | 'regex', ignoreCase: boolean }
+ */
+
+const RULE_MATCH_TYPES = ['plain', 'wholeWord', 'regex'];
+
+// Text inside these elements is never replaced (content.js, and HTML samples in the rule tester).
+const SKIPPED_ANCESTOR_SELECTOR = 'script, style, noscript, template, textarea, input, select, option, iframe, svg, [contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+
+/** Escapes a string so it matches literally inside a RegExp. */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the global RegExp for a single rule.
+ * Throws if the rule is malformed or its regex is invalid.
+ * @param {object} rule - The rule to compile.
+ * @returns {RegExp} The compiled expression (always global).
+ */
+function buildRuleRegExp(rule) {
+    if (!rule || typeof rule.find !== 'string' || rule.find.length === 0) {
+        throw new Error("Rule has no 'find' text.");
+    }
+    const matchType = rule.matchType || 'plain';
+    const flags = 'g' + (rule.ignoreCase ? 'i' : '');
+
+    switch (matchType) {
+        case 'plain':
+            return new RegExp(escapeRegExp(rule.find), flags);
+        case 'wholeWord':
+            // Unicode-aware word boundaries; \b only understands ASCII word characters.
+            return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(rule.find)}(?![\\p{L}\\p{N}_])`, flags + 'u');
+        case 'regex': {
+            const regex = new RegExp(rule.find, flags);
+            // A pattern matching the empty string would insert the replacement between every character.
+            if (regex.test('')) {
+                throw new Error("Regex matches an empty string.");
+            }
+            regex.lastIndex = 0;
+            return regex;
+        }
+        default:
+            throw new Error(`Unknown match type '${matchType}'.`);
+    }
+}
+
+/**
+ * Compiles a bundle's rules, skipping disabled and invalid ones.
+ * @param {Array<object>} rules - The rules of the active bundles, in application order.
+ * @param {Array<string>} [disabledRuleIds=[]] - IDs of rules the user has switched off.
+ * @returns {{compiled: Array<{rule: object, regex: RegExp}>, errors: Array<{ruleId: string, message: string}>}}
+ */
+function compileRules(rules = [], disabledRuleIds = []) {
+    const disabled = new Set(disabledRuleIds);
+    const compiled = [];
+    const errors = [];
+    for (const rule of rules) {
+        if (!rule || disabled.has(rule.id)) continue;
+        try {
+            compiled.push({ rule, regex: buildRuleRegExp(rule) });
+        } catch (error) {
+            errors.push({ ruleId: rule.id, message: error.message });
+        }
+    }
+    return { compiled, errors };
+}
+
+/**
+ * Applies compiled rules to a string, in order.
+ * Plain and whole-word replacements are inserted literally; regex replacements support $1-style groups.
+ * @param {string} text - The input text.
+ * @param {Array<{rule: object, regex: RegExp}>} compiledRules - Output of compileRules().compiled.
+ * @returns {{text: string, count: number}} The replaced text and the number of replacements made.
+ */
+function applyCompiledRules(text, compiledRules) {
+    let result = text;
+    let count = 0;
+    for (const { rule, regex } of compiledRules) {
+        const replacement = rule.replace ?? '';
+        regex.lastIndex = 0;
+        const matches = result.match(regex);
+        if (!matches) continue;
+        count += matches.length;
+        result = rule.matchType === 'regex'
+            ? result.replace(regex, replacement)
+            : result.replace(regex, () => replacement);
+    }
+    return { text: result, count };
+}
@@ -0,0 +1,480 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * rule-sync.js
+ * Opt-in "sync my rules": copies ruleBundles to chrome.storage.sync so they follow the user to every
+ * browser signed in to the same Chrome profile.
+ * Loaded by background.js (importScripts). Requires message-bus.js and bundle-schema.js.
+ *
+ * chrome.storage.local stays the source of truth; sync holds a copy. Each bundle is stored as its JSON
+ * text, split into chunks that fit in one sync item (QUOTA_BYTES_PER_ITEM):
+ *   ruleSyncIndex                  { format: 1, bundles: { <bundle id>: Entry } }
+ *   ruleSync:<id>:<updatedAt>:<n>  n-th piece of the bundle's JSON
+ * Entry: { updatedAt, chunks } for a bundle, or { deletedAt } for a deleted one. Deletions are kept for
+ * RULE_SYNC_TOMBSTONE_MAX_AGE_MS so devices that were offline learn about them. Chunk keys include the
+ * version, so a device reading the index never mixes pieces of two versions.
+ *
+ * Every local save of ruleBundles records when each bundle changed (BUNDLE_TIMESTAMPS_KEY, see
+ * updateBundleTimestamps()). Syncing compares those times per bundle and the newer side wins: edits to
+ * different bundles on two devices are both kept, and of two edits to the same bundle the later one is.
+ *
+ * Bundles that don't fit in the sync quotas stay in local storage only. The status (RULE_SYNC_STATUS_KEY)
+ * is then 'degraded' and lists them, so the options page can tell the user.
+ */
+
+const RULE_SYNC_ENABLED_KEY = 'ruleSyncEnabled'; // chrome.storage.sync, so the choice follows the user
+const RULE_SYNC_INDEX_KEY = 'ruleSyncIndex';
+const RULE_SYNC_CHUNK_PREFIX = 'ruleSync:';
+const RULE_SYNC_FORMAT = 1;
+const BUNDLE_TIMESTAMPS_KEY = 'bundleTimestamps'; // chrome.storage.local: bundle id -> { updatedAt } or { deletedAt }
+const RULE_SYNC_STATUS_KEY = 'ruleSyncStatus'; // chrome.storage.local
+const RULE_SYNC_ALARM_NAME = 'ruleSyncRetry';
+const RULE_SYNC_DEBOUNCE_MS = 2000; // Options page edits come in bursts; sync allows 120 writes a minute
+const RULE_SYNC_RETRY_DELAY_MINUTES = 1;
+const RULE_SYNC_TOMBSTONE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const RULE_SYNC_RESERVED_BYTES = 4 * 1024; // Kept free for the license and consent settings
+
+const RULE_SYNC_STATES = {
+    off: 'off',
+    ok: 'ok',
+    degraded: 'degraded'
+};
+
+// Why sync is degraded (status.reason).
+const RULE_SYNC_REASONS = {
+    quota: 'quota', // Some bundles don't fit; see localOnlyBundleIds
+    rateLimited: 'rate_limited', // Too many writes; retried after RULE_SYNC_RETRY_DELAY_MINUTES
+    invalidRemoteBundle: 'invalid_remote_bundle', // Another device synced a bundle this version can't read
+    unsupportedFormat: 'unsupported_format', // Synced by a newer version of the extension
+    error: 'error'
+};
+
+// chrome.storage.sync quotas, used if the API doesn't expose them.
+const RULE_SYNC_DEFAULT_QUOTAS = { totalBytes: 102400, itemBytes: 8192, maxItems: 512 };
+
+const syncTextEncoder = new TextEncoder();
+
+/** Returns the bytes an item counts against the sync quotas: its key plus its value's JSON. */
+function measureSyncItem(key, value) {
+    return syncTextEncoder.encode(key + JSON.stringify(value)).length;
+}
+
+/** Reads the chrome.storage.sync quotas. */
+function getSyncQuotas() {
+    const sync = chrome.storage.sync;
+    return {
+        totalBytes: sync.QUOTA_BYTES ?? RULE_SYNC_DEFAULT_QUOTAS.totalBytes,
+        itemBytes: sync.QUOTA_BYTES_PER_ITEM ?? RULE_SYNC_DEFAULT_QUOTAS.itemBytes,
+        maxItems: sync.MAX_ITEMS ?? RULE_SYNC_DEFAULT_QUOTAS.maxItems
+    };
+}
+
+function getRuleSyncChunkKey(bundleId, updatedAt, index) {
+    return `${RULE_SYNC_CHUNK_PREFIX}${bundleId}:${updatedAt}:${index}`;
+}
+
+/** Parses a chunk key, or returns null for other keys. Bundle ids never contain ':' (BUNDLE_ID_PATTERN). */
+function parseRuleSyncChunkKey(key) {
+    if (!key.startsWith(RULE_SYNC_CHUNK_PREFIX)) return null;
+    const [bundleId, updatedAt, index] = key.slice(RULE_SYNC_CHUNK_PREFIX.length).split(':');
+    return { bundleId, updatedAt: Number(updatedAt), index: Number(index) };
+}
+
+/**
+ * Splits a bundle's JSON into pieces that each fit in one sync item.
+ * @param {object} bundle
+ * @param {number} updatedAt - The bundle's modification time (part of the chunk keys).
+ * @param {number} itemBytes - QUOTA_BYTES_PER_ITEM.
+ * @returns {object} Chunk key -> piece, in order.
+ */
+function chunkBundle(bundle, updatedAt, itemBytes) {
+    // Room left by the longest key a bundle can need (it never has more than MAX_ITEMS chunks) and the quotes.
+    const budget = itemBytes - syncTextEncoder.encode(getRuleSyncChunkKey(bundle.id, updatedAt, 999)).length - 2;
+    const pieces = [];
+    let piece = '';
+    let pieceBytes = 0;
+    // By code point, so surrogate pairs stay together; measured as escaped in the stored JSON.
+    for (const character of JSON.stringify(bundle)) {
+        const characterBytes = syncTextEncoder.encode(JSON.stringify(character)).length - 2;
+        if (pieceBytes + characterBytes > budget) {
+            pieces.push(piece);
+            piece = '';
+            pieceBytes = 0;
+        }
+        piece += character;
+        pieceBytes += characterBytes;
+    }
+    pieces.push(piece);
+    return Object.fromEntries(pieces.map((text, index) => [getRuleSyncChunkKey(bundle.id, updatedAt, index), text]));
+}
+
+/**
+ * Works out the modification times after a local save of ruleBundles. Added and changed bundles get
+ * `now`, removed ones a deletion time; deletions older than RULE_SYNC_TOMBSTONE_MAX_AGE_MS are dropped.
+ * @param {Array<object>} previousBundles - ruleBundles before the save.
+ * @param {Array<object>} nextBundles - ruleBundles being saved.
+ * @param {object} timestamps - The stored BUNDLE_TIMESTAMPS_KEY value.
+ * @param {number} now - Milliseconds since epoch.
+ * @returns {object} The new BUNDLE_TIMESTAMPS_KEY value.
+ */
+function updateBundleTimestamps(previousBundles, nextBundles, timestamps, now) {
+    const previousById = new Map(previousBundles.map(bundle => [bundle.id, bundle]));
+    const nextIds = new Set(nextBundles.map(bundle => bundle.id));
+    const updated = {};
+    for (const [id, entry] of Object.entries(timestamps)) {
+        if (entry.deletedAt !== undefined && !nextIds.has(id) && now - entry.deletedAt < RULE_SYNC_TOMBSTONE_MAX_AGE_MS) {
+            updated[id] = entry;
+        }
+    }
+    for (const bundle of nextBundles) {
+        const previous = previousById.get(bundle.id);
+        const unchanged = previous && timestamps[bundle.id]?.updatedAt !== undefined
+            && stableStringify(previous) === stableStringify(bundle);
+        updated[bundle.id] = unchanged ? timestamps[bundle.id] : { updatedAt: now };
+    }
+    for (const id of previousById.keys()) {
+        if (!nextIds.has(id)) updated[id] = { deletedAt: now };
+    }
+    return updated;
+}
+
+/** Returns the well-formed entries of a synced index; anything else is treated as absent. */
+function readRuleSyncEntries(index) {
+    const entries = {};
+    for (const [id, entry] of Object.entries(index?.bundles ?? {})) {
+        if (Number.isFinite(entry?.updatedAt) && Number.isInteger(entry.chunks) && entry.chunks > 0) {
+            entries[id] = { updatedAt: entry.updatedAt, chunks: entry.chunks };
+        } else if (Number.isFinite(entry?.deletedAt)) {
+            entries[id] = { deletedAt: entry.deletedAt };
+        }
+    }
+    return entries;
+}
+
+/**
+ * Returns when a bundle last changed locally: its modification time if it exists, its deletion time if it
+ * was deleted, or -Infinity if this device never had it.
+ * @param {string} id - Bundle id.
+ * @param {Set<string>} localIds - Ids in ruleBundles.
+ * @param {object} localTimestamps - BUNDLE_TIMESTAMPS_KEY.
+ * @returns {number}
+ */
+function getLocalSyncTime(id, localIds, localTimestamps) {
+    if (localIds.has(id)) return localTimestamps[id]?.updatedAt ?? 0;
+    return localTimestamps[id]?.deletedAt ?? -Infinity;
+}
+
+/**
+ * Decides for each bundle which side holds the newer version. Equal times mean both sides agree.
+ * @param {Array<object>} localBundles - ruleBundles.
+ * @param {object} localTimestamps - BUNDLE_TIMESTAMPS_KEY.
+ * @param {object} remoteEntries - See readRuleSyncEntries().
+ * @returns {{download: Array<string>, deleteLocally: Array<string>, upload: Array<string>, deleteRemotely: Array<string>}}
+ *   Bundle ids; download and upload follow the local bundle order.
+ */
+function planRuleSync(localBundles, localTimestamps, remoteEntries) {
+    const plan = { download: [], deleteLocally: [], upload: [], deleteRemotely: [] };
+    const localIds = new Set(localBundles.map(bundle => bundle.id));
+    const ids = new Set([...localIds, ...Object.keys(localTimestamps), ...Object.keys(remoteEntries)]);
+    for (const id of ids) {
+        const localTime = getLocalSyncTime(id, localIds, localTimestamps);
+        const remote = remoteEntries[id];
+        const remoteTime = remote ? (remote.updatedAt ?? remote.deletedAt) : -Infinity;
+
+        if (remoteTime > localTime) {
+            if (remote.updatedAt !== undefined) plan.download.push(id);
+            else if (localIds.has(id)) plan.deleteLocally.push(id);
+        } else if (localTime > remoteTime) {
+            if (localIds.has(id)) plan.upload.push(id);
+            else if (remote) plan.deleteRemotely.push(id);
+        }
+    }
+    return plan;
+}
+
+/**
+ * Applies bundles received from other devices to the stored settings. Meant to run inside the local save,
+ * against settings read there: a bundle edited or deleted locally since the sync run read it now has a
+ * newer local time, and the remote version is skipped (the next run uploads the local one).
+ * @param {{ruleBundles: Array<object>, activeBundleIds: Array<string>}} settings - The stored settings.
+ * @param {object} localTimestamps - The stored BUNDLE_TIMESTAMPS_KEY value.
+ * @param {{downloaded: Array<{bundle: object, updatedAt: number}>, deleted: Array<{id: string, deletedAt: number}>}} remoteChanges
+ * @returns {{ruleBundles: Array<object>, activeBundleIds?: Array<string>, bundleTimestamps: object}|null}
+ *   The settings to save (activeBundleIds only if active bundles were deleted), or null if nothing applies.
+ */
+function mergeRemoteBundles({ ruleBundles, activeBundleIds }, localTimestamps, { downloaded, deleted }) {
+    const localIds = new Set(ruleBundles.map(bundle => bundle.id));
+    const bundles = [...ruleBundles];
+    const timestamps = { ...localTimestamps };
+    const deletedIds = [];
+    let updatedCount = 0;
+    for (const { bundle, updatedAt } of downloaded) {
+        if (updatedAt <= getLocalSyncTime(bundle.id, localIds, localTimestamps)) continue;
+        const index = bundles.findIndex(existing => existing.id === bundle.id);
+        if (index === -1) bundles.push(bundle);
+        else bundles[index] = bundle;
+        timestamps[bundle.id] = { updatedAt };
+        updatedCount++;
+    }
+    for (const { id, deletedAt } of deleted) {
+        if (!localIds.has(id) || deletedAt <= getLocalSyncTime(id, localIds, localTimestamps)) continue;
+        bundles.splice(bundles.findIndex(existing => existing.id === id), 1);
+        timestamps[id] = { deletedAt };
+        deletedIds.push(id);
+    }
+    if (updatedCount === 0 && deletedIds.length === 0) return null;
+    // Which bundles are active stays per device; only deleted ones drop out.
+    const remainingActive = activeBundleIds.filter(id => !deletedIds.includes(id));
+    return {
+        ruleBundles: bundles,
+        ...(remainingActive.length !== activeBundleIds.length && { activeBundleIds: remainingActive }),
+        [BUNDLE_TIMESTAMPS_KEY]: timestamps
+    };
+}
+
+/**
+ * Puts a synced bundle back together from its chunks.
+ * @returns {{bundle?: object, missing?: boolean, error?: string}} missing means chunks are still arriving.
+ */
+function readSyncedBundle(items, id, entry) {
+    let text = '';
+    for (let index = 0; index < entry.chunks; index++) {
+        const piece = items[getRuleSyncChunkKey(id, entry.updatedAt, index)];
+        if (typeof piece !== 'string') return { missing: true };
+        text += piece;
+    }
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        return { error: `Synced bundle '${id}' is not valid JSON.` };
+    }
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) return { error: errors.join(' ') };
+    if (bundle.id !== id) return { error: `Synced bundle '${id}' has the id '${bundle.id}'.` };
+    return { bundle };
+}
+
+/**
+ * Creates the rule sync controller. Runs are serialized; schedule() coalesces bursts of changes.
+ * @param {object} options
+ * @param {function({downloaded: Array<object>, deleted: Array<object>}): Promise<object|null>} options.saveBundles -
+ *   Saves bundles received from other devices (through the normal save path, so content scripts pick them
+ *   up), by applying mergeRemoteBundles() to the settings as stored when the save runs. Resolves to what
+ *   was saved, or null if local changes made since superseded all of it.
+ * @param {function(object): void} [options.onStatusChange] - Called when the state, reason or local-only bundles change.
+ * @param {function(Error): void} [options.onError] - Called when a run fails unexpectedly.
+ * @param {{info: Function, warn: Function, error: Function}} [options.logger=console]
+ * @returns {{isEnabled: Function, getStatus: Function, schedule: Function, syncNow: Function, disable: Function}}
+ */
+function createRuleSync({ saveBundles, onStatusChange = () => {}, onError = () => {}, logger = console }) {
+    let runLock = Promise.resolve();
+    let debounceId = null;
+
+    async function isEnabled() {
+        const { [RULE_SYNC_ENABLED_KEY]: enabled } = await chrome.storage.sync.get(RULE_SYNC_ENABLED_KEY);
+        return enabled === true;
+    }
+
+    /**
+     * Returns how the last run went.
+     * @returns {Promise<{state: string, reason: string|null, detail: string|null, localOnlyBundleIds: Array<string>,
+     *   lastSyncedAt: string|null, checkedAt: string|null}>}
+     */
+    async function getStatus() {
+        const { [RULE_SYNC_STATUS_KEY]: status } = await chrome.storage.local.get(RULE_SYNC_STATUS_KEY);
+        return {
+            state: RULE_SYNC_STATES.off, reason: null, detail: null, localOnlyBundleIds: [], lastSyncedAt: null, checkedAt: null,
+            ...status
+        };
+    }
+
+    async function setStatus({ state, reason = null, detail = null, localOnlyBundleIds = [], synced = false }) {
+        const previous = await getStatus();
+        const now = new Date().toISOString();
+        const status = {
+            state, reason, detail, localOnlyBundleIds,
+            lastSyncedAt: synced ? now : previous.lastSyncedAt,
+            checkedAt: now
+        };
+        await chrome.storage.local.set({ [RULE_SYNC_STATUS_KEY]: status });
+        if (previous.state !== status.state || previous.reason !== status.reason
+            || previous.localOnlyBundleIds.join() !== status.localOnlyBundleIds.join()) {
+            if (state === RULE_SYNC_STATES.degraded) logger.warn(`RuleSync: Sync is degraded (${reason}).`, detail ?? '');
+            onStatusChange(status);
+        }
+        return status;
+    }
+
+    /** Applies the newer synced versions to local storage. Returns ids it couldn't read. */
+    async function applyRemoteChanges(plan, items, remoteEntries) {
+        const invalid = [];
+        const downloaded = [];
+        for (const id of plan.download) {
+            const entry = remoteEntries[id];
+            const { bundle, missing, error } = readSyncedBundle(items, id, entry);
+            if (missing) continue; // The rest arrives with a later change event
+            if (error) {
+                invalid.push(id);
+                logger.warn(`RuleSync: Ignoring synced bundle '${id}':`, error);
+                continue;
+            }
+            downloaded.push({ bundle, updatedAt: entry.updatedAt });
+        }
+        const deleted = plan.deleteLocally.map(id => ({ id, deletedAt: remoteEntries[id].deletedAt }));
+        if (downloaded.length > 0 || deleted.length > 0) {
+            // Only the changes: the bundles are merged into what is stored when the save runs, so local
+            // edits saved since this run read the settings are kept.
+            const saved = await saveBundles({ downloaded, deleted });
+            if (saved) logger.info("RuleSync: Applied bundles from another device.", { updated: downloaded.length, deleted: deleted.length });
+        }
+        return invalid;
+    }
+
+    /**
+     * Writes the newer local versions and deletions to sync, as far as the quotas allow.
+     * @returns {Promise<Array<string>>} Ids of bundles that didn't fit.
+     * @throws {Error} If chrome.storage.sync rejects the write.
+     */
+    async function uploadLocalChanges(plan, items, remoteEntries, local) {
+        const quotas = getSyncQuotas();
+        const now = Date.now();
+        const entries = Object.fromEntries(Object.entries(remoteEntries)
+            .filter(([, entry]) => entry.deletedAt === undefined || now - entry.deletedAt < RULE_SYNC_TOMBSTONE_MAX_AGE_MS));
+        for (const id of plan.deleteRemotely) entries[id] = { deletedAt: local.timestamps[id].deletedAt };
+
+        const indexBytes = () => measureSyncItem(RULE_SYNC_INDEX_KEY, { format: RULE_SYNC_FORMAT, bundles: entries });
+        const previousIndexBytes = items[RULE_SYNC_INDEX_KEY] ? measureSyncItem(RULE_SYNC_INDEX_KEY, items[RULE_SYNC_INDEX_KEY]) : 0;
+        // Superseded chunks are removed after the new ones are written, so both must fit at once.
+        let usedBytes = Object.entries(items).reduce((total, [key, value]) => total + measureSyncItem(key, value), 0) - previousIndexBytes;
+        let usedItems = Object.keys(items).length + (items[RULE_SYNC_INDEX_KEY] ? 0 : 1);
+        const chunks = {};
+        const localOnly = [];
+        for (const id of plan.upload) {
+            const bundle = local.ruleBundles.find(candidate => candidate.id === id);
+            const updatedAt = local.timestamps[id]?.updatedAt ?? 0;
+            const bundleChunks = chunkBundle(bundle, updatedAt, quotas.itemBytes);
+            const chunkBytes = Object.entries(bundleChunks).reduce((total, [key, value]) => total + measureSyncItem(key, value), 0);
+            const chunkCount = Object.keys(bundleChunks).length;
+            const previousEntry = entries[id];
+            entries[id] = { updatedAt, chunks: chunkCount };
+            const nextIndexBytes = indexBytes();
+            if (usedBytes + chunkBytes + nextIndexBytes > quotas.totalBytes - RULE_SYNC_RESERVED_BYTES
+                || usedItems + chunkCount > quotas.maxItems || nextIndexBytes > quotas.itemBytes) {
+                // Stays local; other devices keep the version they have, if any.
+                if (previousEntry) entries[id] = previousEntry;
+                else delete entries[id];
+                localOnly.push(id);
+                continue;
+            }
+            usedBytes += chunkBytes;
+            usedItems += chunkCount;
+            Object.assign(chunks, bundleChunks);
+        }
+
+        const staleKeys = Object.keys(items).filter(key => {
+            const chunk = parseRuleSyncChunkKey(key);
+            if (!chunk || key in chunks) return false;
+            const entry = entries[chunk.bundleId];
+            if (!entry) return false;
+            if (entry.updatedAt === chunk.updatedAt) return chunk.index >= entry.chunks;
+            // Chunks newer than the index may belong to another device's write that hasn't arrived in full.
+            return (entry.updatedAt ?? entry.deletedAt) > chunk.updatedAt;
+        });
+        const indexChanged = !items[RULE_SYNC_INDEX_KEY] || JSON.stringify(entries) !== JSON.stringify(remoteEntries);
+        if (indexChanged || Object.keys(chunks).length > 0) {
+            // One write, so chunks and the index that points at them arrive together.
+            await chrome.storage.sync.set({ ...chunks, [RULE_SYNC_INDEX_KEY]: { format: RULE_SYNC_FORMAT, bundles: entries } });
+        }
+        if (staleKeys.length > 0) await chrome.storage.sync.remove(staleKeys);
+        return localOnly;
+    }
+
+    async function run() {
+        if (!(await isEnabled())) return setStatus({ state: RULE_SYNC_STATES.off });
+
+        const items = await chrome.storage.sync.get(null);
+        const index = items[RULE_SYNC_INDEX_KEY];
+        if (index?.format > RULE_SYNC_FORMAT) {
+            return setStatus({ state: RULE_SYNC_STATES.degraded, reason: RULE_SYNC_REASONS.unsupportedFormat, detail: `Index format ${index.format}.` });
+        }
+        const remoteEntries = readRuleSyncEntries(index);
+        const stored = await chrome.storage.local.get(['ruleBundles', BUNDLE_TIMESTAMPS_KEY]);
+        const local = {
+            ruleBundles: stored.ruleBundles ?? [],
+            timestamps: stored[BUNDLE_TIMESTAMPS_KEY] ?? {}
+        };
+        const plan = planRuleSync(local.ruleBundles, local.timestamps, remoteEntries);
+
+        const invalid = await applyRemoteChanges(plan, items, remoteEntries);
+        let localOnly;
+        try {
+            localOnly = await uploadLocalChanges(plan, items, remoteEntries, local);
+        } catch (error) {
+            // chrome.storage.sync reports quota problems as errors, e.g. "MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded".
+            const rateLimited = /MAX_WRITE_OPERATIONS/.test(error.message);
+            chrome.alarms.create(RULE_SYNC_ALARM_NAME, { delayInMinutes: RULE_SYNC_RETRY_DELAY_MINUTES });
+            return setStatus({
+                state: RULE_SYNC_STATES.degraded,
+                reason: rateLimited ? RULE_SYNC_REASONS.rateLimited : RULE_SYNC_REASONS.error,
+                detail: error.message,
+                localOnlyBundleIds: plan.upload
+            });
+        }
+
+        if (localOnly.length > 0) {
+            return setStatus({ state: RULE_SYNC_STATES.degraded, reason: RULE_SYNC_REASONS.quota, localOnlyBundleIds: localOnly, synced: true });
+        }
+        if (invalid.length > 0) {
+            return setStatus({ state: RULE_SYNC_STATES.degraded, reason: RULE_SYNC_REASONS.invalidRemoteBundle, detail: invalid.join(', '), synced: true });
+        }
+        return setStatus({ state: RULE_SYNC_STATES.ok, synced: true });
+    }
+
+    /**
+     * Syncs now, after any run in progress.
+     * @returns {Promise<object>} The new status (see getStatus()).
+     */
+    function syncNow() {
+        clearTimeout(debounceId);
+        debounceId = null;
+        const result = runLock.then(run).catch(async (error) => {
+            logger.error("RuleSync: Sync failed:", error);
+            onError(error);
+            return setStatus({ state: RULE_SYNC_STATES.degraded, reason: RULE_SYNC_REASONS.error, detail: error.message });
+        });
+        runLock = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Syncs after a quiet period, so a burst of changes is written once.
+     * @param {number} [delayMs=RULE_SYNC_DEBOUNCE_MS]
+     */
+    function schedule(delayMs = RULE_SYNC_DEBOUNCE_MS) {
+        clearTimeout(debounceId);
+        debounceId = setTimeout(() => syncNow().catch(() => {}), delayMs);
+    }
+
+    /**
+     * Removes the synced copy once the user turned sync off. Bundles stay in every device's local storage.
+     * @returns {Promise<object>} The new status.
+     */
+    function disable() {
+        clearTimeout(debounceId);
+        debounceId = null;
+        const result = runLock.then(async () => {
+            const items = await chrome.storage.sync.get(null);
+            const keys = Object.keys(items).filter(key => key === RULE_SYNC_INDEX_KEY || parseRuleSyncChunkKey(key));
+            if (keys.length > 0) await chrome.storage.sync.remove(keys);
+            await chrome.alarms.clear(RULE_SYNC_ALARM_NAME);
+            logger.info("RuleSync: Sync turned off. Removed the synced copy of the rules.");
+            return setStatus({ state: RULE_SYNC_STATES.off });
+        });
+        runLock = result.catch(() => {});
+        return result;
+    }
+
+    return { isEnabled, getStatus, schedule, syncNow, disable };
+}
@@ -0,0 +1,130 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * rule-tester-worker.js
+ * Dedicated worker for the rule tester (rule-tester.js). Runs one rule at a time against sample text with
+ * the content script's engine (rule-engine.js), so the options page can terminate it when a regex
+ * backtracks for too long.
+ *
+ * Posts { ready: true } once loaded. Stateless: each message carries everything needed.
+ *   Request: { id, rule, index, nodes: Array<NodeState>, originals: Array<string> }
+ *   Reply:   { id, nodes, matchCount, rewrites: Array<number>, standaloneRanges: Array<Array<[start, end]>>, durationMs }
+ *            or { id, error } if the rule doesn't compile.
+ * NodeState: { text, owners: Int32Array, deletions: Array<{at, owner}> }, one per text node of the sample.
+ *   owners[i] is the index of the rule that wrote character i (-1 for sample text); deletions mark where
+ *   a rule replaced text with nothing.
+ */
+
+importScripts('rule-engine.js');
+
+/**
+ * Lists a rule's matches in a string, with the text each one is replaced by.
+ * Iterates the regex the way String.prototype.replace does, so the matches are the ones the engine replaces.
+ * @param {string} text - The input.
+ * @param {{rule: object, regex: RegExp}} compiledRule - Output of compileRules().compiled.
+ * @returns {Array<{start: number, end: number, replacement: string}>}
+ */
+function findRuleMatches(text, { rule, regex }) {
+    const matches = [];
+    // A sticky copy replaces exactly one match in its context, expanding $1-style groups like replace() does.
+    const sticky = rule.matchType === 'regex' ? new RegExp(regex.source, regex.flags.replace('g', '') + 'y') : null;
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        let replacement = rule.replace ?? '';
+        if (sticky) {
+            sticky.lastIndex = start;
+            const replaced = text.replace(sticky, replacement);
+            replacement = replaced.slice(start, replaced.length - (text.length - end));
+        }
+        matches.push({ start, end, replacement });
+        if (match[0].length === 0) regex.lastIndex++;
+    }
+    regex.lastIndex = 0;
+    return matches;
+}
+
+/**
+ * Applies matches to a node, recording which rule wrote each character.
+ * @param {{text: string, owners: Int32Array, deletions: Array<object>}} node - NodeState before the rule.
+ * @param {Array<{start: number, end: number, replacement: string}>} matches - From findRuleMatches().
+ * @param {number} index - The rule's index in the run.
+ * @param {Set<number>} rewrites - Collects the rules whose output this rule changes.
+ * @returns {{text: string, owners: Int32Array, deletions: Array<object>}}
+ */
+function applyRuleMatches(node, matches, index, rewrites) {
+    let text = '';
+    const owners = [];
+    const deletions = [];
+    const appendOwners = (from, to) => {
+        for (let position = from; position < to; position++) owners.push(node.owners[position]);
+    };
+    // Maps a position in the old text to the new text; positions inside a match move to its start.
+    const shifts = [];
+    let cursor = 0;
+    for (const { start, end, replacement } of matches) {
+        text += node.text.slice(cursor, start);
+        appendOwners(cursor, start);
+        shifts.push({ from: cursor, to: start, delta: text.length - start });
+        for (let position = start; position < end; position++) {
+            if (node.owners[position] !== -1) rewrites.add(node.owners[position]);
+        }
+        if (replacement === '') deletions.push({ at: text.length, owner: index });
+        text += replacement;
+        for (let position = 0; position < replacement.length; position++) owners.push(index);
+        cursor = end;
+    }
+    shifts.push({ from: cursor, to: node.text.length, delta: text.length - cursor });
+    text += node.text.slice(cursor);
+    appendOwners(cursor, node.text.length);
+
+    for (const deletion of node.deletions) {
+        const shift = shifts.find(({ from, to }) => deletion.at >= from && deletion.at <= to);
+        // Deletions inside a match are replaced by it.
+        if (shift) deletions.push({ ...deletion, at: deletion.at + shift.delta });
+    }
+    deletions.sort((a, b) => a.at - b.at);
+    return { text, owners: Int32Array.from(owners), deletions };
+}
+
+/** Runs one rule over every node of the sample, in sequence and on the original sample on its own. */
+function testRule({ rule, index, nodes, originals }) {
+    const { compiled, errors } = compileRules([rule]);
+    if (errors.length > 0) return { error: errors[0].message };
+    const [compiledRule] = compiled;
+
+    const started = performance.now();
+    const standaloneRanges = originals.map(text => findRuleMatches(text, compiledRule).map(({ start, end }) => [start, end]));
+    const rewrites = new Set();
+    let matchCount = 0;
+    const nextNodes = nodes.map(node => {
+        const matches = findRuleMatches(node.text, compiledRule);
+        if (matches.length === 0) return node;
+        matchCount += matches.length;
+        const next = applyRuleMatches(node, matches, index, rewrites);
+        // The engine's output is authoritative; drop the highlighting if the two ever disagree.
+        const { text } = applyCompiledRules(node.text, [compiledRule]);
+        return next.text === text ? next : { text, owners: new Int32Array(text.length).fill(-1), deletions: [] };
+    });
+    return {
+        nodes: nextNodes,
+        matchCount,
+        rewrites: [...rewrites],
+        standaloneRanges,
+        durationMs: performance.now() - started
+    };
+}
+
+self.onmessage = ({ data }) => {
+    const { id, ...request } = data;
+    try {
+        self.postMessage({ id, ...testRule(request) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+self.postMessage({ ready: true });
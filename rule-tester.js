@@ -0,0 +1,203 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * rule-tester.js
+ * Rule tester for the options page: runs rules against pasted sample text or HTML and reports what
+ * each one did. Requires rule-engine.js (SKIPPED_ANCESTOR_SELECTOR).
+ *
+ * Rules run one at a time in a dedicated worker (rule-tester-worker.js) with the content script's engine,
+ * in the order pages apply them. A rule that takes longer than RULE_TEST_TIMEOUT_MS is stopped by
+ * terminating the worker, reported as timed out (likely catastrophic backtracking) and skipped.
+ * HTML samples are split into text nodes the way the content script sees a page.
+ */
+
+const RULE_TEST_TIMEOUT_MS = 250;
+const RULE_TEST_MAX_SAMPLE_LENGTH = 50 * 1000;
+
+// Result of each rule (result.status).
+const RULE_TEST_STATUSES = {
+    matched: 'matched',
+    neverMatches: 'never_matches',
+    shadowed: 'shadowed', // Matches the sample, but earlier rules change that text first
+    disabled: 'disabled',
+    locked: 'locked', // Regex rule on the free tier; pages skip it
+    invalid: 'invalid',
+    timedOut: 'timed_out'
+};
+
+/**
+ * Splits a sample into the text the content script would rewrite.
+ * HTML is parsed inertly (no scripts run, nothing loads) and only replaceable text nodes are kept.
+ * @param {string} sample - Pasted text or HTML.
+ * @param {boolean} isHtml - Whether to parse the sample as HTML.
+ * @returns {Array<string>} One entry per text node.
+ */
+function extractSampleTexts(sample, isHtml) {
+    if (!isHtml) return sample ? [sample] : [];
+    const doc = new DOMParser().parseFromString(sample, 'text/html');
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    const texts = [];
+    let node;
+    while ((node = walker.nextNode())) {
+        if (node.nodeValue.trim() && !node.parentElement.closest(SKIPPED_ANCESTOR_SELECTOR)) texts.push(node.nodeValue);
+    }
+    return texts;
+}
+
+/** Returns true if any range of a overlaps any range of b. Ranges are [start, end). */
+function rangesOverlap(a, b) {
+    return a.some(([startA, endA]) => b.some(([startB, endB]) => startA < endB && startB < endA));
+}
+
+/**
+ * Creates a rule tester. Runs are serialized, and each run() supersedes the previous one.
+ * @param {object} [options]
+ * @param {string} [options.workerUrl='rule-tester-worker.js']
+ * @param {number} [options.timeoutMs=RULE_TEST_TIMEOUT_MS] - Time each rule gets for the whole sample.
+ * @returns {{run: Function, dispose: Function}}
+ */
+function createRuleTester({ workerUrl = 'rule-tester-worker.js', timeoutMs = RULE_TEST_TIMEOUT_MS } = {}) {
+    let worker = null;
+    let workerReady = null;
+    let nextRequestId = 0;
+    let currentRun = 0;
+    let lock = Promise.resolve();
+    const pendingReplies = new Map();
+
+    /** Starts the worker if needed. Resolves once it has loaded, so its startup doesn't count against a rule's time. */
+    function getWorker() {
+        if (workerReady) return workerReady;
+        worker = new Worker(workerUrl);
+        workerReady = new Promise((resolve, reject) => {
+            worker.onmessage = ({ data }) => data.ready ? resolve(worker) : pendingReplies.get(data.id)?.(data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                const message = event.message || "The rule tester stopped unexpectedly.";
+                reject(new Error(message));
+                for (const reply of pendingReplies.values()) reply({ error: message });
+            };
+        });
+        return workerReady;
+    }
+
+    /** Stops the worker, abandoning whatever it is running. A new one starts on the next request. */
+    function stopWorker() {
+        worker?.terminate();
+        worker = null;
+        workerReady = null;
+    }
+
+    /**
+     * Runs one rule in the worker.
+     * @returns {Promise<object>} The worker's reply, or { timedOut: true }.
+     */
+    async function testRuleInWorker(request) {
+        let readyWorker;
+        try {
+            readyWorker = await getWorker();
+        } catch (error) {
+            stopWorker();
+            return { error: error.message };
+        }
+        return new Promise(resolve => {
+            const id = ++nextRequestId;
+            const timeoutId = setTimeout(() => {
+                pendingReplies.delete(id);
+                stopWorker();
+                resolve({ timedOut: true });
+            }, timeoutMs);
+            pendingReplies.set(id, reply => {
+                clearTimeout(timeoutId);
+                pendingReplies.delete(id);
+                resolve(reply);
+            });
+            readyWorker.postMessage({ id, ...request });
+        });
+    }
+
+    /**
+     * Runs rules against sample texts in order, like a page would.
+     * @param {Array<string>} samples - Output of extractSampleTexts().
+     * @param {Array<{rule: object, bundle: object}>} entries - Rules in the order pages apply them.
+     * @param {object} [options]
+     * @param {Array<string>} [options.disabledRuleIds=[]] - Rules switched off; reported but not run.
+     * @param {boolean} [options.regexRules=true] - Whether regex rules are applied (entitlements).
+     * @returns {Promise<{nodes: Array<object>, results: Array<object>}|null>} null if a newer run started meanwhile.
+     *   nodes: final text of each sample with the index of the rule that wrote each character (see
+     *   rule-tester-worker.js). results[i] describes entries[i]: { rule, bundle, status, matchCount,
+     *   standaloneCount, conflictsWith: Array<number>, rewrites: Array<number>, durationMs, message? }.
+     */
+    function run(samples, entries, options = {}) {
+        const runId = ++currentRun;
+        // One run at a time, so a rule's time limit never includes waiting for a superseded run's rule.
+        const result = lock.then(() => runTests(runId, samples, entries, options));
+        lock = result.catch(() => {});
+        return result;
+    }
+
+    /** Does the work of run(). Returns null as soon as a newer run has started. */
+    async function runTests(runId, samples, entries, { disabledRuleIds = [], regexRules = true }) {
+        if (runId !== currentRun) return null;
+        const disabled = new Set(disabledRuleIds);
+        let nodes = samples.map(text => ({ text, owners: new Int32Array(text.length).fill(-1), deletions: [] }));
+        const standaloneRanges = [];
+        const results = [];
+
+        for (const [index, { rule, bundle }] of entries.entries()) {
+            const result = { rule, bundle, status: null, matchCount: 0, standaloneCount: 0, conflictsWith: [], rewrites: [], durationMs: null };
+            results.push(result);
+            if (disabled.has(rule.id)) {
+                result.status = RULE_TEST_STATUSES.disabled;
+                continue;
+            }
+            if (rule.matchType === 'regex' && !regexRules) {
+                result.status = RULE_TEST_STATUSES.locked;
+                continue;
+            }
+
+            const reply = await testRuleInWorker({ rule, index, nodes, originals: samples });
+            if (runId !== currentRun) return null;
+            if (reply.timedOut) {
+                result.status = RULE_TEST_STATUSES.timedOut;
+                result.durationMs = timeoutMs;
+                continue;
+            }
+            if (reply.error) {
+                result.status = RULE_TEST_STATUSES.invalid;
+                result.message = reply.error;
+                continue;
+            }
+            nodes = reply.nodes;
+            standaloneRanges[index] = reply.standaloneRanges;
+            Object.assign(result, {
+                matchCount: reply.matchCount,
+                standaloneCount: reply.standaloneRanges.reduce((total, ranges) => total + ranges.length, 0),
+                rewrites: reply.rewrites,
+                durationMs: reply.durationMs
+            });
+            result.status = result.matchCount > 0 ? RULE_TEST_STATUSES.matched
+                : result.standaloneCount > 0 ? RULE_TEST_STATUSES.shadowed
+                : RULE_TEST_STATUSES.neverMatches;
+        }
+
+        // Conflicts: rules that match the same sample text. The earlier one wins.
+        for (const [index, ranges] of standaloneRanges.entries()) {
+            if (!ranges) continue;
+            for (let earlier = 0; earlier < index; earlier++) {
+                if (standaloneRanges[earlier]?.some((earlierRanges, node) => rangesOverlap(earlierRanges, ranges[node]))) {
+                    results[index].conflictsWith.push(earlier);
+                }
+            }
+        }
+        return { nodes, results };
+    }
+
+    /** Stops the worker. The tester can still be used afterwards. */
+    function dispose() {
+        currentRun++;
+        stopWorker();
+    }
+
+    return { run, dispose };
+}
@@ -0,0 +1,241 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * settings-history.js
+ * Undo/redo history of the local settings (ruleBundles, domainList, disabledRuleIds, ...).
+ * Loaded by background.js (importScripts). Requires message-bus.js and bundle-schema.js.
+ *
+ * Before each save, the settings as they were are kept as a snapshot, with a summary of what the save
+ * changed. Snapshots live in chrome.storage.local (SETTINGS_HISTORY_KEY) as two stacks:
+ *   { undo: Array<Entry>, redo: Array<Entry> }  (oldest first; the last entry is the next to apply)
+ * Entry: { id, takenAt, source, summary, settings }
+ * An undo entry holds the settings from before its change, a redo entry those from after it; both keep
+ * the same summary. A new save clears the redo stack. The history is capped at SETTINGS_HISTORY_MAX_ENTRIES
+ * snapshots and SETTINGS_HISTORY_MAX_BYTES; the oldest go first.
+ *
+ * Restores are applied through the caller's save path (applySettings), so they are validated and
+ * broadcast like any other save, but aren't recorded as new changes. The snapshot is picked and the
+ * stacks updated inside that save, so a save made meanwhile is never reverted or lost from the history.
+ */
+
+const SETTINGS_HISTORY_KEY = 'settingsHistory';
+const SETTINGS_HISTORY_MAX_ENTRIES = 25;
+const SETTINGS_HISTORY_MAX_BYTES = 2 * 1024 * 1024; // chrome.storage.local allows 10 MB in all
+
+// Where a change came from (entry.source).
+const SETTINGS_CHANGE_SOURCES = {
+    options: 'options',
+    popup: 'popup',
+    shortcut: 'shortcut', // Keyboard shortcut (background.js)
+    sync: 'sync', // Rule sync, from another browser
+    preloaded: 'preloaded',
+    extension: 'extension'
+};
+
+/**
+ * Describes the difference between two settings states in counts and bundle names.
+ * Only fields with a change are present.
+ * @param {object} before - Settings before the change.
+ * @param {object} after - Settings after it.
+ * @returns {{bundlesAdded?: Array<string>, bundlesRemoved?: Array<string>, bundlesChanged?: Array<string>,
+ *   rulesAdded?: number, rulesRemoved?: number, rulesChanged?: number, rulesTurnedOn?: number, rulesTurnedOff?: number,
+ *   activeBundlesChanged?: boolean, topActiveBundle?: string, isEnabled?: boolean, domainsAdded?: number,
+ *   domainsRemoved?: number, domainListType?: string}}
+ */
+function summarizeSettingsChange(before, after) {
+    const summary = {};
+    const setIfAny = (key, value) => {
+        if (Array.isArray(value) ? value.length > 0 : value) summary[key] = value;
+    };
+
+    const beforeBundles = new Map(before.ruleBundles.map(bundle => [bundle.id, bundle]));
+    const afterBundles = new Map(after.ruleBundles.map(bundle => [bundle.id, bundle]));
+    const rules = { added: 0, removed: 0, changed: 0 };
+    const bundlesChanged = [];
+    for (const [id, bundle] of afterBundles) {
+        const previous = beforeBundles.get(id);
+        if (!previous || stableStringify(previous) === stableStringify(bundle)) continue;
+        bundlesChanged.push(bundle.name);
+        const previousRules = new Map(previous.rules.map(rule => [rule.id, rule]));
+        const ruleIds = new Set(bundle.rules.map(rule => rule.id));
+        for (const rule of bundle.rules) {
+            if (!previousRules.has(rule.id)) rules.added++;
+            else if (stableStringify(previousRules.get(rule.id)) !== stableStringify(rule)) rules.changed++;
+        }
+        rules.removed += previous.rules.filter(rule => !ruleIds.has(rule.id)).length;
+    }
+    setIfAny('bundlesAdded', after.ruleBundles.filter(bundle => !beforeBundles.has(bundle.id)).map(bundle => bundle.name));
+    setIfAny('bundlesRemoved', before.ruleBundles.filter(bundle => !afterBundles.has(bundle.id)).map(bundle => bundle.name));
+    setIfAny('bundlesChanged', bundlesChanged);
+    setIfAny('rulesAdded', rules.added);
+    setIfAny('rulesRemoved', rules.removed);
+    setIfAny('rulesChanged', rules.changed);
+
+    // Only rules that exist on both sides; rules of added or removed bundles are covered above.
+    const ruleIds = new Set(after.ruleBundles.flatMap(bundle => bundle.rules.map(rule => rule.id)));
+    const disabledBefore = new Set(before.disabledRuleIds.filter(id => ruleIds.has(id)));
+    const disabledAfter = new Set(after.disabledRuleIds.filter(id => ruleIds.has(id)));
+    setIfAny('rulesTurnedOff', [...disabledAfter].filter(id => !disabledBefore.has(id)).length);
+    setIfAny('rulesTurnedOn', [...disabledBefore].filter(id => !disabledAfter.has(id)).length);
+
+    // Turning bundles on or off, or changing their priority.
+    setIfAny('activeBundlesChanged', stableStringify(before.activeBundleIds) !== stableStringify(after.activeBundleIds));
+    // The name of the bundle whose rules now run first, when that changed (e.g. the next-bundle shortcut).
+    const topActiveBundle = settings =>
+        settings.activeBundleIds.map(id => settings.ruleBundles.find(bundle => bundle.id === id)).find(Boolean);
+    const topAfter = topActiveBundle(after);
+    if (topAfter && topAfter.id !== topActiveBundle(before)?.id) summary.topActiveBundle = topAfter.name;
+    if (before.isEnabled !== after.isEnabled) summary.isEnabled = after.isEnabled;
+
+    const domainsBefore = new Set(before.domainList.domains);
+    const domainsAfter = new Set(after.domainList.domains);
+    setIfAny('domainsAdded', [...domainsAfter].filter(entry => !domainsBefore.has(entry)).length);
+    setIfAny('domainsRemoved', [...domainsBefore].filter(entry => !domainsAfter.has(entry)).length);
+    if (before.domainList.type !== after.domainList.type) summary.domainListType = after.domainList.type;
+    return summary;
+}
+
+/** Drops the oldest snapshots until the history fits its limits. */
+function trimSettingsHistory(history) {
+    const trimmed = { undo: history.undo.slice(-SETTINGS_HISTORY_MAX_ENTRIES), redo: history.redo.slice(-SETTINGS_HISTORY_MAX_ENTRIES) };
+    while ((trimmed.undo.length > 0 || trimmed.redo.length > 0)
+        && JSON.stringify(trimmed).length > SETTINGS_HISTORY_MAX_BYTES) {
+        // Redo entries are the further from now the earlier they are in the array.
+        if (trimmed.undo.length > 0) trimmed.undo.shift();
+        else trimmed.redo.shift();
+    }
+    return trimmed;
+}
+
+/** An entry without its settings, for extension pages. */
+function describeHistoryEntry({ id, takenAt, source, summary }) {
+    return { id, takenAt, source, summary };
+}
+
+/**
+ * Creates the settings history. Every method is serialized.
+ * @param {object} options
+ * @param {function(function(): Promise<object>, function(object): Promise<void>): Promise<object|null>} options.applySettings -
+ *   Saves restored settings without recording them. Called with a function returning the settings to restore,
+ *   and a callback taking the settings they replace. Both must be called inside the save, one save at a time;
+ *   the callback's promise must only be awaited once the next save may start.
+ * @param {{info: Function, warn: Function, error: Function}} [options.logger=console]
+ * @returns {{record: Function, list: Function, undo: Function, redo: Function, restore: Function}}
+ */
+function createSettingsHistory({ applySettings, logger = console }) {
+    let lock = Promise.resolve();
+
+    /** Runs operation after any other history operation has finished. */
+    function serialized(operation) {
+        const run = lock.then(operation);
+        lock = run.catch(() => {});
+        return run;
+    }
+
+    async function load() {
+        const { [SETTINGS_HISTORY_KEY]: history } = await chrome.storage.local.get(SETTINGS_HISTORY_KEY);
+        return { undo: [], redo: [], ...history };
+    }
+
+    function save(history) {
+        return chrome.storage.local.set({ [SETTINGS_HISTORY_KEY]: trimSettingsHistory(history) });
+    }
+
+    /**
+     * Lists the history, newest first, without the snapshots' settings.
+     * @returns {Promise<{undo: Array<object>, redo: Array<object>}>} undo[0] is what undo() reverts,
+     *   redo[0] what redo() re-applies.
+     */
+    function list() {
+        return serialized(async () => {
+            const history = await load();
+            return {
+                undo: history.undo.map(describeHistoryEntry).reverse(),
+                redo: history.redo.map(describeHistoryEntry).reverse()
+            };
+        });
+    }
+
+    /**
+     * Records a save. Saves that change nothing are skipped. Never throws: a failure only costs the snapshot.
+     * @param {object} before - Settings before the save.
+     * @param {object} after - Settings after it.
+     * @param {string} source - One of SETTINGS_CHANGE_SOURCES.
+     */
+    function record(before, after, source) {
+        return serialized(async () => {
+            const summary = summarizeSettingsChange(before, after);
+            if (Object.keys(summary).length === 0) return;
+            const history = await load();
+            history.undo.push({ id: crypto.randomUUID(), takenAt: new Date().toISOString(), source, summary, settings: before });
+            history.redo = [];
+            await save(history);
+        }).catch(error => logger.warn("SettingsHistory: Could not record a snapshot:", error?.message));
+    }
+
+    /**
+     * Restores the settings from before the newest change.
+     * @returns {Promise<{undo: Array<object>, redo: Array<object>}>} The history afterwards (see list()).
+     * @throws {Error} With code 'nothing_to_undo'.
+     */
+    async function undo() {
+        let entry;
+        await applySettings(async () => {
+            entry = (await serialized(load)).undo.at(-1);
+            if (!entry) throw createMessageError('nothing_to_undo', "There is nothing to undo.");
+            return entry.settings;
+        }, current => serialized(async () => {
+            const history = await load();
+            history.undo.pop();
+            history.redo.push({ ...entry, settings: current });
+            await save(history);
+        }));
+        return list();
+    }
+
+    /**
+     * Re-applies the most recently undone change.
+     * @returns {Promise<{undo: Array<object>, redo: Array<object>}>} The history afterwards (see list()).
+     * @throws {Error} With code 'nothing_to_redo'.
+     */
+    async function redo() {
+        let entry;
+        await applySettings(async () => {
+            entry = (await serialized(load)).redo.at(-1);
+            if (!entry) throw createMessageError('nothing_to_redo', "There is nothing to redo.");
+            return entry.settings;
+        }, current => serialized(async () => {
+            const history = await load();
+            history.redo.pop();
+            history.undo.push({ ...entry, settings: current });
+            await save(history);
+        }));
+        return list();
+    }
+
+    /**
+     * Restores the settings from before a change, undoing it and every later change. Redo brings them back.
+     * @param {string} entryId - Id of an undo entry.
+     * @returns {Promise<{undo: Array<object>, redo: Array<object>}>} The history afterwards (see list()).
+     * @throws {Error} With code 'snapshot_not_found'.
+     */
+    async function restore(entryId) {
+        await applySettings(async () => {
+            const entry = (await serialized(load)).undo.find(entry => entry.id === entryId);
+            if (!entry) throw createMessageError('snapshot_not_found', "That snapshot is no longer in the history.");
+            return entry.settings;
+        }, current => serialized(async () => {
+            const history = await load();
+            // As if undone one by one: each change moves to the redo stack with the settings from after it.
+            const undone = history.undo.splice(history.undo.findIndex(entry => entry.id === entryId));
+            const settingsAfter = [...undone.slice(1).map(entry => entry.settings), current];
+            history.redo.push(...undone.map((entry, position) => ({ ...entry, settings: settingsAfter[position] })).reverse());
+            await save(history);
+            logger.info(`SettingsHistory: Restored the snapshot from ${history.redo.at(-1).takenAt} (${undone.length} change(s) undone).`);
+        }));
+        return list();
+    }
+
+    return { record, list, undo, redo, restore };
+}
@@ -0,0 +1,211 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * storage-migrations.js
+ * Versioned migrations for chrome.storage.local and chrome.storage.sync.
+ * Loaded by background.js (importScripts). Requires message-bus.js.
+ * Run against fixture storage states with `node tools/migration-harness.js`.
+ *
+ * The schema version is stored per device in chrome.storage.local (SCHEMA_VERSION_KEY). Migrations
+ * newer than it run in order on a copy of both storage areas, then missing defaults are filled in.
+ * Nothing is written until every step has succeeded. Before writing, the previous values of every
+ * key about to change are saved (MIGRATION_BACKUP_KEY); a failed write, or a service worker that
+ * stopped mid-write, is rolled back from that backup.
+ *
+ * To change the shape of stored settings, append a step with the next version number. Steps receive
+ * { local, sync } (plain objects holding every stored key) and edit them in place. Never edit or
+ * reorder a released step: devices that already ran it won't run it again.
+ */
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const MIGRATION_BACKUP_KEY = 'migrationBackup';
+const MIGRATION_STORAGE_AREAS = ['local', 'sync'];
+
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: "Move ruleBundles from sync to local storage",
+        migrate: ({ local, sync }) => {
+            // Older versions kept bundles in sync storage. Local bundles win if both exist; either way the
+            // sync copy goes, so it doesn't take up the sync quota rule sync needs.
+            if (sync.ruleBundles === undefined) return;
+            if (local.ruleBundles === undefined) local.ruleBundles = sync.ruleBundles;
+            delete sync.ruleBundles;
+        }
+    },
+    {
+        version: 2,
+        description: "Remove the placeholder isLicensed flag",
+        migrate: ({ sync }) => {
+            // Replaced by the signed license object.
+            delete sync.isLicensed;
+        }
+    },
+    {
+        version: 3,
+        description: "Record when each bundle last changed, for rule sync",
+        migrate: ({ local }) => {
+            // BUNDLE_TIMESTAMPS_KEY in rule-sync.js. Existing bundles count as changed now, so a device
+            // turning sync on doesn't lose its bundles to an older copy from another device.
+            if (local.bundleTimestamps !== undefined) return;
+            const now = Date.now();
+            local.bundleTimestamps = Object.fromEntries((local.ruleBundles || []).map(bundle => [bundle.id, { updatedAt: now }]));
+        }
+    },
+    {
+        version: 4,
+        description: "Replace activeBundleId with the activeBundleIds priority list",
+        migrate: ({ local }) => {
+            if ('activeBundleId' in local) {
+                local.activeBundleIds = local.activeBundleId ? [local.activeBundleId] : [];
+                delete local.activeBundleId;
+            }
+            // Undo snapshots (settings-history.js) are restored as saved, so they need the new shape too.
+            const toActiveBundleIds = ({ activeBundleId, ...settings }) =>
+                ({ ...settings, activeBundleIds: activeBundleId ? [activeBundleId] : [] });
+            const renameSummaryField = ({ activeBundleChanged, ...summary }) =>
+                ({ ...summary, ...(activeBundleChanged && { activeBundlesChanged: true }) });
+            for (const stack of ['undo', 'redo']) {
+                const entries = local.settingsHistory?.[stack];
+                if (!Array.isArray(entries)) continue;
+                local.settingsHistory[stack] = entries.map(entry =>
+                    ({ ...entry, summary: renameSummaryField(entry.summary), settings: toActiveBundleIds(entry.settings) }));
+            }
+        }
+    }
+];
+
+/** Returns the version the newest migration step produces. */
+function getLatestSchemaVersion(migrations = STORAGE_MIGRATIONS) {
+    return migrations.reduce((latest, step) => Math.max(latest, step.version), 0);
+}
+
+/** Reads every key of both storage areas, without the migration backup itself. */
+async function readStorageAreas() {
+    const areas = {};
+    for (const area of MIGRATION_STORAGE_AREAS) {
+        const { [MIGRATION_BACKUP_KEY]: backup, ...stored } = await chrome.storage[area].get(null);
+        areas[area] = stored;
+    }
+    return areas;
+}
+
+/**
+ * Lists the keys a migration changes, with their values before and after.
+ * @returns {{[area: string]: {set: object, remove: Array<string>, previous: object, absent: Array<string>}}}
+ */
+function diffStorageAreas(before, after) {
+    const changes = {};
+    for (const area of MIGRATION_STORAGE_AREAS) {
+        const set = {};
+        const remove = [];
+        for (const [key, value] of Object.entries(after[area])) {
+            if (JSON.stringify(value) !== JSON.stringify(before[area][key])) set[key] = value;
+        }
+        for (const key of Object.keys(before[area])) {
+            if (!(key in after[area])) remove.push(key);
+        }
+        const touched = [...Object.keys(set), ...remove];
+        changes[area] = {
+            set,
+            remove,
+            previous: Object.fromEntries(touched.filter(key => key in before[area]).map(key => [key, before[area][key]])),
+            absent: touched.filter(key => !(key in before[area]))
+        };
+    }
+    return changes;
+}
+
+/** Puts back the keys recorded in a migration backup. Used after a failed or interrupted write. */
+async function restoreMigrationBackup(backup) {
+    for (const area of MIGRATION_STORAGE_AREAS) {
+        const { previous = {}, absent = [] } = backup[area] || {};
+        if (Object.keys(previous).length > 0) await chrome.storage[area].set(previous);
+        if (absent.length > 0) await chrome.storage[area].remove(absent);
+    }
+    await chrome.storage.local.remove(MIGRATION_BACKUP_KEY);
+}
+
+/**
+ * Brings stored settings up to the latest schema version.
+ * @param {{local: object, sync: object}} defaults - Default settings per area. Missing keys are filled in.
+ * @param {object} [options]
+ * @param {Array<object>} [options.migrations=STORAGE_MIGRATIONS] - Steps to run (the harness passes its own).
+ * @param {{info: Function, warn: Function}} [options.logger=console]
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: Array<number>, restoredBackup: boolean}>}
+ * @throws {Error} With code 'migration_failed' and details { fromVersion, toVersion, step?, rolledBack }.
+ *   Storage is left as it was before the run.
+ */
+async function runStorageMigrations(defaults, { migrations = STORAGE_MIGRATIONS, logger = console } = {}) {
+    const { [MIGRATION_BACKUP_KEY]: interruptedBackup } = await chrome.storage.local.get(MIGRATION_BACKUP_KEY);
+    let restoredBackup = false;
+    if (interruptedBackup) {
+        logger.warn(`StorageMigrations: Restoring backup from an interrupted migration (${interruptedBackup.fromVersion} → ${interruptedBackup.toVersion}).`);
+        await restoreMigrationBackup(interruptedBackup);
+        restoredBackup = true;
+    }
+
+    const before = await readStorageAreas();
+    const fromVersion = before.local[SCHEMA_VERSION_KEY] ?? 0;
+    const toVersion = getLatestSchemaVersion(migrations);
+    if (fromVersion > toVersion) {
+        // Written by a newer version of the extension; its data isn't ours to change.
+        logger.warn(`StorageMigrations: Stored schema version ${fromVersion} is newer than ${toVersion}. Leaving storage unchanged.`);
+        return { fromVersion, toVersion: fromVersion, applied: [], restoredBackup };
+    }
+
+    const draft = structuredClone(before);
+    const applied = [];
+    const pending = migrations.filter(step => step.version > fromVersion).sort((a, b) => a.version - b.version);
+    for (const step of pending) {
+        try {
+            await step.migrate(draft);
+        } catch (error) {
+            throw createMessageError('migration_failed',
+                `Migration ${step.version} ("${step.description}") failed: ${error.message}`,
+                { fromVersion, toVersion, step: step.version, rolledBack: true });
+        }
+        draft.local[SCHEMA_VERSION_KEY] = step.version;
+        applied.push(step.version);
+    }
+    for (const area of MIGRATION_STORAGE_AREAS) {
+        for (const [key, value] of Object.entries(defaults[area] || {})) {
+            if (draft[area][key] === undefined) draft[area][key] = structuredClone(value);
+        }
+    }
+    draft.local[SCHEMA_VERSION_KEY] = toVersion;
+
+    const changes = diffStorageAreas(before, draft);
+    if (MIGRATION_STORAGE_AREAS.every(area => Object.keys(changes[area].set).length === 0 && changes[area].remove.length === 0)) {
+        return { fromVersion, toVersion, applied, restoredBackup };
+    }
+
+    const backup = { fromVersion, toVersion, takenAt: new Date().toISOString() };
+    for (const area of MIGRATION_STORAGE_AREAS) {
+        backup[area] = { previous: changes[area].previous, absent: changes[area].absent };
+    }
+    await chrome.storage.local.set({ [MIGRATION_BACKUP_KEY]: backup });
+
+    try {
+        for (const area of MIGRATION_STORAGE_AREAS) {
+            const { set, remove } = changes[area];
+            if (Object.keys(set).length > 0) await chrome.storage[area].set(set);
+            if (remove.length > 0) await chrome.storage[area].remove(remove);
+        }
+        await chrome.storage.local.remove(MIGRATION_BACKUP_KEY);
+    } catch (writeError) {
+        let rolledBack = true;
+        try {
+            await restoreMigrationBackup(backup);
+        } catch (restoreError) {
+            // The backup stays in storage and is restored on the next run.
+            rolledBack = false;
+        }
+        throw createMessageError('migration_failed', `Writing migrated settings failed: ${writeError.message}`,
+            { fromVersion, toVersion, rolledBack });
+    }
+
+    logger.info(`StorageMigrations: Migrated storage from schema version ${fromVersion} to ${toVersion}.`, { applied });
+    return { fromVersion, toVersion, applied, restoredBackup };
+}
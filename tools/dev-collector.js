@@ -0,0 +1,94 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * tools/dev-collector.js
+ * Local stand-in for Sentry and the GA4 Measurement Protocol (Node 18+, no dependencies).
+ * The dev profile in config.json points here, so unpacked builds never send to real projects.
+ * Prints a line per GA4 event and Sentry envelope item, and the full payloads with --verbose.
+ *
+ *   node tools/dev-collector.js [port] [--verbose]
+ *   (default port 8787, matching config.json)
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': '*'
+};
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const port = Number(args.find(arg => /^\d+$/.test(arg))) || DEFAULT_PORT;
+
+function time() {
+    return new Date().toISOString().slice(11, 23);
+}
+
+function printPayload(payload) {
+    if (verbose) console.log(JSON.stringify(payload, null, 2));
+}
+
+/** Handles a Measurement Protocol request: { client_id, events: [{ name, params }] }. */
+function handleGaCollect(url, body) {
+    const payload = JSON.parse(body);
+    for (const event of payload.events || []) {
+        console.log(`${time()} GA4    ${event.name} (measurement ${url.searchParams.get('measurement_id')}, client ${String(payload.client_id).slice(0, 8)}…)`);
+    }
+    printPayload(payload);
+}
+
+/** Handles a Sentry envelope: a header line, then a header line and a payload line per item. */
+function handleSentryEnvelope(body) {
+    const lines = body.split('\n').filter(Boolean);
+    for (let i = 1; i < lines.length; i += 2) {
+        const itemHeader = JSON.parse(lines[i]);
+        let item;
+        try {
+            item = JSON.parse(lines[i + 1]);
+        } catch (error) {
+            item = lines[i + 1]; // Attachments and other non-JSON items
+        }
+        const summary = itemHeader.type === 'event'
+            ? item.exception?.values?.[0]?.value ?? item.message
+            : itemHeader.type === 'transaction'
+                ? `${item.transaction} (${((item.timestamp - item.start_timestamp) * 1000).toFixed(1)} ms, ${item.spans?.length || 0} spans)`
+                : '';
+        console.log(`${time()} Sentry ${itemHeader.type}${summary ? `: ${summary}` : ''}${item.tags?.origin_context ? ` [${item.tags.origin_context}]` : ''}`);
+        printPayload(item);
+    }
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS).end();
+        return;
+    }
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        const url = new URL(request.url, `http://localhost:${port}`);
+        try {
+            if (request.method === 'POST' && url.pathname === '/mp/collect') {
+                handleGaCollect(url, body);
+            } else if (request.method === 'POST' && /^\/api\/\d+\/envelope\/?$/.test(url.pathname)) {
+                handleSentryEnvelope(body);
+            } else {
+                console.log(`${time()} Ignored ${request.method} ${url.pathname}`);
+                response.writeHead(404, CORS_HEADERS).end();
+                return;
+            }
+        } catch (error) {
+            console.error(`${time()} Could not parse ${url.pathname}:`, error.message);
+        }
+        response.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' }).end('{}');
+    });
+});
+
+server.listen(port, 'localhost', () => {
+    console.log(`Dev collector listening on http://localhost:${port} (GA4: /mp/collect, Sentry: /api/<project>/envelope/).`);
+});
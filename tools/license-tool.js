@@ -0,0 +1,70 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * tools/license-tool.js
+ * Developer tool for license keys (Node 18+, no dependencies). Never ship the private key.
+ *
+ * Generate a keypair (writes private.jwk.json and public.jwk.json into <dir>):
+ *   node tools/license-tool.js keygen <dir>
+ * Paste the printed public key into LICENSE_PUBLIC_KEY_JWK in license.js.
+ *
+ * Sign a license key:
+ *   node tools/license-tool.js sign <private.jwk.json> "<licensee>" <expiresAt|never> [entitlement,...]
+ *   e.g. node tools/license-tool.js sign keys/private.jwk.json "Jane Doe" 2027-01-01 premium
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+function toBase64Url(bytes) {
+    return Buffer.from(bytes).toString('base64url');
+}
+
+async function keygen(dir) {
+    const { publicKey, privateKey } = await webcrypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    const publicJwk = await webcrypto.subtle.exportKey('jwk', publicKey);
+    const privateJwk = await webcrypto.subtle.exportKey('jwk', privateKey);
+    // Only keep the fields verification needs.
+    const { kty, crv, x, y } = publicJwk;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'private.jwk.json'), JSON.stringify(privateJwk, null, 2), { mode: 0o600 });
+    fs.writeFileSync(path.join(dir, 'public.jwk.json'), JSON.stringify({ kty, crv, x, y }, null, 2));
+    console.log(`Wrote ${path.join(dir, 'private.jwk.json')} (keep this secret) and public.jwk.json.`);
+    console.log(`publicKey: ${JSON.stringify({ kty, crv, x, y })}`);
+}
+
+async function sign(privateKeyFile, licensee, expires, entitlementList = '') {
+    if (!privateKeyFile || !licensee || !expires) {
+        throw new Error('Usage: sign <private.jwk.json> "<licensee>" <expiresAt|never> [entitlement,...]');
+    }
+    const privateJwk = JSON.parse(fs.readFileSync(privateKeyFile, 'utf8'));
+    const privateKey = await webcrypto.subtle.importKey('jwk', privateJwk, KEY_ALGORITHM, false, ['sign']);
+
+    const expiresAt = expires === 'never' ? null : new Date(expires).toISOString();
+    const payload = {
+        licensee,
+        issuedAt: new Date().toISOString(),
+        expiresAt,
+        entitlements: entitlementList.split(',').map(entry => entry.trim()).filter(Boolean)
+    };
+    const payloadSegment = toBase64Url(Buffer.from(JSON.stringify(payload), 'utf8'));
+    const signature = await webcrypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, Buffer.from(payloadSegment, 'ascii'));
+    console.log(`${payloadSegment}.${toBase64Url(new Uint8Array(signature))}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = { keygen, sign };
+if (!commands[command]) {
+    console.error('Usage: node tools/license-tool.js <keygen|sign> ...');
+    process.exit(1);
+}
+commands[command](...args).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
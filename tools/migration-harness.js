@@ -0,0 +1,263 @@
+// Copyright 2025 Brad Kulick
+// All rights reserved.
+
+/**
+ * tools/migration-harness.js
+ * Runs the storage migrations (storage-migrations.js) against fixture storage states, using an
+ * in-memory chrome.storage (Node 18+, no dependencies). Exits with status 1 if any fixture fails.
+ *
+ *   node tools/migration-harness.js
+ *
+ * When adding a migration step, add a fixture with storage as the previous release left it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same shape as defaultLocalSettings / defaultSyncSettings in background.js.
+const DEFAULTS = {
+    local: {
+        isEnabled: true,
+        domainList: { type: 'blacklist', domains: ['docs.google.com'] },
+        ruleBundles: [],
+        activeBundleIds: [],
+        disabledRuleIds: []
+    },
+    sync: { license: null, analyticsEnabled: true, crashReportsEnabled: true, ruleSyncEnabled: false }
+};
+
+const BUNDLE = { id: 'b1', name: 'Bundle', version: 1, rules: [{ id: 'r1', find: 'a', replace: 'b', matchType: 'plain' }] };
+
+/**
+ * Creates an in-memory chrome.storage area.
+ * @param {object} initial - Stored keys.
+ * @param {{failSetOn?: string}} [options] - Throw from set() when it writes this key.
+ */
+function createStorageArea(initial, { failSetOn } = {}) {
+    const data = structuredClone(initial);
+    return {
+        data,
+        async get(keys) {
+            if (keys === null) return structuredClone(data);
+            const list = Array.isArray(keys) ? keys : [keys];
+            return structuredClone(Object.fromEntries(list.filter(key => key in data).map(key => [key, data[key]])));
+        },
+        async set(items) {
+            if (failSetOn && failSetOn in items) throw new Error(`Simulated write failure for '${failSetOn}'`);
+            Object.assign(data, structuredClone(items));
+        },
+        async remove(keys) {
+            for (const key of Array.isArray(keys) ? keys : [keys]) delete data[key];
+        }
+    };
+}
+
+/** Loads the migration module into a fresh context with the given storage. */
+function loadMigrations(storage) {
+    const context = vm.createContext({
+        chrome: { storage, runtime: { id: 'harness' } },
+        structuredClone,
+        console: { info() {}, warn() {}, log() {}, error: console.error }
+    });
+    for (const file of ['message-bus.js', 'storage-migrations.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+const FIXTURES = [
+    {
+        name: "fresh install gets defaults and the latest schema version",
+        local: {},
+        sync: {},
+        check: ({ local, sync, result, latest }) => {
+            assert.deepStrictEqual(result.fromVersion, 0);
+            assert.strictEqual(local.schemaVersion, latest);
+            assert.deepStrictEqual(local.ruleBundles, []);
+            assert.deepStrictEqual(local.bundleTimestamps, {});
+            assert.deepStrictEqual(local.activeBundleIds, []);
+            assert.strictEqual(sync.analyticsEnabled, true);
+            assert.strictEqual(sync.ruleSyncEnabled, false);
+        }
+    },
+    {
+        name: "fresh install keeps a license and consent synced from another device",
+        local: {},
+        sync: { license: { key: 'k', licensee: 'L' }, analyticsEnabled: false },
+        check: ({ sync }) => {
+            assert.deepStrictEqual(sync.license, { key: 'k', licensee: 'L' });
+            assert.strictEqual(sync.analyticsEnabled, false);
+            assert.strictEqual(sync.crashReportsEnabled, true);
+        }
+    },
+    {
+        name: "legacy storage moves ruleBundles to local and drops isLicensed",
+        local: { isEnabled: false },
+        sync: { ruleBundles: [BUNDLE], isLicensed: true, analyticsEnabled: true },
+        check: ({ local, sync, result }) => {
+            assert.deepStrictEqual(local.ruleBundles, [BUNDLE]);
+            assert.strictEqual(local.isEnabled, false);
+            assert.ok(!('ruleBundles' in sync));
+            assert.ok(!('isLicensed' in sync));
+            assert.deepStrictEqual(result.applied, [1, 2, 3, 4]);
+        }
+    },
+    {
+        name: "existing bundles get a modification time",
+        local: { ruleBundles: [BUNDLE], schemaVersion: 2 },
+        sync: {},
+        check: ({ local, result }) => {
+            assert.deepStrictEqual(result.applied, [3, 4]);
+            assert.deepStrictEqual(Object.keys(local.bundleTimestamps), ['b1']);
+            assert.ok(Number.isFinite(local.bundleTimestamps.b1.updatedAt));
+        }
+    },
+    {
+        name: "the active bundle becomes the only entry of activeBundleIds, in history snapshots too",
+        local: {
+            ruleBundles: [BUNDLE], activeBundleId: 'b1', schemaVersion: 3,
+            settingsHistory: {
+                undo: [{ id: 'h1', summary: {}, settings: { ruleBundles: [], activeBundleId: null } }],
+                redo: [{ id: 'h2', summary: { activeBundleChanged: true }, settings: { ruleBundles: [BUNDLE], activeBundleId: 'b1' } }]
+            }
+        },
+        sync: {},
+        check: ({ local, result }) => {
+            assert.deepStrictEqual(result.applied, [4]);
+            assert.ok(!('activeBundleId' in local));
+            assert.deepStrictEqual(local.activeBundleIds, ['b1']);
+            assert.deepStrictEqual(local.settingsHistory.undo[0].settings, { ruleBundles: [], activeBundleIds: [] });
+            assert.deepStrictEqual(local.settingsHistory.redo[0].settings, { ruleBundles: [BUNDLE], activeBundleIds: ['b1'] });
+            assert.deepStrictEqual(local.settingsHistory.redo[0].summary, { activeBundlesChanged: true });
+        }
+    },
+    {
+        name: "local ruleBundles win over a stale sync copy, which is removed",
+        local: { ruleBundles: [BUNDLE] },
+        sync: { ruleBundles: [{ ...BUNDLE, name: 'Stale copy' }] },
+        check: ({ local, sync }) => {
+            assert.deepStrictEqual(local.ruleBundles, [BUNDLE]);
+            assert.ok(!('ruleBundles' in sync));
+        }
+    },
+    {
+        name: "an empty local bundle list still wins over the sync copy",
+        local: { ruleBundles: [] },
+        sync: { ruleBundles: [BUNDLE] },
+        check: ({ local, sync }) => {
+            assert.deepStrictEqual(local.ruleBundles, []);
+            assert.ok(!('ruleBundles' in sync));
+        }
+    },
+    {
+        name: "current storage is left alone",
+        local: { ...DEFAULTS.local, isEnabled: false, schemaVersion: 'latest' },
+        sync: { ...DEFAULTS.sync },
+        check: ({ local, result, writes }) => {
+            assert.strictEqual(local.isEnabled, false);
+            assert.deepStrictEqual(result.applied, []);
+            assert.strictEqual(writes, 0);
+        }
+    },
+    {
+        name: "storage from a newer version is not touched",
+        local: { schemaVersion: 999, newShape: { x: 1 } },
+        sync: {},
+        check: ({ local, sync, result }) => {
+            assert.strictEqual(result.toVersion, 999);
+            assert.deepStrictEqual(local, { schemaVersion: 999, newShape: { x: 1 } });
+            assert.deepStrictEqual(sync, {});
+        }
+    },
+    {
+        name: "a failing step leaves storage unchanged",
+        local: { isEnabled: true },
+        sync: { ruleBundles: [BUNDLE] },
+        extraSteps: [{ version: 'next', description: "Always fails", migrate: () => { throw new Error('boom'); } }],
+        expectError: 'migration_failed',
+        check: ({ local, sync }) => {
+            assert.deepStrictEqual(local, { isEnabled: true });
+            assert.deepStrictEqual(sync, { ruleBundles: [BUNDLE] });
+        }
+    },
+    {
+        name: "a failed write is rolled back",
+        local: { isEnabled: false },
+        sync: { ruleBundles: [BUNDLE], isLicensed: true },
+        failSyncSetOn: 'license',
+        expectError: 'migration_failed',
+        check: ({ local, sync }) => {
+            assert.deepStrictEqual(local, { isEnabled: false });
+            assert.deepStrictEqual(sync, { ruleBundles: [BUNDLE], isLicensed: true });
+        }
+    },
+    {
+        name: "an interrupted migration is restored, then migrated again",
+        local: {
+            isEnabled: false, ruleBundles: [BUNDLE], schemaVersion: 'latest',
+            migrationBackup: {
+                fromVersion: 0, toVersion: 2, takenAt: '2025-01-01T00:00:00.000Z',
+                local: { previous: { isEnabled: false }, absent: ['ruleBundles', 'schemaVersion'] },
+                sync: { previous: { ruleBundles: [BUNDLE] }, absent: [] }
+            }
+        },
+        sync: {},
+        check: ({ local, sync, result }) => {
+            assert.strictEqual(result.restoredBackup, true);
+            assert.deepStrictEqual(result.applied, [1, 2, 3, 4]);
+            assert.deepStrictEqual(local.ruleBundles, [BUNDLE]);
+            assert.ok(!('ruleBundles' in sync));
+            assert.ok(!('migrationBackup' in local));
+        }
+    }
+];
+
+async function runFixture(fixture) {
+    // Resolve 'latest' and 'next' against the real step list.
+    const latest = vm.runInContext('getLatestSchemaVersion()', loadMigrations({}));
+    const resolveVersion = value => value === 'latest' ? latest : value;
+    const local = createStorageArea({ ...fixture.local, ...(fixture.local.schemaVersion && { schemaVersion: resolveVersion(fixture.local.schemaVersion) }) });
+    const sync = createStorageArea(fixture.sync, { failSetOn: fixture.failSyncSetOn });
+
+    let writes = 0;
+    for (const area of [local, sync]) {
+        for (const method of ['set', 'remove']) {
+            const original = area[method];
+            area[method] = (...args) => { writes++; return original(...args); };
+        }
+    }
+
+    const context = loadMigrations({ local, sync });
+    const migrations = [
+        ...vm.runInContext('STORAGE_MIGRATIONS', context),
+        ...(fixture.extraSteps || []).map(step => ({ ...step, version: step.version === 'next' ? latest + 1 : step.version }))
+    ];
+    let result = null;
+    try {
+        // Copy out of the module's realm so assert's deep comparisons see plain arrays.
+        result = structuredClone(await context.runStorageMigrations(DEFAULTS, { migrations }));
+        if (fixture.expectError) throw new Error(`Expected a '${fixture.expectError}' error`);
+    } catch (error) {
+        if (!fixture.expectError || error.code !== fixture.expectError) throw error;
+    }
+    fixture.check({ local: local.data, sync: sync.data, result, latest, writes });
+}
+
+(async () => {
+    let failures = 0;
+    for (const fixture of FIXTURES) {
+        try {
+            await runFixture(fixture);
+            console.log(`ok   ${fixture.name}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL ${fixture.name}\n     ${error.message}`);
+        }
+    }
+    console.log(`\n${FIXTURES.length - failures}/${FIXTURES.length} fixtures passed.`);
+    process.exit(failures > 0 ? 1 : 0);
+})();